@@ -1,5 +1,6 @@
 // backend/src/app.js
 const express = require('express');
+const http = require('http');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
@@ -7,6 +8,7 @@ const rateLimit = require('express-rate-limit');
 require('dotenv').config();
 
 const app = express();
+const server = http.createServer(app);
 
 // Middleware
 app.use(helmet());
@@ -35,8 +37,20 @@ app.use('/api/analytics', require('./routes/analytics.routes'));
 app.use('/api/payments', require('./routes/payment.routes'));
 app.use('/api/auth', require('./routes/auth.routes'));
 
+// Rendered storefronts (published stores and draft previews)
+app.use('/storefront/:subdomain', require('./routes/storefront.routes'));
+
+// Re-hosted store assets (local storage driver), embedded by stores on other origins
+app.use('/assets', helmet.crossOriginResourcePolicy({ policy: 'cross-origin' }), express.static(process.env.ASSET_STORAGE_DIR || 'storage/assets', {
+  immutable: true,
+  maxAge: '1y'
+}));
+
+// Live job progress
+require('./services/socketService').initialize(server);
+
 const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
 });
 
@@ -44,116 +58,786 @@ app.listen(PORT, () => {
 // backend/src/services/aiScraperService.js
 // ========================================
 
-const puppeteer = require('puppeteer');
 const cheerio = require('cheerio');
-const axios = require('axios');
+const browserPoolService = require('./browserPoolService');
+const platformDetectorService = require('./platformDetectorService');
+const catalogExtractorService = require('./catalogExtractorService');
+const structuredDataService = require('./structuredDataService');
+const politenessService = require('./politenessService');
+const snapshotService = require('./snapshotService');
+const variantExtractorService = require('./variantExtractorService');
 
 class AIScraperService {
   constructor() {
-    this.browser = null;
+    // Bump when the scrape result shape changes so cached scrapes are not reused
+    this.version = 12;
+    this.viewports = {
+      desktop: { width: 1920, height: 1080 },
+      mobile: { width: 375, height: 667, isMobile: true, hasTouch: true }
+    };
   }
 
-  async initialize() {
-    this.browser = await puppeteer.launch({
-      headless: 'new',
-      args: ['--no-sandbox', '--disable-setuid-sandbox']
-    });
+  // options.snapshot replays a saved snapshot instead of the live site,
+  // options.recordSnapshot ({ userId }) saves this scrape as a new one
+  async scrapeWebsite(url, options = {}) {
+    try {
+      // Desktop and mobile captures run side by side, each in its own browser context
+      const [desktop, mobileScreenshot] = await Promise.all([
+        browserPoolService.withPage(async (page) => {
+          const recording = options.recordSnapshot ? snapshotService.record(page) : null;
+          const result = await this.scrapeDesktop(page, url, options);
+          // Response bodies are only readable while the page is open
+          if (recording) result.resources = await recording.stop();
+          return result;
+        }, { viewport: this.viewports.desktop }),
+        browserPoolService.withPage(page => this.getMobileScreenshot(page, url, options), { viewport: this.viewports.mobile })
+      ]);
+
+      const { screenshot, resources, ...result } = desktop;
+
+      // Option groups, per-variant prices/SKUs/stock from the product detail pages.
+      // Fetched over HTTP, so the browser context is already back in the pool
+      if (!options.snapshot) {
+        await variantExtractorService.enrich(result.products, result.platform.name);
+      }
+
+      const scrapedData = {
+        ...result,
+        screenshots: {
+          desktop: screenshot,
+          mobile: mobileScreenshot
+        },
+        timestamp: new Date()
+      };
+
+      if (resources) {
+        scrapedData.snapshot = await snapshotService.save({
+          userId: options.recordSnapshot.userId,
+          sourceUrl: url,
+          resources,
+          scrape: scrapedData
+        });
+      }
+
+      return scrapedData;
+    } catch (error) {
+      console.error('Scraping error:', error);
+      throw error;
+    }
   }
 
-  async scrapeWebsite(url) {
-    try {
-      if (!this.browser) await this.initialize();
-      
-      const page = await this.browser.newPage();
-      await page.setViewport({ width: 1920, height: 1080 });
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+  async scrapeDesktop(page, url, options = {}) {
+    const response = await this.open(page, url, options);
 
-      // Get page content
-      const html = await page.content();
-      const $ = cheerio.load(html);
+    // Get page content
+    const html = await page.content();
+    const $ = cheerio.load(html);
+
+    // Fingerprint the store platform from markup, response headers and asset paths
+    const platform = platformDetectorService.detect({
+      html,
+      headers: response ? response.headers() : {},
+      assets: $('script[src], link[href], img[src]').map((i, el) => $(el).attr('src') || $(el).attr('href')).get()
+    });
+
+    // Extract design elements
+    const designData = await page.evaluate(() => {
+      // Every color with the rendered area it covers and the context it's used in,
+      // so the analyzer can tell brand colors from incidental greys
+      const extractColors = () => {
+        const colors = new Set();
+        const usage = {};
+        const track = (color, property, role, weight) => {
+          if (!color || color === 'rgba(0, 0, 0, 0)' || color === 'transparent' || !(weight > 0)) return;
+          colors.add(color);
+          const key = `${color}|${property}|${role}`;
+          usage[key] = (usage[key] || 0) + weight;
+        };
+        const roleOf = (el) => {
+          if (el === document.body || el === document.documentElement) return 'page';
+          if (el.closest('button, input[type="submit"], [role="button"], a[class*="btn" i], a[class*="button" i], [class*="btn-primary" i]')) return 'cta';
+          if (el.closest('a')) return 'link';
+          if (/^H[1-6]$/.test(el.tagName)) return 'heading';
+          if (el.closest('header, [role="banner"], .header, #header')) return 'header';
+          if (el.closest('footer, [role="contentinfo"], .footer, #footer')) return 'footer';
+          return 'content';
+        };
+
+        Array.from(document.querySelectorAll('*')).slice(0, 5000).forEach(el => {
+          const rect = el.getBoundingClientRect();
+          if (rect.width === 0 || rect.height === 0) return;
+
+          const style = window.getComputedStyle(el);
+          if (style.visibility === 'hidden' || parseFloat(style.opacity) === 0) return;
+
+          // Above the fold counts for more, it's what visitors see first
+          const prominence = rect.top + window.scrollY < window.innerHeight ? 1.5 : 1;
+          const role = roleOf(el);
+
+          track(style.backgroundColor, 'background', role, rect.width * rect.height * prominence);
+
+          const ownText = Array.from(el.childNodes)
+            .filter(node => node.nodeType === Node.TEXT_NODE)
+            .map(node => node.textContent.trim())
+            .join('');
+          if (ownText) {
+            // Rough glyph area: characters times the font size squared
+            track(style.color, 'text', role, ownText.length * parseFloat(style.fontSize) ** 2 * 0.5 * prominence);
+          }
+        });
+
+        return {
+          colors: Array.from(colors),
+          colorUsage: Object.entries(usage)
+            .map(([key, weight]) => {
+              const [color, property, usedAs] = key.split('|');
+              return { color, property, role: usedAs, weight: Math.round(weight) };
+            })
+            .sort((a, b) => b.weight - a.weight)
+            .slice(0, 300)
+        };
+      };
+
+      const extractFonts = () => {
+        const fonts = new Set();
+        const elements = document.querySelectorAll('*');
+        
+        elements.forEach(el => {
+          const style = window.getComputedStyle(el);
+          fonts.add(style.fontFamily);
+        });
+
+        // Faces the page loaded, including ones from cross-origin stylesheets
+        const fontFaces = [];
+        const seen = new Set();
+        if (document.fonts) {
+          document.fonts.forEach(face => {
+            const family = face.family.replace(/['"]/g, '').trim();
+            const key = `${family}|${face.weight}|${face.style}`;
+            if (face.status === 'error' || seen.has(key)) return;
+            seen.add(key);
+            fontFaces.push({ family, weight: face.weight, style: face.style });
+          });
+        }
+
+        // Hosted font services, from <link>s, kit scripts and @imports
+        const fontLinks = Array.from(document.querySelectorAll(
+          'link[href*="fonts.googleapis.com"], link[href*="fonts.bunny.net"], link[href*="use.typekit.net"], ' +
+          'link[href*="fonts.adobe.com"], script[src*="use.typekit.net"]'
+        )).map(el => el.href || el.src);
+        Array.from(document.querySelectorAll('style')).forEach(style => {
+          Array.from(style.textContent.matchAll(/@import\s+(?:url\()?['"]?([^'")\s]+)/g)).forEach(([, href]) => {
+            if (/fonts\.googleapis|fonts\.bunny|typekit|fonts\.adobe/.test(href)) fontLinks.push(href);
+          });
+        });
+
+        const usedBy = (selector) => {
+          const el = Array.from(document.querySelectorAll(selector)).find(node => node.getBoundingClientRect().height > 0);
+          return el ? window.getComputedStyle(el) : null;
+        };
+        const heading = usedBy('h1, h2');
+        const body = usedBy('p') || window.getComputedStyle(document.body);
+
+        return {
+          fonts: Array.from(fonts),
+          fontFaces,
+          fontLinks: Array.from(new Set(fontLinks)),
+          fontUsage: {
+            heading: heading ? heading.fontFamily : null,
+            headingWeight: heading ? heading.fontWeight : null,
+            body: body.fontFamily,
+            bodyWeight: body.fontWeight
+          }
+        };
+      };
+
+      const extractLayout = () => {
+        const header = document.querySelector('header, [role="banner"], .header, #header');
+        const nav = document.querySelector('nav, [role="navigation"], .nav, .navbar');
+        const main = document.querySelector('main, [role="main"], .main-content, #main');
+        const footer = document.querySelector('footer, [role="contentinfo"], .footer, #footer');
+
+        return {
+          hasHeader: !!header,
+          hasNav: !!nav,
+          hasMainContent: !!main,
+          hasFooter: !!footer,
+          headerHeight: header ? header.offsetHeight : 0,
+          footerHeight: footer ? footer.offsetHeight : 0
+        };
+      };
 
-      // Extract design elements
-      const designData = await page.evaluate(() => {
-        const extractColors = () => {
-          const colors = new Set();
-          const elements = document.querySelectorAll('*');
-          
-          elements.forEach(el => {
-            const style = window.getComputedStyle(el);
-            colors.add(style.color);
-            colors.add(style.backgroundColor);
+      const extractNavigation = () => {
+        const text = (el) => (el ? el.textContent : '').replace(/\s+/g, ' ').trim();
+        // Dropdown toggles often link to "#" or javascript:, those are headings rather than links
+        const href = (a) => (a && !/^(#|javascript:)/i.test(a.getAttribute('href') || '#') ? a.href : null);
+
+        // Nested lists become children, which keeps mega-menu columns under their top item
+        const readList = (list, depth) => Array.from(list.children)
+          .filter(li => li.tagName === 'LI')
+          .map(li => {
+            const nested = Array.from(li.querySelectorAll('ul, ol')).filter(child => child.parentElement.closest('li') === li);
+            const anchor = Array.from(li.querySelectorAll('a[href]')).find(a => !nested.some(child => child.contains(a)));
+            const label = anchor ? text(anchor) || anchor.getAttribute('aria-label') : text(li.querySelector('button, summary, span'));
+
+            return {
+              label,
+              href: href(anchor),
+              children: depth < 3 ? nested.flatMap(child => readList(child, depth + 1)) : []
+            };
+          })
+          .filter(item => item.label);
+
+        // The main menu is the biggest nav in the header; mobile drawers usually duplicate it
+        const navs = Array.from(document.querySelectorAll('nav, [role="navigation"]'))
+          .filter(nav => !nav.closest('footer, [role="contentinfo"]'));
+        const inHeader = navs.filter(nav => nav.closest('header, [role="banner"], .header, #header'));
+        const mainNav = (inHeader.length ? inHeader : navs)
+          .sort((a, b) => b.querySelectorAll('a').length - a.querySelectorAll('a').length)[0];
+        const topList = mainNav && Array.from(mainNav.querySelectorAll('ul, ol'))
+          .find(list => !mainNav.contains(list.parentElement.closest('li')));
+
+        let main = [];
+        if (topList) {
+          main = readList(topList, 1);
+        } else if (mainNav) {
+          main = Array.from(mainNav.querySelectorAll('a[href]'))
+            .map(a => ({ label: text(a), href: href(a), children: [] }))
+            .filter(item => item.label);
+        }
+
+        // Footer columns: each top-level list with the heading next to it
+        const footerEl = document.querySelector('footer, [role="contentinfo"], .footer, #footer');
+        const footer = footerEl ? Array.from(footerEl.querySelectorAll('ul, ol'))
+          .filter(list => !list.parentElement.closest('li'))
+          .map(list => {
+            const heading = list.parentElement.querySelector('h2, h3, h4, h5, h6, [class*="title" i], [class*="heading" i]');
+            return {
+              title: heading && !list.contains(heading) ? text(heading) : '',
+              links: Array.from(list.querySelectorAll('a[href]'))
+                .map(a => ({ label: text(a) || a.getAttribute('aria-label') || '', href: href(a), children: [] }))
+                .filter(item => item.href)
+            };
+          })
+          .filter(column => column.links.length) : [];
+
+        // Social profiles are recognised by host on the Node side
+        const social = Array.from(document.querySelectorAll('header a[href], footer a[href], [class*="social" i] a[href]'))
+          .map(a => a.href);
+
+        return { main, footer, social };
+      };
+
+      // Ordered page sections from rendered geometry: wrappers with a single child are
+      // unwrapped, the remaining full-width blocks are classified by what they contain
+      const extractSections = () => {
+        const text = (el) => (el ? el.textContent : '').replace(/\s+/g, ' ').trim();
+        const pricePattern = /([$€£¥₪]|USD|EUR|GBP)\s?\d|\d[\d.,]*\s?([$€£¥₪]|USD|EUR|GBP)/;
+        const isBlock = (el) => {
+          if (/^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|LINK|META)$/.test(el.tagName)) return false;
+          const rect = el.getBoundingClientRect();
+          const style = window.getComputedStyle(el);
+          // Modals and cookie banners overlay the page rather than being part of it
+          const overlay = style.position === 'fixed' && rect.height > window.innerHeight * 0.5;
+          return !overlay && style.display !== 'none' && rect.width >= window.innerWidth * 0.5 && rect.height >= 20;
+        };
+
+        const blocks = [];
+        const visit = (el, depth) => {
+          const children = Array.from(el.children).filter(isBlock);
+          if (children.length === 1 && depth < 8) {
+            visit(children[0], depth + 1);
+            return;
+          }
+          children.forEach(child => {
+            if (depth < 4 && child.matches('main, [role="main"], #MainContent, #main, #content, .main-content')) {
+              visit(child, depth + 1);
+            } else {
+              blocks.push(child);
+            }
+          });
+        };
+        visit(document.body, 0);
+
+        // Repeated siblings with an image and a link: product cards or category tiles
+        const findCards = (el) => {
+          let best = null;
+          el.querySelectorAll('ul, ol, div, section').forEach(container => {
+            const items = Array.from(container.children).filter(child => child.querySelector('img, picture') && child.querySelector('a[href]')
+              && child.getBoundingClientRect().width > 0);
+            if (items.length >= 2 && (!best || items.length > best.items.length)) best = { container, items };
           });
-          
-          return Array.from(colors).filter(c => c && c !== 'rgba(0, 0, 0, 0)');
+          return best;
+        };
+        const columnsOf = (items) => {
+          const visible = items.filter(item => item.getBoundingClientRect().width > 0);
+          if (!visible.length) return 0;
+          const firstRow = visible[0].getBoundingClientRect().top;
+          return visible.filter(item => Math.abs(item.getBoundingClientRect().top - firstRow) < 10).length;
+        };
+
+        return blocks.map((el, index) => {
+          const rect = el.getBoundingClientRect();
+          const top = rect.top + window.scrollY;
+          const heading = el.querySelector('h1, h2, h3');
+          const section = {
+            type: 'content',
+            heading: text(heading).slice(0, 120) || null,
+            bounds: { x: Math.round(rect.left), y: Math.round(top), width: Math.round(rect.width), height: Math.round(rect.height) }
+          };
+
+          const cards = findCards(el);
+          const isProductGrid = cards && cards.items.filter(item => pricePattern.test(text(item))).length >= cards.items.length / 2;
+          const isCarousel = el.matches('[class*="carousel" i], [class*="slider" i], [class*="slideshow" i], .swiper, .slick-slider, [aria-roledescription="carousel"]')
+            || el.querySelector('[class*="carousel" i], [class*="slideshow" i], .swiper, .slick-slider, [aria-roledescription="carousel"]');
+          const headingSize = heading ? parseFloat(window.getComputedStyle(heading).fontSize) : 0;
+
+          if (el.matches('footer, [role="contentinfo"], .footer, #footer') || el.querySelector(':scope > footer')) {
+            section.type = 'footer';
+          } else if (el.matches('header, [role="banner"], .header, #header') || (top < 250 && el.querySelector('nav'))) {
+            section.type = 'header';
+          } else if (el.matches('[class*="announcement" i]') || (index < 2 && rect.height < 60 && top < 150 && !el.querySelector('nav'))) {
+            section.type = 'announcement';
+            section.text = text(el).slice(0, 200);
+          } else if (isProductGrid) {
+            section.type = isCarousel ? 'product-carousel' : 'product-grid';
+            section.itemCount = cards.items.length;
+            section.columns = { desktop: columnsOf(cards.items) };
+            cards.container.setAttribute('data-snapshelf-grid', index);
+          } else if (isCarousel) {
+            section.type = top < window.innerHeight ? 'hero' : 'carousel';
+            section.slides = el.querySelectorAll('.swiper-slide, .slick-slide:not(.slick-cloned), [class*="slide" i]:not([class*="slider" i])').length || null;
+          } else if (el.matches('[class*="testimonial" i], [class*="review" i]') || el.querySelectorAll('blockquote, [class*="testimonial" i]').length >= 2) {
+            section.type = 'testimonials';
+          } else if (el.querySelector('input[type="email"]') && rect.height < 700) {
+            section.type = 'newsletter';
+          } else if (cards) {
+            section.type = 'category-tiles';
+            section.itemCount = cards.items.length;
+            section.columns = { desktop: columnsOf(cards.items) };
+            cards.container.setAttribute('data-snapshelf-grid', index);
+          } else if (top < window.innerHeight && rect.height >= 300 && (headingSize >= 32 || el.querySelector('img, picture, video')
+            || window.getComputedStyle(el).backgroundImage !== 'none')) {
+            section.type = 'hero';
+            section.cta = text(el.querySelector('a[class*="btn" i], a[class*="button" i], button')).slice(0, 60) || null;
+          } else if (el.querySelector('img, picture') && text(el).length > 40) {
+            section.type = 'image-with-text';
+          } else if (text(el).length > 40) {
+            section.type = 'rich-text';
+          }
+
+          return section;
+        });
+      };
+
+      const extractBrand = () => {
+        const logo = document.querySelector(
+          'header img[src*="logo" i], header img[alt*="logo" i], .logo img, [class*="logo" i] img, ' +
+          'header a[href="/"] img, header svg[class*="logo" i], header img'
+        );
+        const favicon = document.querySelector('link[rel~="icon"], link[rel="apple-touch-icon"]');
+
+        return {
+          logo: logo && logo.tagName.toLowerCase() === 'img' ? (logo.currentSrc || logo.src) : null,
+          favicon: favicon ? favicon.href : null
+        };
+      };
+
+      const extractTokens = () => {
+        const count = (map, value) => {
+          if (value && value !== 'none' && value !== 'normal' && value !== '0px') {
+            map[value] = (map[value] || 0) + 1;
+          }
         };
+        const cssom = { radii: {}, shadows: {}, spacing: {}, fontSizes: {}, containerWidths: {}, breakpoints: {} };
+
+        // Author stylesheets: cross-origin sheets throw on cssRules and are skipped
+        const walk = (rules) => {
+          Array.from(rules).forEach(rule => {
+            if (rule.media && rule.cssRules) {
+              const condition = rule.conditionText || rule.media.mediaText || '';
+              Array.from(condition.matchAll(/(min|max)-width:\s*([\d.]+)(px|em|rem)/g)).forEach(([, , value, unit]) => {
+                count(cssom.breakpoints, String(Math.round(parseFloat(value) * (unit === 'px' ? 1 : 16))));
+              });
+              walk(rule.cssRules);
+              return;
+            }
+            if (rule.cssRules) walk(rule.cssRules);
+            if (!rule.style) return;
 
-        const extractFonts = () => {
-          const fonts = new Set();
-          const elements = document.querySelectorAll('*');
-          
-          elements.forEach(el => {
-            const style = window.getComputedStyle(el);
-            fonts.add(style.fontFamily);
+            count(cssom.radii, rule.style.borderRadius);
+            count(cssom.shadows, rule.style.boxShadow);
+            count(cssom.fontSizes, rule.style.fontSize);
+            ['padding', 'margin', 'gap', 'paddingTop', 'paddingBottom', 'marginTop', 'marginBottom', 'rowGap', 'columnGap']
+              .forEach(property => {
+                (rule.style[property] || '').split(/\s+/).filter(v => /^[\d.]+px$/.test(v)).forEach(v => count(cssom.spacing, v));
+              });
+            if (/px$/.test(rule.style.maxWidth) && parseFloat(rule.style.maxWidth) >= 900) {
+              count(cssom.containerWidths, rule.style.maxWidth);
+            }
           });
-          
-          return Array.from(fonts);
         };
 
-        const extractLayout = () => {
-          const header = document.querySelector('header, [role="banner"], .header, #header');
-          const nav = document.querySelector('nav, [role="navigation"], .nav, .navbar');
-          const main = document.querySelector('main, [role="main"], .main-content, #main');
-          const footer = document.querySelector('footer, [role="contentinfo"], .footer, #footer');
+        Array.from(document.styleSheets).forEach(sheet => {
+          try {
+            walk(sheet.cssRules);
+          } catch (error) {
+            // Cross-origin stylesheet
+          }
+        });
+
+        const visible = (el) => {
+          const rect = el.getBoundingClientRect();
+          return rect.width > 0 && rect.height > 0;
+        };
+        const sample = (selector) => {
+          const el = Array.from(document.querySelectorAll(selector)).find(visible);
+          if (!el) return null;
 
+          const style = window.getComputedStyle(el);
           return {
-            hasHeader: !!header,
-            hasNav: !!nav,
-            hasMainContent: !!main,
-            hasFooter: !!footer,
-            headerHeight: header ? header.offsetHeight : 0,
-            footerHeight: footer ? footer.offsetHeight : 0
+            borderRadius: style.borderRadius,
+            boxShadow: style.boxShadow,
+            border: style.borderTopWidth !== '0px' ? `${style.borderTopWidth} ${style.borderTopStyle} ${style.borderTopColor}` : 'none',
+            paddingTop: style.paddingTop,
+            paddingRight: style.paddingRight,
+            fontSize: style.fontSize,
+            fontWeight: style.fontWeight,
+            lineHeight: style.lineHeight,
+            letterSpacing: style.letterSpacing,
+            textTransform: style.textTransform,
+            height: el.getBoundingClientRect().height
           };
         };
+        const container = Array.from(document.querySelectorAll('.container, .page-width, .wrapper, [class*="container"]'))
+          .find(el => visible(el) && el.getBoundingClientRect().width < window.innerWidth);
 
         return {
-          colors: extractColors(),
-          fonts: extractFonts(),
-          layout: extractLayout(),
-          title: document.title,
-          meta: {
-            description: document.querySelector('meta[name="description"]')?.content,
-            keywords: document.querySelector('meta[name="keywords"]')?.content
+          cssom,
+          elements: {
+            button: sample('button[type="submit"], .btn, .button, [class*="btn-primary"], a[class*="button"], button'),
+            card: sample('.product-card, .product-item, .card, [class*="product-card"], .product'),
+            input: sample('input[type="email"], input[type="text"], input[type="search"], select, textarea'),
+            h1: sample('h1'),
+            h2: sample('h2'),
+            h3: sample('h3'),
+            body: sample('p'),
+            container: container ? {
+              maxWidth: Math.round(container.getBoundingClientRect().width),
+              paddingLeft: window.getComputedStyle(container).paddingLeft
+            } : null
           }
         };
-      });
+      };
 
-      // Extract product structure if e-commerce
-      const products = await this.extractProducts($, page);
-      
-      // Take screenshots
-      const screenshots = {
-        desktop: await page.screenshot({ fullPage: true }),
-        mobile: await this.getMobileScreenshot(page, url)
+      return {
+        ...extractColors(),
+        ...extractFonts(),
+        layout: extractLayout(),
+        navigation: extractNavigation(),
+        sections: extractSections(),
+        brand: extractBrand(),
+        tokens: extractTokens(),
+        title: document.title,
+        meta: {
+          description: document.querySelector('meta[name="description"]')?.content,
+          keywords: document.querySelector('meta[name="keywords"]')?.content
+        }
       };
+    });
+
+    // Extract product structure if e-commerce: platform catalog first, then schema.org/OpenGraph
+    // data, generic selectors as the last resort. Offline, the catalog recorded with the snapshot is used.
+    const products = options.snapshot
+      ? options.snapshot.scrape?.products || await this.extractProducts($, page)
+      : await catalogExtractorService.extract(platform.name, { url, $ }) || await this.extractProducts($, page);
+
+    // Resizes the viewport, so only after the desktop screenshot
+    const screenshot = await page.screenshot({ fullPage: true });
+    await this.measureGridColumns(page, designData.sections);
+    
+    return {
+      url,
+      html: html.substring(0, 10000), // Store first 10k chars
+      design: {
+        ...designData,
+        navigation: this.resolveNavigation(designData.navigation, url)
+      },
+      platform,
+      products,
+      links: this.extractLinks($, url),
+      screenshot
+    };
+  }
+
+  async crawlWebsite(startUrl, options = {}) {
+    const maxPages = options.maxPages || 20;
+    const maxDepth = options.maxDepth ?? 2;
+    const origin = new URL(startUrl).origin;
+
+    // The entry page gets the full scrape (design, screenshots), the rest are content-only
+    const home = await this.scrapeWebsite(startUrl, { recordSnapshot: options.recordSnapshot });
+
+    const seen = new Set([this.normalizeUrl(startUrl)]);
+    const frontier = { buckets: new Map(), cursor: -1 };
+    const enqueue = (link, depth) => {
+      const normalized = this.normalizeUrl(link, startUrl);
+      if (!normalized || seen.has(normalized) || depth > maxDepth) return;
+      if (!this.isSameSite(normalized, origin) || !this.isCrawlable(normalized)) return;
+
+      seen.add(normalized);
+      const type = this.classifyPage(normalized);
+      if (!frontier.buckets.has(type)) frontier.buckets.set(type, []);
+      frontier.buckets.get(type).push({ url: normalized, depth });
+    };
+
+    // Sitemap entries count as one hop from the homepage; robots.txt may list where they live
+    const sitemaps = await politenessService.getSitemaps(origin);
+    const sitemapUrls = (await Promise.all(
+      (sitemaps.length ? sitemaps : [`${origin}/sitemap.xml`]).map(sitemap => this.fetchSitemapUrls(origin, sitemap))
+    )).flat();
+    sitemapUrls.forEach(link => enqueue(link, 1));
+    home.links.forEach(link => enqueue(link, 1));
+
+    const pages = [{
+      url: startUrl,
+      type: 'home',
+      depth: 0,
+      title: home.design.title,
+      meta: home.design.meta,
+      products: home.products
+    }];
+
+    // Take pages round-robin by type so a big product sitemap can't crowd out
+    // the category, about and policy pages
+    while (pages.length < maxPages) {
+      const next = this.takeNextPage(frontier);
+      if (!next) break;
+
+      // Pages the site disallows are skipped rather than failing the whole crawl
+      if (!await politenessService.isAllowed(next.url)) continue;
+
+      try {
+        const page = await this.scrapePage(next.url);
+        pages.push({ ...page, type: next.type, depth: next.depth });
+        page.links.forEach(link => enqueue(link, next.depth + 1));
+      } catch (error) {
+        console.error('Crawl page error:', next.url, error.message);
+      }
+
+      // Progress hook, throwing from it stops the crawl (used for job cancellation)
+      if (options.onPage) await options.onPage(pages.length, maxPages);
+    }
 
-      await page.close();
+    return {
+      ...home,
+      products: this.mergeProducts(pages),
+      pages: pages.map(({ links, ...page }) => page),
+      crawl: {
+        maxPages,
+        maxDepth,
+        sitemapUrls: sitemapUrls.length,
+        discovered: seen.size
+      }
+    };
+  }
+
+  // Navigates after checking robots.txt, within the per-domain rate limit and with our user agent
+  async open(page, url, options = {}) {
+    // Snapshots are served from disk, nothing reaches the network
+    if (options.snapshot) {
+      await snapshotService.replay(page, options.snapshot);
+      return page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+    }
+
+    await politenessService.assertAllowed(url);
+    await page.setUserAgent(politenessService.userAgent);
+
+    return politenessService.schedule(url, () => page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 }));
+  }
+
+  async scrapePage(url) {
+    return browserPoolService.withPage(async (page) => {
+      await this.open(page, url);
+
+      const html = await page.content();
+      const $ = cheerio.load(html);
 
       return {
         url,
-        html: html.substring(0, 10000), // Store first 10k chars
-        design: designData,
-        products,
-        screenshots,
-        timestamp: new Date()
+        title: $('title').first().text().trim(),
+        meta: {
+          description: $('meta[name="description"]').attr('content'),
+          keywords: $('meta[name="keywords"]').attr('content')
+        },
+        headings: $('h1, h2').map((i, el) => $(el).text().trim()).get().filter(Boolean).slice(0, 20),
+        content: $('main, [role="main"], article, body').first().text().replace(/\s+/g, ' ').trim().substring(0, 5000),
+        products: await this.extractProducts($, page),
+        links: this.extractLinks($, url)
       };
+    }, { viewport: this.viewports.desktop });
+  }
+
+  async fetchSitemapUrls(origin, sitemapUrl = `${origin}/sitemap.xml`, nested = 0) {
+    try {
+      const { data } = await politenessService.request({ url: sitemapUrl, timeout: 10000, responseType: 'text' });
+      const $ = cheerio.load(data, { xmlMode: true });
+
+      // Sitemap indexes point at child sitemaps (products, collections, pages...)
+      const children = $('sitemapindex > sitemap > loc').map((i, el) => $(el).text().trim()).get();
+      if (children.length > 0 && nested === 0) {
+        const results = await Promise.all(
+          children.slice(0, 10).map(child => this.fetchSitemapUrls(origin, child, nested + 1))
+        );
+        return results.flat();
+      }
+
+      return $('urlset > url > loc').map((i, el) => $(el).text().trim()).get();
     } catch (error) {
-      console.error('Scraping error:', error);
-      throw error;
+      return [];
+    }
+  }
+
+  extractLinks($, baseUrl) {
+    const links = new Set();
+
+    $('a[href]').each((i, el) => {
+      const normalized = this.normalizeUrl($(el).attr('href'), baseUrl);
+      if (normalized) links.add(normalized);
+    });
+
+    return Array.from(links);
+  }
+
+  normalizeUrl(link, baseUrl) {
+    try {
+      const parsed = new URL(link, baseUrl);
+      if (!['http:', 'https:'].includes(parsed.protocol)) return null;
+
+      // Store pages are addressed by path, query strings are mostly tracking and sorting
+      parsed.hash = '';
+      parsed.search = '';
+      return parsed.href.replace(/\/$/, '');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isSameSite(link, origin) {
+    const host = (value) => new URL(value).hostname.replace(/^www\./, '');
+    return host(link) === host(origin);
+  }
+
+  isCrawlable(link) {
+    const { pathname } = new URL(link);
+    if (/\.(jpe?g|png|gif|webp|avif|svg|ico|pdf|zip|css|js|xml|json)$/i.test(pathname)) return false;
+    return !/\/(cart|checkout|account|login|register|search|wishlist)(\/|$)/i.test(pathname);
+  }
+
+  classifyPage(link) {
+    const pathname = new URL(link).pathname.toLowerCase();
+
+    if (pathname === '/' || pathname === '') return 'home';
+    if (/\/(products?|p|item)\/[^/]+/.test(pathname)) return 'product';
+    if (/\/(collections?|categor(y|ies)|product-category|shop|c)(\/|$)/.test(pathname)) return 'category';
+    if (/\/(about|about-us|our-story|pages\/about[^/]*)(\/|$)/.test(pathname)) return 'about';
+    if (/(polic(y|ies)|terms|privacy|shipping|refund|returns?|legal)/.test(pathname)) return 'policy';
+    return 'page';
+  }
+
+  // Absolute URLs plus what each menu entry points at: category, product, page, home or external
+  resolveNavigation(navigation, baseUrl) {
+    const origin = new URL(baseUrl).origin;
+    const networks = {
+      'facebook.com': 'facebook',
+      'instagram.com': 'instagram',
+      'twitter.com': 'twitter',
+      'x.com': 'twitter',
+      'tiktok.com': 'tiktok',
+      'youtube.com': 'youtube',
+      'youtu.be': 'youtube',
+      'pinterest.com': 'pinterest',
+      'linkedin.com': 'linkedin',
+      'snapchat.com': 'snapchat',
+      'threads.net': 'threads'
+    };
+    const network = (url) => networks[new URL(url).hostname.replace(/^(www|m)\./, '')];
+
+    const resolve = (item) => {
+      const url = item.href ? this.normalizeUrl(item.href, baseUrl) : null;
+      let type = 'group';
+      if (url) {
+        type = this.isSameSite(url, origin) ? this.classifyPage(url) : 'external';
+        if (type === 'about' || type === 'policy') type = 'page';
+      }
+
+      return {
+        label: item.label.slice(0, 100),
+        type,
+        url,
+        children: (item.children || []).filter(child => !child.href || !network(child.href)).map(resolve)
+      };
+    };
+
+    const social = new Map();
+    navigation.social.forEach(href => {
+      const url = this.normalizeUrl(href);
+      const name = url && network(url);
+      if (name && !social.has(name)) social.set(name, url);
+    });
+
+    return {
+      main: navigation.main.filter(item => !item.href || !network(item.href)).map(resolve),
+      footer: navigation.footer
+        .map(column => ({ title: column.title, links: column.links.filter(link => !network(link.href)).map(resolve) }))
+        .filter(column => column.links.length),
+      social: Array.from(social.entries()).map(([name, url]) => ({ network: name, url }))
+    };
+  }
+
+  takeNextPage(frontier) {
+    const order = ['category', 'product', 'about', 'policy', 'page'];
+    const start = (frontier.cursor + 1) % order.length;
+
+    for (let i = 0; i < order.length; i++) {
+      const index = (start + i) % order.length;
+      const bucket = frontier.buckets.get(order[index]);
+      if (bucket && bucket.length > 0) {
+        frontier.cursor = index;
+        return { ...bucket.shift(), type: order[index] };
+      }
     }
+
+    return null;
+  }
+
+  mergeProducts(pages) {
+    const products = new Map();
+
+    pages.forEach(page => {
+      (page.products || []).forEach(product => {
+        const key = product.link || product.name;
+        if (key && !products.has(key)) products.set(key, product);
+      });
+    });
+
+    return Array.from(products.values());
   }
 
   async extractProducts($, page) {
+    const structured = structuredDataService.extract($, page.url());
+    if (structured.length > 0) return structured;
+
     const products = [];
+    // Relative links and images are resolved against the page, variant extraction
+    // and asset harvesting fetch them
+    const resolve = (value) => {
+      try {
+        return value ? new URL(value, page.url()).href : undefined;
+      } catch (error) {
+        return undefined;
+      }
+    };
     
     // Common product selectors
     const productSelectors = [
@@ -167,11 +851,16 @@ class AIScraperService {
       if (items.length > 0) {
         items.each((i, el) => {
           const $el = $(el);
+          const price = structuredDataService.parsePrice(
+            $el.find('[itemprop="price"], .price, .product-price').first().text().trim()
+          );
+
           products.push({
             name: $el.find('[itemprop="name"], .product-title, .product-name, h2, h3').first().text().trim(),
-            price: $el.find('[itemprop="price"], .price, .product-price').first().text().trim(),
-            image: $el.find('img').first().attr('src'),
-            link: $el.find('a').first().attr('href')
+            price: price.amount,
+            currency: price.currency,
+            image: resolve($el.find('img').first().attr('src')),
+            link: resolve($el.find('a').first().attr('href'))
           });
         });
         break;
@@ -181,215 +870,6151 @@ class AIScraperService {
     return products;
   }
 
-  async getMobileScreenshot(page, url) {
-    await page.setViewport({ width: 375, height: 667, isMobile: true });
-    await page.goto(url, { waitUntil: 'networkidle2' });
+  // Column counts of the detected grids at tablet and mobile widths
+  async measureGridColumns(page, sections) {
+    const grids = sections.filter(section => section.columns);
+    if (grids.length === 0) return;
+
+    const widths = { tablet: 768, mobile: this.viewports.mobile.width };
+    for (const [name, width] of Object.entries(widths)) {
+      await page.setViewport({ width, height: this.viewports.desktop.height });
+
+      const columns = await page.evaluate(() => {
+        const result = {};
+        document.querySelectorAll('[data-snapshelf-grid]').forEach(container => {
+          const items = Array.from(container.children).filter(item => item.getBoundingClientRect().width > 0);
+          if (!items.length) return;
+          const firstRow = items[0].getBoundingClientRect().top;
+          result[container.getAttribute('data-snapshelf-grid')] = items
+            .filter(item => Math.abs(item.getBoundingClientRect().top - firstRow) < 10).length;
+        });
+        return result;
+      });
+
+      sections.forEach((section, index) => {
+        if (section.columns && columns[index]) section.columns[name] = columns[index];
+      });
+    }
+  }
+
+  async getMobileScreenshot(page, url, options = {}) {
+    await this.open(page, url, options);
     return await page.screenshot({ fullPage: true });
   }
 
   async close() {
-    if (this.browser) {
-      await this.browser.close();
-    }
+    await browserPoolService.close();
   }
 }
 
 module.exports = new AIScraperService();
 
 // ========================================
-// backend/src/services/designAnalyzerService.js
+// backend/src/services/variantExtractorService.js
 // ========================================
 
-const OpenAI = require('openai');
-const sharp = require('sharp');
-const colorThief = require('colorthief');
+const cheerio = require('cheerio');
+const politenessService = require('./politenessService');
+const structuredDataService = require('./structuredDataService');
 
-class DesignAnalyzerService {
+class VariantExtractorService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
+    this.maxPages = parseInt(process.env.VARIANT_MAX_PAGES, 10) || 50;
   }
 
-  async analyzeDesign(scrapedData) {
-    try {
-      const analysis = {
-        colors: await this.analyzeColors(scrapedData.design.colors),
-        typography: this.analyzeTypography(scrapedData.design.fonts),
-        layout: await this.analyzeLayout(scrapedData.design.layout),
-        products: this.analyzeProductStructure(scrapedData.products),
-        aiRecommendations: await this.getAIRecommendations(scrapedData)
-      };
+  // Visits product detail pages and fills product.variants in place
+  async enrich(products, platform, { maxPages = this.maxPages } = {}) {
+    const candidates = products
+      .filter(product => product.link && !this.isComplete(product.variants))
+      .slice(0, maxPages);
 
-      return analysis;
-    } catch (error) {
-      console.error('Design analysis error:', error);
-      throw error;
+    for (const product of candidates) {
+      try {
+        const combinations = await this.extract(product.link, platform);
+        if (combinations.length === 0) continue;
+
+        product.variants = this.groupOptions(combinations);
+
+        const prices = combinations.map(combination => combination.price).filter(price => typeof price === 'number');
+        if (typeof product.price !== 'number' && prices.length) product.price = Math.min(...prices);
+        if (!product.sku && combinations.length === 1) product.sku = combinations[0].sku;
+        product.available = combinations.some(combination => combination.available !== false);
+      } catch (error) {
+        console.error('Variant extraction error:', product.link, error.message);
+      }
     }
+
+    return products;
   }
 
-  async analyzeColors(colors) {
-    // Process and categorize colors
-    const processed = colors.map(color => {
-      // Convert to hex
-      const hex = this.rgbToHex(color);
-      return {
-        original: color,
-        hex,
-        usage: this.categorizeColor(hex)
-      };
-    });
+  // Catalog APIs sometimes give option values without per-option price or SKU
+  isComplete(variants) {
+    return Array.isArray(variants) && variants.length > 0
+      && variants.every(group => group.options.every(option => option.price !== undefined && option.sku));
+  }
 
-    // Find primary, secondary, accent colors
-    return {
-      primary: processed[0]?.hex || '#000000',
-      secondary: processed[1]?.hex || '#666666',
-      accent: processed[2]?.hex || '#0066cc',
-      all: processed
-    };
+  // Returns one entry per purchasable combination: { options: { Size: 'M' }, price, sku, available, image }
+  async extract(link, platform) {
+    if (platform === 'shopify') {
+      const combinations = await this.extractShopify(link).catch(() => []);
+      if (combinations.length) return combinations;
+    }
+
+    const { data } = await politenessService.request({ url: link, responseType: 'text' });
+    const $ = cheerio.load(data);
+
+    const woo = this.extractWooCommerce($, link);
+    if (woo.length) return woo;
+
+    return this.extractGeneric($);
   }
 
-  analyzeTypography(fonts) {
-    const processed = fonts.map(font => {
-      const cleaned = font.replace(/['"]/g, '').split(',')[0].trim();
-      return {
-        family: cleaned,
-        category: this.categorizeFontFamily(cleaned),
-        fallback: this.getFontFallback(cleaned)
-      };
+  async extractShopify(link) {
+    // Every Shopify product page has a JSON twin at <url>.js, prices in cents
+    const { data } = await politenessService.request({ url: `${link.replace(/\/$/, '')}.js` });
+    const optionNames = (data.options || []).map(option => (typeof option === 'string' ? option : option.name));
+
+    return (data.variants || [])
+      .filter(variant => variant.title !== 'Default Title')
+      .map(variant => ({
+        options: optionNames.reduce((result, name, i) => {
+          if (variant[`option${i + 1}`]) result[name] = variant[`option${i + 1}`];
+          return result;
+        }, {}),
+        price: variant.price / 100,
+        comparePrice: variant.compare_at_price ? variant.compare_at_price / 100 : null,
+        sku: variant.sku || undefined,
+        available: variant.available,
+        quantity: typeof variant.inventory_quantity === 'number' ? Math.max(variant.inventory_quantity, 0) : undefined,
+        image: variant.featured_image?.src ? new URL(variant.featured_image.src, link).href : undefined
+      }));
+  }
+
+  extractWooCommerce($, link) {
+    const form = $('form.variations_form[data-product_variations]').first();
+    if (!form.length) return [];
+
+    let variations;
+    try {
+      variations = JSON.parse(form.attr('data-product_variations'));
+    } catch (error) {
+      return [];
+    }
+    // "false" means the variations are loaded over AJAX; generic selects still work then
+    if (!Array.isArray(variations)) return [];
+
+    // attribute_pa_size -> "Size", read from the form labels
+    const labels = {};
+    form.find('select[name^="attribute_"]').each((i, el) => {
+      const name = $(el).attr('name');
+      const label = form.find(`label[for="${$(el).attr('id')}"]`).text().trim();
+      labels[name] = label || name.replace(/^attribute_(pa_)?/, '').replace(/[-_]/g, ' ');
     });
 
-    return {
-      heading: processed[0] || { family: 'Arial', category: 'sans-serif' },
-      body: processed[1] || processed[0] || { family: 'Arial', category: 'sans-serif' },
-      all: processed
+    const optionText = (attribute, value) => {
+      const text = form.find(`select[name="${attribute}"] option[value="${value}"]`).text().trim();
+      return text || value;
     };
+
+    return variations.map(variation => ({
+      options: Object.entries(variation.attributes || {}).reduce((result, [attribute, value]) => {
+        // An empty value means "any", which we can't expand here
+        if (value) result[labels[attribute] || attribute] = optionText(attribute, value);
+        return result;
+      }, {}),
+      price: typeof variation.display_price === 'number' ? variation.display_price : undefined,
+      comparePrice: variation.display_regular_price > variation.display_price ? variation.display_regular_price : null,
+      sku: variation.sku || undefined,
+      available: variation.is_in_stock !== false && variation.is_purchasable !== false,
+      quantity: typeof variation.max_qty === 'number' ? variation.max_qty : undefined,
+      image: variation.image?.full_src || variation.image?.src ? new URL(variation.image.full_src || variation.image.src, link).href : undefined
+    }));
   }
 
-  async analyzeLayout(layout) {
-    return {
-      structure: {
-        header: layout.hasHeader,
-        navigation: layout.hasNav,
-        mainContent: layout.hasMainContent,
-        footer: layout.hasFooter
+  // Option selects and swatches without per-combination data: one entry per value
+  extractGeneric($) {
+    const groups = [];
+
+    $('select[name*="option" i], select[name*="size" i], select[name*="color" i], select[name*="colour" i], select[data-option], select[data-index]')
+      .each((i, el) => {
+        const $select = $(el);
+        const name = $(`label[for="${$select.attr('id')}"]`).text().trim()
+          || $select.attr('data-option') || $select.attr('aria-label') || $select.attr('name');
+
+        const values = $select.find('option').map((j, option) => ({
+          value: $(option).text().trim(),
+          price: structuredDataService.parsePrice($(option).attr('data-price')).amount ?? undefined,
+          sku: $(option).attr('data-sku') || undefined,
+          available: !$(option).is('[disabled]') && !/sold out|unavailable/i.test($(option).text())
+        })).get().filter(option => option.value && !/^(choose|select|pick)\b/i.test(option.value));
+
+        if (values.length) groups.push({ name, values });
+      });
+
+    // Swatches: radio inputs or buttons grouped by fieldset
+    $('fieldset, [class*="swatch" i][class*="group" i], [class*="variant-picker" i]').each((i, el) => {
+      const $group = $(el);
+      const inputs = $group.find('input[type="radio"], [data-value]');
+      if (!inputs.length || $group.find('select').length) return;
+
+      const name = $group.find('legend, [class*="label" i]').first().text().replace(/:.*$/, '').trim()
+        || inputs.first().attr('name');
+      const values = inputs.map((j, input) => ({
+        value: $(input).attr('value') || $(input).attr('data-value') || $(input).attr('aria-label'),
+        available: !$(input).is('[disabled]') && !/disabled|sold-out|unavailable/i.test($(input).attr('class') || '')
+      })).get().filter(option => option.value);
+
+      if (name && values.length && !groups.some(group => group.name === name)) groups.push({ name, values });
+    });
+
+    return groups.flatMap(group => group.values.map(option => ({
+      options: { [group.name]: option.value },
+      price: option.price,
+      sku: option.sku,
+      available: option.available
+    })));
+  }
+
+  // Product.variants is option-group shaped; each value keeps the cheapest price, the SKU
+  // when it identifies a single variant, and whether any combination with it is in stock
+  groupOptions(combinations) {
+    const names = [];
+    combinations.forEach(combination => {
+      Object.keys(combination.options).forEach(name => {
+        if (!names.includes(name)) names.push(name);
+      });
+    });
+
+    return names.map(name => {
+      const values = new Map();
+
+      combinations.forEach(combination => {
+        const value = combination.options[name];
+        if (!value) return;
+        if (!values.has(value)) values.set(value, []);
+        values.get(value).push(combination);
+      });
+
+      return {
+        name,
+        options: Array.from(values.entries()).map(([value, matches]) => {
+          const prices = matches.map(match => match.price).filter(price => typeof price === 'number');
+          const quantities = matches.map(match => match.quantity).filter(quantity => typeof quantity === 'number');
+
+          return {
+            value,
+            price: prices.length ? Math.min(...prices) : undefined,
+            sku: matches.length === 1 ? matches[0].sku : undefined,
+            quantity: quantities.length ? quantities.reduce((total, quantity) => total + quantity, 0) : undefined,
+            available: matches.some(match => match.available !== false),
+            image: matches.find(match => match.image)?.image
+          };
+        })
+      };
+    });
+  }
+}
+
+module.exports = new VariantExtractorService();
+
+// ========================================
+// backend/src/services/browserPoolService.js
+// ========================================
+
+const puppeteer = require('puppeteer');
+
+class BrowserPoolService {
+  constructor() {
+    this.maxContexts = parseInt(process.env.SCRAPER_MAX_CONTEXTS, 10) || 4;
+    // Chromium grows over time, so the browser is restarted after this many pages
+    this.recycleAfter = parseInt(process.env.SCRAPER_RECYCLE_AFTER, 10) || 200;
+    this.browser = null;
+    this.launching = null;
+    this.active = 0;
+    this.waiting = [];
+    this.pagesServed = 0;
+  }
+
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) return this.browser;
+
+    // Concurrent callers share one launch
+    if (!this.launching) {
+      this.launching = puppeteer.launch({
+        headless: 'new',
+        args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+      }).then(browser => {
+        browser.on('disconnected', () => {
+          // Crashed or closed: the next acquire launches a fresh one
+          if (this.browser === browser) this.browser = null;
+        });
+        this.browser = browser;
+        this.pagesServed = 0;
+        return browser;
+      }).finally(() => {
+        this.launching = null;
+      });
+    }
+
+    return this.launching;
+  }
+
+  async acquire() {
+    if (this.active < this.maxContexts) {
+      this.active++;
+      return;
+    }
+
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    // Hand the slot straight to the next waiter, if any
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  // Runs fn with a page in its own incognito context; the context is always closed afterwards
+  async withPage(fn, { viewport } = {}, attempt = 0) {
+    await this.acquire();
+
+    let browser;
+    let context;
+    try {
+      browser = await this.getBrowser();
+      context = await browser.createIncognitoBrowserContext();
+
+      const page = await context.newPage();
+      if (viewport) await page.setViewport(viewport);
+
+      return await fn(page);
+    } catch (error) {
+      const crashed = browser && !browser.isConnected();
+      if (!crashed || attempt > 0) throw error;
+    } finally {
+      if (context) await context.close().catch(() => {});
+      this.pagesServed++;
+      this.release();
+      await this.recycleIfNeeded();
+    }
+
+    // The browser died under us: retry once on a relaunched one
+    return this.withPage(fn, { viewport }, attempt + 1);
+  }
+
+  async recycleIfNeeded() {
+    if (this.pagesServed < this.recycleAfter || this.active > 0 || !this.browser) return;
+
+    const browser = this.browser;
+    this.browser = null;
+    await browser.close().catch(() => {});
+  }
+
+  async close() {
+    if (this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      await browser.close();
+    }
+  }
+}
+
+module.exports = new BrowserPoolService();
+
+// ========================================
+// backend/src/services/politenessService.js
+// ========================================
+
+const axios = require('axios');
+
+class PolitenessService {
+  constructor() {
+    this.userAgent = process.env.SCRAPER_USER_AGENT || 'SnapShelfBot/1.0 (+https://snapshelf.io/bot)';
+    // Token matched against robots.txt user-agent groups
+    this.agentToken = this.userAgent.split('/')[0].toLowerCase();
+    this.domainConcurrency = parseInt(process.env.SCRAPER_DOMAIN_CONCURRENCY, 10) || 2;
+    this.domainInterval = parseInt(process.env.SCRAPER_DOMAIN_INTERVAL_MS, 10) || 1000;
+    this.robotsTtl = 60 * 60 * 1000;
+    this.robots = new Map();
+    this.domains = new Map();
+  }
+
+  async getRobots(origin) {
+    const cached = this.robots.get(origin);
+    if (cached && Date.now() - cached.fetchedAt < this.robotsTtl) return cached;
+
+    let rules;
+    try {
+      const response = await axios.get(`${origin}/robots.txt`, {
+        headers: { 'User-Agent': this.userAgent },
+        timeout: 10000,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      // RFC 9309: a missing robots.txt allows everything, a server error disallows everything
+      if (response.status >= 500) {
+        rules = { groups: [{ agents: ['*'], rules: [{ allow: false, path: '/' }], crawlDelay: null }], sitemaps: [] };
+      } else if (response.status >= 400) {
+        rules = { groups: [], sitemaps: [] };
+      } else {
+        rules = this.parse(String(response.data));
+      }
+    } catch (error) {
+      // Unreachable hosts fail on the page request itself
+      rules = { groups: [], sitemaps: [] };
+    }
+
+    const entry = { ...rules, fetchedAt: Date.now() };
+    this.robots.set(origin, entry);
+    return entry;
+  }
+
+  parse(text) {
+    const groups = [];
+    const sitemaps = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.substring(0, separator).trim().toLowerCase();
+      const value = line.substring(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent) {
+          current = { agents: [], rules: [], crawlDelay: null };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+
+      lastWasAgent = false;
+      if (field === 'sitemap') {
+        sitemaps.push(value);
+      } else if (current && (field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      } else if (current && field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!isNaN(delay)) current.crawlDelay = delay;
+      }
+    });
+
+    return { groups, sitemaps };
+  }
+
+  // RFC 9309: product tokens match case-insensitively and every group naming
+  // ours (or, failing that, every * group) is combined into one
+  selectGroup(robots) {
+    const named = robots.groups.filter(group => group.agents.includes(this.agentToken));
+    const groups = named.length ? named : robots.groups.filter(group => group.agents.includes('*'));
+    if (groups.length === 0) return null;
+
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    return {
+      agents: [...new Set(groups.flatMap(group => group.agents))],
+      rules: groups.flatMap(group => group.rules),
+      crawlDelay: delays.length ? Math.max(...delays) : null
+    };
+  }
+
+  async isAllowed(url) {
+    const { origin, pathname, search } = new URL(url);
+    const group = this.selectGroup(await this.getRobots(origin));
+    if (!group) return true;
+
+    const target = pathname + search;
+    let match = null;
+
+    // Longest matching rule wins, allow wins a tie
+    group.rules.forEach(rule => {
+      if (!this.matches(rule.path, target)) return;
+      if (!match || rule.path.length > match.path.length || (rule.path.length === match.path.length && rule.allow)) {
+        match = rule;
+      }
+    });
+
+    return !match || match.allow;
+  }
+
+  matches(pattern, target) {
+    const anchored = pattern.endsWith('$');
+    const body = (anchored ? pattern.slice(0, -1) : pattern)
+      .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*/g, '.*');
+    return new RegExp(`^${body}${anchored ? '$' : ''}`).test(target);
+  }
+
+  async assertAllowed(url) {
+    if (await this.isAllowed(url)) return;
+
+    const { origin, pathname } = new URL(url);
+    const error = new Error(`${origin} does not allow crawling ${pathname} (robots.txt)`);
+    error.code = 'CRAWL_DISALLOWED';
+    error.statusCode = 403;
+    throw error;
+  }
+
+  async getSitemaps(origin) {
+    return (await this.getRobots(origin)).sitemaps;
+  }
+
+  async getCrawlDelay(origin) {
+    const group = this.selectGroup(await this.getRobots(origin));
+    return group && group.crawlDelay ? group.crawlDelay * 1000 : 0;
+  }
+
+  // Runs task under the per-domain concurrency limit, spacing request starts by the crawl delay
+  async schedule(url, task) {
+    const { origin, hostname } = new URL(url);
+    const interval = Math.max(this.domainInterval, await this.getCrawlDelay(origin));
+
+    if (!this.domains.has(hostname)) {
+      this.domains.set(hostname, { active: 0, waiting: [], nextAt: 0 });
+    }
+    const domain = this.domains.get(hostname);
+
+    if (domain.active < this.domainConcurrency) {
+      domain.active++;
+    } else {
+      await new Promise(resolve => domain.waiting.push(resolve));
+    }
+
+    try {
+      // Reserve the next start slot before sleeping so waiters don't all wake at once
+      const startAt = Math.max(Date.now(), domain.nextAt);
+      domain.nextAt = startAt + interval;
+      if (startAt > Date.now()) await new Promise(resolve => setTimeout(resolve, startAt - Date.now()));
+
+      return await task();
+    } finally {
+      const next = domain.waiting.shift();
+      if (next) {
+        next();
+      } else {
+        domain.active--;
+      }
+    }
+  }
+
+  // axios request that honours robots.txt, the rate limits and sends our user agent
+  async request(config) {
+    await this.assertAllowed(config.url);
+
+    return this.schedule(config.url, () => axios({
+      timeout: 15000,
+      ...config,
+      headers: { 'User-Agent': this.userAgent, ...(config.headers || {}) }
+    }));
+  }
+}
+
+module.exports = new PolitenessService();
+
+// ========================================
+// backend/src/services/platformDetectorService.js
+// ========================================
+
+class PlatformDetectorService {
+  constructor() {
+    // Each signal adds its weight when it matches the page markup, response headers or asset paths
+    this.fingerprints = {
+      shopify: {
+        html: [/cdn\.shopify\.com/i, /window\.Shopify\s*=/, /Shopify\.theme/, /shopify-section/],
+        headers: { 'x-shopid': /.*/, 'x-shopify-stage': /.*/, 'powered-by': /shopify/i },
+        assets: [/\/cdn\/shop\//, /\/s\/files\/\d+\//]
       },
-      dimensions: {
-        headerHeight: layout.headerHeight,
-        footerHeight: layout.footerHeight
+      woocommerce: {
+        html: [/class="[^"]*woocommerce/i, /woocommerce_params/, /wc-block-/, /wc_add_to_cart_params/],
+        headers: { link: /wp-json/i },
+        assets: [/\/wp-content\/plugins\/woocommerce\//]
       },
-      recommendations: {
-        mobileFirst: true,
-        responsiveGrid: 'flexbox',
-        breakpoints: {
-          mobile: 768,
-          tablet: 1024,
-          desktop: 1440
-        }
+      magento: {
+        html: [/text\/x-magento-init/, /Magento_[A-Za-z]+\//, /mage\/cookies/, /data-mage-init/],
+        headers: { 'x-magento-cache-debug': /.*/, 'x-magento-tags': /.*/ },
+        assets: [/\/static\/(version\d+\/)?frontend\//]
+      },
+      bigcommerce: {
+        html: [/BCData\s*=/, /stencil-utils/, /bigcommerce\.com\/s-/],
+        headers: { 'x-bc-storefront': /.*/, 'x-bc-apigw-request-id': /.*/ },
+        assets: [/cdn\d*\.bigcommerce\.com\//]
+      },
+      wix: {
+        html: [/<meta name="generator" content="Wix\.com/i, /wix-warmup-data/, /wix-image/],
+        headers: { 'x-wix-request-id': /.*/, server: /pepyaka/i },
+        assets: [/static\.wixstatic\.com\//, /static\.parastorage\.com\//]
       }
     };
   }
 
-  analyzeProductStructure(products) {
-    if (!products || products.length === 0) return null;
+  detect({ html = '', headers = {}, assets = [] }) {
+    const normalizedHeaders = Object.keys(headers).reduce((result, key) => {
+      result[key.toLowerCase()] = String(headers[key]);
+      return result;
+    }, {});
+
+    const scores = Object.entries(this.fingerprints).map(([name, fingerprint]) => {
+      const signals = [];
+
+      fingerprint.html.forEach(pattern => {
+        if (pattern.test(html)) signals.push(`html:${pattern.source}`);
+      });
+
+      Object.entries(fingerprint.headers).forEach(([header, pattern]) => {
+        if (normalizedHeaders[header] !== undefined && pattern.test(normalizedHeaders[header])) {
+          signals.push(`header:${header}`);
+        }
+      });
+
+      fingerprint.assets.forEach(pattern => {
+        if (assets.some(asset => pattern.test(asset)) || pattern.test(html)) {
+          signals.push(`asset:${pattern.source}`);
+        }
+      });
+
+      // Headers are the hardest to fake, markup matches can come from embedded widgets
+      const score = signals.reduce((total, signal) => total + (signal.startsWith('header:') ? 3 : 1), 0);
+      return { name, score, signals };
+    });
+
+    const best = scores.sort((a, b) => b.score - a.score)[0];
+
+    if (!best || best.score < 2) {
+      return { name: 'custom', confidence: 0, signals: [] };
+    }
 
     return {
-      count: products.length,
-      hasImages: products.some(p => p.image),
-      hasPrices: products.some(p => p.price),
-      structure: {
-        nameField: 'name',
-        priceField: 'price',
-        imageField: 'image',
-        linkField: 'link'
-      },
-      samples: products.slice(0, 3)
+      name: best.name,
+      confidence: Math.min(1, best.score / 6),
+      signals: best.signals
     };
   }
+}
+
+module.exports = new PlatformDetectorService();
+
+// ========================================
+// backend/src/services/catalogExtractorService.js
+// ========================================
+
+const structuredDataService = require('./structuredDataService');
+const politenessService = require('./politenessService');
+
+class CatalogExtractorService {
+  constructor() {
+    this.extractors = {
+      shopify: this.extractShopify.bind(this),
+      woocommerce: this.extractWooCommerce.bind(this),
+      magento: this.extractMagento.bind(this),
+      bigcommerce: this.extractBigCommerce.bind(this),
+      wix: this.extractWix.bind(this)
+    };
+  }
+
+  // Returns null when the platform has no extractor or its catalog can't be read,
+  // so the caller can fall back to generic selectors
+  async extract(platform, { url, $, maxProducts = 1000 }) {
+    const extractor = this.extractors[platform];
+    if (!extractor) return null;
 
-  async getAIRecommendations(scrapedData) {
     try {
-      const prompt = `
-        Analyze this e-commerce website and provide recommendations:
-        URL: ${scrapedData.url}
-        Colors: ${JSON.stringify(scrapedData.design.colors.slice(0, 5))}
-        Fonts: ${JSON.stringify(scrapedData.design.fonts.slice(0, 3))}
-        Has Products: ${scrapedData.products.length > 0}
-        
-        Provide JSON response with:
-        1. Design improvements
-        2. UX enhancements
-        3. Mobile optimization tips
-        4. Conversion optimization suggestions
-      `;
+      const products = await extractor({ url, $, origin: new URL(url).origin, maxProducts });
+      return products && products.length > 0 ? products.slice(0, maxProducts) : null;
+    } catch (error) {
+      console.error(`Catalog extraction error (${platform}):`, error.message);
+      return null;
+    }
+  }
+
+  async extractShopify({ origin, maxProducts }) {
+    const products = [];
 
-      const completion = await this.openai.chat.completions.create({
-        model: "gpt-4-turbo-preview",
-        messages: [{ role: "user", content: prompt }],
-        response_format: { type: "json_object" }
+    for (let page = 1; products.length < maxProducts; page++) {
+      const { data } = await politenessService.request({
+        url: `${origin}/products.json`,
+        params: { limit: 250, page }
       });
 
-      return JSON.parse(completion.choices[0].message.content);
-    } catch (error) {
-      console.error('AI recommendation error:', error);
-      return {
-        improvements: ["Modern design patterns", "Better color contrast", "Clear CTAs"],
-        ux: ["Simplified navigation", "Faster load times", "Better mobile experience"],
-        mobile: ["Touch-friendly buttons", "Responsive images", "Optimized fonts"],
-        conversion: ["Clear value proposition", "Trust badges", "Simplified checkout"]
-      };
+      if (!data.products || data.products.length === 0) break;
+
+      data.products.forEach(item => {
+        const variants = item.variants || [];
+        const prices = variants.map(v => parseFloat(v.price)).filter(p => !isNaN(p));
+        const comparePrices = variants.map(v => parseFloat(v.compare_at_price)).filter(p => !isNaN(p));
+
+        products.push({
+          name: item.title,
+          description: item.body_html,
+          price: prices.length ? Math.min(...prices) : null,
+          comparePrice: comparePrices.length ? Math.max(...comparePrices) : null,
+          sku: variants[0]?.sku || undefined,
+          brand: item.vendor,
+          tags: Array.isArray(item.tags) ? item.tags : String(item.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+          images: (item.images || []).map(image => image.src),
+          image: item.images?.[0]?.src,
+          link: `${origin}/products/${item.handle}`,
+          available: variants.some(v => v.available),
+          variants: (item.options || [])
+            .filter(option => !(option.values.length === 1 && option.values[0] === 'Default Title'))
+            .map(option => ({
+              name: option.name,
+              options: option.values.map(value => {
+                const variant = variants.find(v => v[`option${option.position}`] === value) || {};
+                return {
+                  value,
+                  price: variant.price !== undefined ? parseFloat(variant.price) : undefined,
+                  sku: variant.sku || undefined
+                };
+              })
+            }))
+        });
+      });
+
+      if (data.products.length < 250) break;
     }
+
+    return products;
   }
 
-  rgbToHex(rgb) {
-    if (rgb.startsWith('#')) return rgb;
-    
-    const match = rgb.match(/rgba?\((\d+),\s*(\d+),\s*(\d+)/);
-    if (!match) return '#000000';
-    
-    const hex = (x) => {
-      const h = parseInt(x).toString(16);
-      return h.length === 1 ? '0' + h : h;
-    };
-    
-    return '#' + hex(match[1]) + hex(match[2]) + hex(match[3]);
+  async extractWooCommerce({ origin, maxProducts }) {
+    const products = [];
+
+    for (let page = 1; products.length < maxProducts; page++) {
+      const { data, headers } = await politenessService.request({
+        url: `${origin}/wp-json/wc/store/v1/products`,
+        params: { per_page: 100, page }
+      });
+
+      if (!Array.isArray(data) || data.length === 0) break;
+
+      data.forEach(item => {
+        // Store API prices are integers in the currency's minor unit
+        const divisor = Math.pow(10, item.prices?.currency_minor_unit ?? 2);
+        const toAmount = (value) => (value ? parseInt(value, 10) / divisor : null);
+
+        products.push({
+          name: item.name,
+          description: item.description,
+          shortDescription: item.short_description,
+          price: toAmount(item.prices?.price),
+          comparePrice: item.on_sale ? toAmount(item.prices?.regular_price) : null,
+          currency: item.prices?.currency_code,
+          sku: item.sku || undefined,
+          tags: (item.tags || []).map(tag => tag.name),
+          images: (item.images || []).map(image => image.src),
+          image: item.images?.[0]?.src,
+          link: item.permalink,
+          available: item.is_in_stock,
+          variants: (item.attributes || [])
+            .filter(attribute => attribute.has_variations)
+            .map(attribute => ({
+              name: attribute.name,
+              options: (attribute.terms || []).map(term => ({ value: term.name }))
+            }))
+        });
+      });
+
+      const totalPages = parseInt(headers['x-wp-totalpages'], 10);
+      if (!totalPages || page >= totalPages) break;
+    }
+
+    return products;
   }
 
-  categorizeColor(hex) {
-    // Simple categorization based on common use cases
-    const rgb = this.hexToRgb(hex);
-    const brightness = (rgb.r * 299 + rgb.g * 587 + rgb.b * 114) / 1000;
-    
-    if (brightness > 200) return 'background';
-    if (brightness < 50) return 'text';
-    return 'accent';
+  async extractMagento({ origin, maxProducts }) {
+    const products = [];
+    const query = `
+      query ($page: Int!) {
+        products(filter: { price: { from: "0" } }, pageSize: 100, currentPage: $page) {
+          items {
+            name
+            sku
+            url_key
+            url_suffix
+            description { html }
+            stock_status
+            media_gallery { url label }
+            price_range {
+              minimum_price {
+                regular_price { value currency }
+                final_price { value currency }
+              }
+            }
+            ... on ConfigurableProduct {
+              configurable_options { label values { label } }
+            }
+          }
+          page_info { current_page total_pages }
+        }
+      }
+    `;
+
+    for (let page = 1; products.length < maxProducts; page++) {
+      const { data } = await politenessService.request({
+        method: 'post',
+        url: `${origin}/graphql`,
+        data: { query, variables: { page } }
+      });
+      const result = data?.data?.products;
+      if (!result || result.items.length === 0) break;
+
+      result.items.forEach(item => {
+        const { regular_price: regular, final_price: final } = item.price_range.minimum_price;
+
+        products.push({
+          name: item.name,
+          description: item.description?.html,
+          price: final.value,
+          comparePrice: regular.value > final.value ? regular.value : null,
+          currency: final.currency,
+          sku: item.sku,
+          images: (item.media_gallery || []).map(image => image.url),
+          image: item.media_gallery?.[0]?.url,
+          link: `${origin}/${item.url_key}${item.url_suffix || '.html'}`,
+          available: item.stock_status === 'IN_STOCK',
+          variants: (item.configurable_options || []).map(option => ({
+            name: option.label,
+            options: option.values.map(value => ({ value: value.label }))
+          }))
+        });
+      });
+
+      if (result.page_info.current_page >= result.page_info.total_pages) break;
+    }
+
+    return products;
   }
 
-  hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-      r: parseInt(result[1], 16),
-      g: parseInt(result[2], 16),
-      b: parseInt(result[3], 16)
-    } : null;
+  // BigCommerce and Wix storefront APIs need per-store tokens, so these read the rendered listing markup
+  async extractBigCommerce({ $, url }) {
+    return this.extractFromCards($, url, {
+      card: '.card[data-product-id], [data-product-id].productGrid-item, li.product article',
+      name: '.card-title, [data-test-info-type="productName"]',
+      price: '[data-product-price-without-tax], .price--withoutTax, .price--main',
+      image: '.card-image, img',
+      link: '.card-figure a, .card-title a, a'
+    });
   }
 
-  categorizeFontFamily(font) {
-    const serif = ['Times', 'Georgia', 'Garamond', 'Serif'];
-    const sansSerif = ['Arial', 'Helvetica', 'Sans', 'Roboto', 'Open Sans'];
-    const monospace = ['Courier', 'Monaco', 'Consolas', 'Monospace'];
-    
-    if (serif.some(s => font.includes(s))) return 'serif';
-    if (monospace.some(m => font.includes(m))) return 'monospace';
-    return 'sans-serif';
+  async extractWix({ $, url }) {
+    return this.extractFromCards($, url, {
+      card: '[data-hook="product-item-root"], [data-hook="product-list-grid-item"]',
+      name: '[data-hook="product-item-name"]',
+      price: '[data-hook="product-item-price-to-pay"], [data-hook="product-item-price"]',
+      image: 'img',
+      link: 'a[data-hook="product-item-container"], a'
+    });
   }
 
-  getFontFallback(font) {
-    const category = this.categorizeFontFamily(font);
-    return category === 'serif' ? 'Georgia, serif' : 
-           category === 'monospace' ? 'Courier New, monospace' : 
-           'Arial, sans-serif';
+  extractFromCards($, url, selectors) {
+    const products = [];
+
+    $(selectors.card).each((i, el) => {
+      const $el = $(el);
+      const $image = $el.find(selectors.image).first();
+      const image = $image.attr('data-src') || $image.attr('src');
+      const link = $el.find(selectors.link).first().attr('href');
+      const price = structuredDataService.parsePrice($el.find(selectors.price).first().text().trim());
+
+      products.push({
+        name: $el.find(selectors.name).first().text().trim(),
+        price: price.amount,
+        currency: price.currency,
+        images: image ? [new URL(image, url).href] : [],
+        image: image ? new URL(image, url).href : undefined,
+        link: link ? new URL(link, url).href : undefined
+      });
+    });
+
+    return products.filter(product => product.name);
   }
 }
 
-module.exports = new DesignAnalyzerService();
\ No newline at end of file
+module.exports = new CatalogExtractorService();
+
+// ========================================
+// backend/src/services/structuredDataService.js
+// ========================================
+
+class StructuredDataService {
+  constructor() {
+    this.currencySymbols = [
+      ['R$', 'BRL'], ['A$', 'AUD'], ['C$', 'CAD'], ['NZ$', 'NZD'], ['HK$', 'HKD'],
+      ['US$', 'USD'], ['CHF', 'CHF'], ['zł', 'PLN'], ['Kč', 'CZK'],
+      ['€', 'EUR'], ['£', 'GBP'], ['¥', 'JPY'], ['₪', 'ILS'], ['₹', 'INR'],
+      ['₩', 'KRW'], ['₽', 'RUB'], ['₺', 'TRY'], ['$', 'USD']
+    ];
+
+    this.isoCurrencies = [
+      'USD', 'EUR', 'GBP', 'JPY', 'ILS', 'INR', 'KRW', 'RUB', 'TRY', 'BRL', 'AUD', 'CAD', 'NZD',
+      'HKD', 'SGD', 'CHF', 'PLN', 'CZK', 'SEK', 'NOK', 'DKK', 'MXN', 'ZAR', 'AED', 'CNY'
+    ];
+
+    this.availability = {
+      instock: 'in_stock',
+      limitedavailability: 'in_stock',
+      onlineonly: 'in_stock',
+      instoreonly: 'in_stock',
+      outofstock: 'out_of_stock',
+      soldout: 'out_of_stock',
+      preorder: 'preorder',
+      presale: 'preorder',
+      backorder: 'backorder',
+      discontinued: 'discontinued'
+    };
+  }
+
+  extract($, url) {
+    const sources = [
+      ...this.extractJsonLd($, url),
+      ...this.extractMicrodata($, url),
+      ...this.extractOpenGraph($, url)
+    ];
+
+    // Items without a url of their own link to the page. On a product page that is the
+    // product, but a listing with several of them would fold them into one.
+    const atPage = {};
+    sources.filter(product => !product.sku && product.link === url)
+      .forEach(product => { atPage[product.source] = (atPage[product.source] || 0) + 1; });
+
+    // The same product is often described by several sources, JSON-LD being the most complete
+    const products = new Map();
+    sources.forEach((product, index) => {
+      const listed = !product.sku && product.link === url && atPage[product.source] > 1;
+      const key = listed ? product.name || `#${index}` : product.sku || product.link || product.name;
+      if (!key) return;
+
+      const existing = products.get(key);
+      products.set(key, existing ? this.mergeProduct(existing, product) : product);
+    });
+
+    return Array.from(products.values());
+  }
+
+  extractJsonLd($, url) {
+    const nodes = [];
+
+    $('script[type="application/ld+json"]').each((i, el) => {
+      try {
+        this.collectNodes(JSON.parse($(el).contents().text()), nodes);
+      } catch (error) {
+        // Broken JSON-LD blocks are common, skip them
+      }
+    });
+
+    return nodes
+      .filter(node => this.hasType(node, 'Product') || this.hasType(node, 'ProductGroup'))
+      .map(node => this.fromSchemaProduct(node, url, 'json-ld'));
+  }
+
+  collectNodes(data, nodes) {
+    if (!data || typeof data !== 'object') return;
+
+    if (Array.isArray(data)) {
+      data.forEach(item => this.collectNodes(item, nodes));
+      return;
+    }
+
+    nodes.push(data);
+    if (data['@graph']) this.collectNodes(data['@graph'], nodes);
+    if (data.itemListElement) {
+      this.collectNodes([].concat(data.itemListElement).map(element => element.item || element), nodes);
+    }
+  }
+
+  hasType(node, type) {
+    return [].concat(node['@type'] || []).some(t => String(t).replace(/^.*[/#]/, '') === type);
+  }
+
+  fromSchemaProduct(node, url, source) {
+    // ProductGroup keeps offers on its variants
+    const variants = [].concat(node.hasVariant || []);
+    const offers = [].concat(node.offers || []).concat(variants.flatMap(variant => [].concat(variant.offers || [])));
+    const offer = this.pickOffer(offers, node.offers?.priceCurrency);
+
+    return {
+      name: this.text(node.name),
+      description: this.text(node.description),
+      price: offer.price,
+      comparePrice: offer.comparePrice,
+      currency: offer.currency,
+      availability: offer.availability,
+      sku: this.text(node.sku || node.productGroupID || node.mpn),
+      gtin: this.text(node.gtin13 || node.gtin12 || node.gtin14 || node.gtin8 || node.gtin),
+      brand: this.text(node.brand?.name || node.brand),
+      images: this.toUrls([].concat(node.image || []).concat(variants.flatMap(v => [].concat(v.image || []))), url),
+      link: node.url ? new URL(this.text(node.url), url).href : url,
+      source
+    };
+  }
+
+  pickOffer(offers, fallbackCurrency) {
+    const candidates = offers.map(offer => {
+      const specs = [].concat(offer.priceSpecification || []);
+      const sale = specs.find(spec => !/(ListPrice|StrikethroughPrice|MSRP)/.test(spec.priceType || '')) || {};
+      const list = specs.find(spec => /(ListPrice|StrikethroughPrice|MSRP)/.test(spec.priceType || ''));
+      const currency = offer.priceCurrency || sale.priceCurrency || fallbackCurrency;
+      const parsed = this.parsePrice(offer.price ?? offer.lowPrice ?? sale.price, currency);
+
+      return {
+        price: parsed.amount,
+        currency: parsed.currency,
+        comparePrice: list ? this.parsePrice(list.price).amount : null,
+        availability: this.normalizeAvailability(offer.availability)
+      };
+    }).filter(candidate => candidate.price !== null);
+
+    // Prefer the cheapest offer, which is what listing pages show as "from" price
+    return candidates.sort((a, b) => a.price - b.price)[0] || {
+      price: null, comparePrice: null, currency: fallbackCurrency || null, availability: null
+    };
+  }
+
+  extractMicrodata($, url) {
+    const products = [];
+
+    $('[itemscope][itemtype*="schema.org/Product"]').each((i, el) => {
+      const $product = $(el);
+      const props = {};
+
+      $product.find('[itemprop]').each((j, propEl) => {
+        const $prop = $(propEl);
+        // Skip properties that belong to nested products (related items, bundles)
+        const owner = $prop.parent().closest('[itemscope][itemtype*="schema.org/Product"]');
+        if (owner.length && owner[0] !== el) return;
+
+        const name = $prop.attr('itemprop');
+        const value = $prop.attr('content') || $prop.attr('href') || $prop.attr('src') || $prop.text().trim();
+        (props[name] = props[name] || []).push(value);
+      });
+
+      const price = this.parsePrice(props.price?.[0] || props.lowPrice?.[0], props.priceCurrency?.[0]);
+
+      products.push({
+        name: props.name?.[0],
+        description: props.description?.[0],
+        price: price.amount,
+        comparePrice: null,
+        currency: price.currency,
+        availability: this.normalizeAvailability(props.availability?.[0]),
+        sku: props.sku?.[0],
+        gtin: props.gtin13?.[0] || props.gtin12?.[0] || props.gtin?.[0],
+        brand: props.brand?.[0],
+        images: this.toUrls(props.image || [], url),
+        link: props.url?.[0] ? new URL(props.url[0], url).href : url,
+        source: 'microdata'
+      });
+    });
+
+    return products.filter(product => product.name);
+  }
+
+  extractOpenGraph($, url) {
+    const meta = (property) => $(`meta[property="${property}"], meta[name="${property}"]`)
+      .map((i, el) => $(el).attr('content')).get();
+
+    const type = (meta('og:type')[0] || '').toLowerCase();
+    if (!type.includes('product')) return [];
+
+    const price = this.parsePrice(
+      meta('product:price:amount')[0] || meta('og:price:amount')[0],
+      meta('product:price:currency')[0] || meta('og:price:currency')[0]
+    );
+
+    return [{
+      name: meta('og:title')[0],
+      description: meta('og:description')[0],
+      price: price.amount,
+      comparePrice: this.parsePrice(meta('product:original_price:amount')[0]).amount,
+      currency: price.currency,
+      availability: this.normalizeAvailability(meta('product:availability')[0] || meta('og:availability')[0]),
+      sku: meta('product:retailer_item_id')[0],
+      gtin: meta('product:gtin')[0] || meta('product:upc')[0] || meta('product:ean')[0],
+      brand: meta('product:brand')[0],
+      images: this.toUrls(meta('og:image:secure_url').concat(meta('og:image')), url),
+      link: meta('og:url')[0] || url,
+      source: 'opengraph'
+    }].filter(product => product.name);
+  }
+
+  mergeProduct(primary, secondary) {
+    const merged = { ...primary };
+
+    Object.keys(secondary).forEach(key => {
+      if (merged[key] === null || merged[key] === undefined || merged[key] === '') {
+        merged[key] = secondary[key];
+      }
+    });
+
+    merged.images = Array.from(new Set([...(primary.images || []), ...(secondary.images || [])]));
+    return merged;
+  }
+
+  // "$19.99 USD" -> { amount: 19.99, currency: 'USD' }, "From €10" -> { amount: 10, currency: 'EUR' },
+  // "1.234,56 €" -> { amount: 1234.56, currency: 'EUR' }
+  parsePrice(value, currency) {
+    if (value === null || value === undefined || value === '') {
+      return { amount: null, currency: currency ? String(currency).toUpperCase() : null };
+    }
+
+    if (typeof value === 'number') {
+      return { amount: value, currency: currency ? String(currency).toUpperCase() : null };
+    }
+
+    const text = String(value);
+    const iso = (text.match(/\b[A-Z]{3}\b/g) || []).find(code => this.isoCurrencies.includes(code));
+    const symbol = this.currencySymbols.find(([sym]) => text.includes(sym));
+    const detected = currency || iso || (symbol && symbol[1]) || null;
+
+    const match = text.match(/\d[\d.,\s']*/);
+    if (!match) return { amount: null, currency: detected ? String(detected).toUpperCase() : null };
+
+    let number = match[0].trim().replace(/[\s']/g, '');
+    const lastDot = number.lastIndexOf('.');
+    const lastComma = number.lastIndexOf(',');
+
+    if (lastDot !== -1 && lastComma !== -1) {
+      // Whichever separator comes last is the decimal one
+      const decimal = lastDot > lastComma ? '.' : ',';
+      const thousands = decimal === '.' ? ',' : '.';
+      number = number.split(thousands).join('').replace(decimal, '.');
+    } else if (lastComma !== -1) {
+      const decimals = number.length - lastComma - 1;
+      const groups = number.split(',').length - 1;
+      number = groups === 1 && decimals !== 3 ? number.replace(',', '.') : number.split(',').join('');
+    } else if (lastDot !== -1 && number.split('.').length > 2) {
+      number = number.split('.').join('');
+    }
+
+    const amount = parseFloat(number.replace(/[.,]$/, ''));
+    return {
+      amount: isNaN(amount) ? null : Math.round(amount * 100) / 100,
+      currency: detected ? String(detected).toUpperCase() : null
+    };
+  }
+
+  normalizeAvailability(value) {
+    if (!value) return null;
+    const key = String(value).replace(/^.*[/#]/, '').replace(/[\s_-]/g, '').toLowerCase();
+    return this.availability[key] || null;
+  }
+
+  toUrls(values, baseUrl) {
+    const urls = values
+      .map(value => (typeof value === 'object' && value !== null ? value.url || value.contentUrl : value))
+      .filter(value => typeof value === 'string' && value.trim())
+      .map(value => {
+        try {
+          return new URL(value.trim(), baseUrl).href;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+    return Array.from(new Set(urls));
+  }
+
+  text(value) {
+    if (value === null || value === undefined) return undefined;
+    if (Array.isArray(value)) return this.text(value[0]);
+    if (typeof value === 'object') return this.text(value['@value'] || value.name);
+    return String(value).trim() || undefined;
+  }
+
+  // Maps a scraped product onto the Product schema
+  toProductDocument(product, { storeId, currency } = {}) {
+    const name = product.name.trim();
+    const description = product.description || undefined;
+    const plain = description ? description.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim() : '';
+    const images = product.images && product.images.length ? product.images : [product.image].filter(Boolean);
+
+    return {
+      storeId,
+      name,
+      // Letters in any script survive, so non-Latin names still get a slug
+      slug: name
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/(^-|-$)/g, ''),
+      description,
+      shortDescription: plain ? plain.split(/(?<=[.!?])\s/)[0].substring(0, 160) : undefined,
+      price: typeof product.price === 'number' ? product.price : this.parsePrice(product.price).amount || 0,
+      comparePrice: product.comparePrice || undefined,
+      currency: product.currency || currency,
+      availability: product.availability || (product.available === false ? 'out_of_stock' : 'in_stock'),
+      sku: product.sku,
+      barcode: product.gtin,
+      brand: product.brand,
+      // Stock levels aren't public on source stores
+      trackQuantity: false,
+      images: images.map((url, position) => ({ url, alt: name, position })),
+      tags: product.tags || [],
+      variants: product.variants || [],
+      sourceUrl: product.link
+    };
+  }
+}
+
+module.exports = new StructuredDataService();
+
+// ========================================
+// backend/src/services/colorService.js
+// ========================================
+
+class ColorService {
+  // rgb()/rgba() as returned by getComputedStyle, or #rgb/#rrggbb
+  parse(value) {
+    if (!value) return null;
+
+    const rgb = value.match(/rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+%?))?\s*\)/);
+    if (rgb) {
+      const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith('%') ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+      return { r: Math.round(+rgb[1]), g: Math.round(+rgb[2]), b: Math.round(+rgb[3]), a: alpha };
+    }
+
+    const hex = value.trim().match(/^#([a-f\d]{3}|[a-f\d]{6})$/i);
+    if (hex) {
+      const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1];
+      return {
+        r: parseInt(digits.slice(0, 2), 16),
+        g: parseInt(digits.slice(2, 4), 16),
+        b: parseInt(digits.slice(4, 6), 16),
+        a: 1
+      };
+    }
+
+    return null;
+  }
+
+  toHex({ r, g, b }) {
+    return '#' + [r, g, b].map(x => Math.max(0, Math.min(255, Math.round(x))).toString(16).padStart(2, '0')).join('');
+  }
+
+  // sRGB -> XYZ (D65) -> CIELAB
+  toLab({ r, g, b }) {
+    const linear = (c) => {
+      const v = c / 255;
+      return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    const [lr, lg, lb] = [linear(r), linear(g), linear(b)];
+
+    const x = (lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / 0.95047;
+    const y = (lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / 1.0;
+    const z = (lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / 1.08883;
+    const f = (t) => (t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116);
+
+    return {
+      l: 116 * f(y) - 16,
+      a: 500 * (f(x) - f(y)),
+      b: 200 * (f(y) - f(z))
+    };
+  }
+
+  toHsl({ r, g, b }) {
+    const [rn, gn, bn] = [r / 255, g / 255, b / 255];
+    const max = Math.max(rn, gn, bn);
+    const min = Math.min(rn, gn, bn);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l: l * 100 };
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === rn) h = (gn - bn) / d + (gn < bn ? 6 : 0);
+    else if (max === gn) h = (bn - rn) / d + 2;
+    else h = (rn - gn) / d + 4;
+
+    return { h: h * 60, s: s * 100, l: l * 100 };
+  }
+
+  fromHsl({ h, s, l }) {
+    const sn = s / 100;
+    const ln = l / 100;
+    const k = (n) => (n + h / 30) % 12;
+    const a = sn * Math.min(ln, 1 - ln);
+    const f = (n) => ln - a * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+
+    return { r: Math.round(f(0) * 255), g: Math.round(f(8) * 255), b: Math.round(f(4) * 255) };
+  }
+
+  // CIE76: good enough to decide whether two swatches read as "the same color"
+  deltaE(lab1, lab2) {
+    return Math.sqrt((lab1.l - lab2.l) ** 2 + (lab1.a - lab2.a) ** 2 + (lab1.b - lab2.b) ** 2);
+  }
+
+  chroma(lab) {
+    return Math.sqrt(lab.a ** 2 + lab.b ** 2);
+  }
+
+  // WCAG relative luminance
+  luminance({ r, g, b }) {
+    const channel = (c) => {
+      const v = c / 255;
+      return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+    };
+    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+  }
+
+  contrast(color1, color2) {
+    const [l1, l2] = [this.luminance(color1), this.luminance(color2)].sort((a, b) => b - a);
+    return (l1 + 0.05) / (l2 + 0.05);
+  }
+
+  // Greedy weighted clustering: heaviest samples seed clusters, lighter ones within
+  // `threshold` deltaE join them. Each cluster keeps its heaviest real color as the swatch.
+  cluster(samples, threshold = 12) {
+    const clusters = [];
+
+    samples
+      .map(sample => ({ ...sample, rgb: this.parse(sample.color) }))
+      .filter(sample => sample.rgb && sample.rgb.a >= 0.5 && sample.weight > 0)
+      .sort((a, b) => b.weight - a.weight)
+      .forEach(sample => {
+        const lab = this.toLab(sample.rgb);
+        let cluster = clusters.find(candidate => this.deltaE(candidate.lab, lab) < threshold);
+
+        if (!cluster) {
+          cluster = { hex: this.toHex(sample.rgb), rgb: sample.rgb, lab, weight: 0, roles: {} };
+          clusters.push(cluster);
+        }
+
+        cluster.weight += sample.weight;
+        const role = `${sample.property}:${sample.role}`;
+        cluster.roles[role] = (cluster.roles[role] || 0) + sample.weight;
+      });
+
+    return clusters.sort((a, b) => b.weight - a.weight);
+  }
+}
+
+module.exports = new ColorService();
+
+// ========================================
+// backend/src/services/accessibilityService.js
+// ========================================
+
+const colorService = require('./colorService');
+
+class AccessibilityService {
+  constructor() {
+    this.level = (process.env.CONTRAST_LEVEL || 'AA').toUpperCase();
+    // WCAG 2.x minimum contrast ratios
+    this.ratios = {
+      AA: { normal: 4.5, large: 3 },
+      AAA: { normal: 7, large: 4.5 }
+    };
+    // Every text/background pair generateCSS produces. `adjust` is the role that
+    // gives way when the pair fails; the card surface is always white.
+    this.pairs = [
+      { usage: 'Body text', foreground: 'text', background: 'background', size: 'normal', adjust: 'text' },
+      { usage: 'Product names on cards', foreground: 'text', background: 'surface', size: 'normal', adjust: 'text' },
+      { usage: 'Navigation hover', foreground: 'primary', background: 'background', size: 'normal', adjust: 'primary' },
+      { usage: 'Prices on cards', foreground: 'primary', background: 'surface', size: 'large', adjust: 'primary' },
+      { usage: 'Button labels', foreground: 'onPrimary', background: 'primary', size: 'normal', adjust: 'primary' },
+      { usage: 'Button labels on hover', foreground: 'onSecondary', background: 'secondary', size: 'normal', adjust: 'secondary' },
+      { usage: 'Collection tiles', foreground: 'text', background: 'accent', size: 'normal', adjust: 'accent' }
+    ];
+  }
+
+  // Returns the palette with failing roles moved in lightness (hue and saturation kept)
+  // until every pair reaches the configured level, plus a report of what changed and why
+  checkPalette(colors, { level = this.level } = {}) {
+    const required = this.ratios[level] || this.ratios.AA;
+    const palette = { ...colors, surface: '#ffffff' };
+    const original = { ...palette };
+    const rgb = (role) => colorService.parse(palette[role]);
+    const ratioOf = (pair) => colorService.contrast(rgb(pair.foreground), rgb(pair.background));
+    const round = (value) => Math.round(value * 100) / 100;
+
+    // Label colors: whichever of white/black reads better on the fill
+    palette.onPrimary = this.readableOn(palette.primary);
+    palette.onSecondary = this.readableOn(palette.secondary);
+
+    const before = this.pairs.map(pair => ({ pair, ratio: ratioOf(pair) }));
+    const reasons = {};
+
+    // Fixing one pair can break another that shares a role, so re-check a few times
+    for (let pass = 0; pass < 3; pass++) {
+      let changed = false;
+
+      this.pairs.forEach(pair => {
+        const minimum = required[pair.size];
+        const ratio = ratioOf(pair);
+        if (ratio >= minimum) return;
+
+        const against = pair.adjust === pair.foreground ? pair.background : pair.foreground;
+        palette[pair.adjust] = this.adjustLightness(palette[pair.adjust], palette[against], minimum);
+        if (pair.adjust === 'primary') palette.onPrimary = this.readableOn(palette.primary);
+        if (pair.adjust === 'secondary') palette.onSecondary = this.readableOn(palette.secondary);
+
+        reasons[pair.adjust] = reasons[pair.adjust] || [];
+        reasons[pair.adjust].push(`${pair.usage}: ${round(ratio)}:1 against ${palette[against]}, ${level} needs ${minimum}:1`);
+        changed = true;
+      });
+
+      if (!changed) break;
+    }
+
+    const checks = before.map(({ pair, ratio }) => {
+      const after = ratioOf(pair);
+      return {
+        usage: pair.usage,
+        foreground: pair.foreground,
+        background: pair.background,
+        required: required[pair.size],
+        ratio: round(ratio),
+        adjustedRatio: round(after),
+        passed: after >= required[pair.size]
+      };
+    });
+
+    const { surface, ...adjusted } = palette;
+
+    return {
+      colors: adjusted,
+      report: {
+        level,
+        passed: checks.every(check => check.passed),
+        checks,
+        changes: Object.keys(reasons).map(role => ({
+          role,
+          from: original[role],
+          to: palette[role],
+          reasons: Array.from(new Set(reasons[role]))
+        }))
+      }
+    };
+  }
+
+  readableOn(fill) {
+    const background = colorService.parse(fill);
+    const white = colorService.contrast({ r: 255, g: 255, b: 255 }, background);
+    const black = colorService.contrast({ r: 0, g: 0, b: 0 }, background);
+    return white >= black ? '#ffffff' : '#000000';
+  }
+
+  // Smallest lightness step, away from the other color, that reaches the ratio
+  adjustLightness(hex, againstHex, minimum) {
+    const against = colorService.parse(againstHex);
+    const hsl = colorService.toHsl(colorService.parse(hex));
+    const darken = colorService.luminance(against) > colorService.luminance(colorService.fromHsl(hsl));
+
+    const search = (direction) => {
+      for (let l = hsl.l; l >= 0 && l <= 100; l += direction) {
+        const candidate = colorService.fromHsl({ ...hsl, l });
+        if (colorService.contrast(candidate, against) >= minimum) return colorService.toHex(candidate);
+      }
+      return null;
+    };
+
+    // The other direction only helps when the first runs out of room (mid-grey backgrounds)
+    return search(darken ? -1 : 1) || search(darken ? 1 : -1) || (darken ? '#000000' : '#ffffff');
+  }
+}
+
+module.exports = new AccessibilityService();
+
+// ========================================
+// backend/src/services/fontCatalogService.js
+// ========================================
+
+class FontCatalogService {
+  constructor() {
+    // Bundled catalogue of open-licensed families (OFL/Apache, served by Google Fonts)
+    // with the weights we load and the families they pair well with
+    this.catalog = [
+      { family: 'Inter', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Playfair Display', 'Merriweather', 'Lora'] },
+      { family: 'Roboto', category: 'sans-serif', weights: [300, 400, 500, 700, 900], pairsWith: ['Roboto Slab', 'Lora', 'Playfair Display'] },
+      { family: 'Open Sans', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Merriweather', 'Lora', 'Montserrat'] },
+      { family: 'Lato', category: 'sans-serif', weights: [300, 400, 700, 900], pairsWith: ['Merriweather', 'Playfair Display', 'Montserrat'] },
+      { family: 'Montserrat', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Open Sans', 'Lora', 'Merriweather'] },
+      { family: 'Poppins', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Lora', 'Inter', 'Libre Baskerville'] },
+      { family: 'Nunito Sans', category: 'sans-serif', weights: [300, 400, 600, 700, 800], pairsWith: ['Playfair Display', 'Lora'] },
+      { family: 'Work Sans', category: 'sans-serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Libre Baskerville', 'EB Garamond'] },
+      { family: 'DM Sans', category: 'sans-serif', weights: [400, 500, 700], pairsWith: ['DM Serif Display', 'Lora'] },
+      { family: 'Jost', category: 'sans-serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Cormorant Garamond', 'Lora'] },
+      { family: 'Josefin Sans', category: 'sans-serif', weights: [300, 400, 600, 700], pairsWith: ['Lora', 'Open Sans'] },
+      { family: 'Raleway', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Merriweather', 'Lato'] },
+      { family: 'Source Sans 3', category: 'sans-serif', weights: [300, 400, 600, 700], pairsWith: ['Source Serif 4', 'Playfair Display'] },
+      { family: 'Barlow', category: 'sans-serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Lora', 'Barlow Condensed'] },
+      { family: 'Barlow Condensed', category: 'sans-serif', weights: [400, 500, 600, 700], pairsWith: ['Barlow', 'Inter'] },
+      { family: 'Oswald', category: 'sans-serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Open Sans', 'Lato'] },
+      { family: 'Assistant', category: 'sans-serif', weights: [300, 400, 600, 700, 800], pairsWith: ['Lora', 'Playfair Display'] },
+      { family: 'Karla', category: 'sans-serif', weights: [300, 400, 500, 700], pairsWith: ['Playfair Display', 'Spectral'] },
+      { family: 'Manrope', category: 'sans-serif', weights: [300, 400, 500, 600, 700, 800], pairsWith: ['Lora', 'DM Serif Display'] },
+      { family: 'Rubik', category: 'sans-serif', weights: [300, 400, 500, 700], pairsWith: ['Karla', 'Lora'] },
+      { family: 'Playfair Display', category: 'serif', weights: [400, 500, 600, 700, 800], pairsWith: ['Lato', 'Inter', 'Source Sans 3'] },
+      { family: 'Merriweather', category: 'serif', weights: [300, 400, 700, 900], pairsWith: ['Open Sans', 'Lato', 'Inter'] },
+      { family: 'Lora', category: 'serif', weights: [400, 500, 600, 700], pairsWith: ['Montserrat', 'Poppins', 'Inter'] },
+      { family: 'EB Garamond', category: 'serif', weights: [400, 500, 600, 700], pairsWith: ['Work Sans', 'Montserrat'] },
+      { family: 'Cormorant Garamond', category: 'serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Jost', 'Montserrat'] },
+      { family: 'Libre Baskerville', category: 'serif', weights: [400, 700], pairsWith: ['Poppins', 'Work Sans'] },
+      { family: 'Libre Caslon Text', category: 'serif', weights: [400, 700], pairsWith: ['Inter', 'Lato'] },
+      { family: 'Crimson Pro', category: 'serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Work Sans', 'Inter'] },
+      { family: 'Source Serif 4', category: 'serif', weights: [300, 400, 600, 700], pairsWith: ['Source Sans 3', 'Inter'] },
+      { family: 'Spectral', category: 'serif', weights: [300, 400, 500, 600, 700], pairsWith: ['Karla', 'Inter'] },
+      { family: 'Bodoni Moda', category: 'serif', weights: [400, 500, 600, 700], pairsWith: ['Montserrat', 'Inter'] },
+      { family: 'DM Serif Display', category: 'serif', weights: [400], pairsWith: ['DM Sans', 'Manrope'] },
+      { family: 'Roboto Slab', category: 'serif', weights: [300, 400, 500, 700], pairsWith: ['Roboto', 'Open Sans'] },
+      { family: 'JetBrains Mono', category: 'monospace', weights: [400, 500, 700], pairsWith: ['Inter'] },
+      { family: 'Dancing Script', category: 'handwriting', weights: [400, 500, 600, 700], pairsWith: ['Lato', 'Montserrat'] }
+    ];
+
+    // Commercial, Adobe-only or platform families and their closest open equivalent
+    this.equivalents = {
+      'helvetica neue': 'Inter',
+      'neue haas grotesk': 'Inter',
+      'graphik': 'Inter',
+      'shopify sans': 'Inter',
+      'sf pro': 'Inter',
+      'proxima nova': 'Montserrat',
+      'gotham': 'Montserrat',
+      'avenir': 'Nunito Sans',
+      'avenir next': 'Nunito Sans',
+      'futura': 'Jost',
+      'futura pt': 'Jost',
+      'circular': 'DM Sans',
+      'gt walsheim': 'DM Sans',
+      'brandon grotesque': 'Josefin Sans',
+      'gill sans': 'Lato',
+      'sofia pro': 'Poppins',
+      'apercu': 'Work Sans',
+      'univers': 'Roboto',
+      'frutiger': 'Open Sans',
+      'myriad pro': 'Source Sans 3',
+      'din': 'Barlow',
+      'din next': 'Barlow',
+      'din condensed': 'Barlow Condensed',
+      'garamond': 'EB Garamond',
+      'adobe garamond pro': 'EB Garamond',
+      'baskerville': 'Libre Baskerville',
+      'didot': 'Playfair Display',
+      'bodoni': 'Bodoni Moda',
+      'caslon': 'Libre Caslon Text',
+      'minion pro': 'Crimson Pro',
+      'freight text': 'Crimson Pro',
+      'freight display': 'Playfair Display',
+      'canela': 'Cormorant Garamond',
+      'tiempos': 'Source Serif 4',
+      'chronicle display': 'Playfair Display'
+    };
+
+    // Installed on practically every device, nothing to load
+    this.system = [
+      'arial', 'helvetica', 'georgia', 'times new roman', 'times', 'verdana', 'tahoma', 'trebuchet ms',
+      'courier new', 'courier', 'segoe ui', '-apple-system', 'blinkmacsystemfont', 'system-ui'
+    ];
+    this.generic = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'ui-sans-serif', 'ui-serif', 'ui-monospace', 'inherit', 'initial'];
+
+    this.defaults = { 'sans-serif': 'Inter', serif: 'Lora', monospace: 'JetBrains Mono', handwriting: 'Dancing Script' };
+    this.fallbacks = {
+      'sans-serif': 'system-ui, -apple-system, "Segoe UI", Arial, sans-serif',
+      serif: 'Georgia, "Times New Roman", serif',
+      monospace: '"Courier New", monospace',
+      handwriting: 'cursive'
+    };
+  }
+
+  find(family) {
+    const name = (family || '').toLowerCase();
+    return this.catalog.find(entry => entry.family.toLowerCase() === name) || null;
+  }
+
+  // First real family in a CSS font-family stack
+  primaryFamily(stack) {
+    return (stack || '')
+      .split(',')
+      .map(family => family.replace(/['"]/g, '').trim())
+      .find(family => family && !this.generic.includes(family.toLowerCase())) || null;
+  }
+
+  categorize(family, stack = '') {
+    const entry = this.find(family);
+    if (entry) return entry.category;
+    if (/monospace/i.test(stack) || /mono|courier|consolas/i.test(family)) return 'monospace';
+    const serifName = /serif|garamond|baskerville|didot|bodoni|caslon|georgia|times|minion|tiempos|canela/i.test(family) && !/sans/i.test(family);
+    if (/(^|,)\s*serif/i.test(stack) || serifName) return 'serif';
+    if (/script|hand|cursive/i.test(family)) return 'handwriting';
+    return 'sans-serif';
+  }
+
+  // Maps a scraped family onto something the generated store may load:
+  // catalogue fonts as-is, system fonts untouched, everything else to an open equivalent.
+  // `source` tells where the original came from (google, adobe, self-hosted, local).
+  resolve(stack, { source = 'local', weights = [] } = {}) {
+    const original = this.primaryFamily(stack);
+    const category = this.categorize(original || '', stack);
+    const load = (entry) => (entry.weights.filter(weight => weights.includes(weight)).length
+      ? entry.weights.filter(weight => weights.includes(weight))
+      : entry.weights.filter(weight => weight === 400 || weight === 700));
+
+    const result = (entry, fields) => ({
+      family: entry.family,
+      original,
+      category: entry.category,
+      fallback: this.fallbacks[entry.category],
+      provider: 'google',
+      weights: load(entry),
+      substituted: false,
+      ...fields
+    });
+
+    const entry = this.find(original);
+    if (entry) return result(entry);
+
+    if (original && this.system.includes(original.toLowerCase())) {
+      return {
+        family: original,
+        original,
+        category,
+        fallback: this.fallbacks[category],
+        provider: 'system',
+        weights: [],
+        substituted: false
+      };
+    }
+
+    const equivalent = original && this.find(this.equivalents[original.toLowerCase()]);
+    const reason = {
+      adobe: 'Adobe Fonts kits are licensed to the source site',
+      'self-hosted': 'Self-hosted font with an unknown license'
+    }[source] || 'Not an open font';
+
+    if (equivalent) {
+      return result(equivalent, { substituted: true, reason: `${reason}, closest open equivalent` });
+    }
+
+    return result(this.find(this.defaults[category]) || this.find(this.defaults['sans-serif']), {
+      substituted: Boolean(original),
+      reason: original ? `${reason}, open ${category} default` : 'No font detected'
+    });
+  }
+
+  // For single-family sources: a contrasting heading family from the catalogue
+  suggestPairing(font) {
+    const entry = this.find(font.family);
+    const partner = entry && entry.pairsWith.map(family => this.find(family)).find(candidate => candidate.category !== entry.category);
+    if (!partner) return null;
+
+    return {
+      heading: partner.family,
+      body: font.family,
+      reason: `${font.family} is the only family on the source site; ${partner.family} is a classic ${partner.category} partner for headings`
+    };
+  }
+
+  // One Google Fonts css2 request for every loaded family, font-display: swap
+  stylesheetUrl(fonts) {
+    const families = new Map();
+    fonts.filter(font => font && font.provider === 'google').forEach(font => {
+      const weights = families.get(font.family) || new Set();
+      font.weights.forEach(weight => weights.add(weight));
+      families.set(font.family, weights);
+    });
+    if (families.size === 0) return null;
+
+    const query = Array.from(families.entries())
+      .map(([family, weights]) => {
+        const list = Array.from(weights).sort((a, b) => a - b);
+        return `family=${family.replace(/ /g, '+')}${list.length ? `:wght@${list.join(';')}` : ''}`;
+      })
+      .join('&');
+
+    return `https://fonts.googleapis.com/css2?${query}&display=swap`;
+  }
+}
+
+module.exports = new FontCatalogService();
+
+// ========================================
+// backend/src/services/llm/openaiProvider.js
+// ========================================
+
+const OpenAI = require('openai');
+
+// Chat completions over the OpenAI API. Azure OpenAI and local OpenAI-compatible
+// servers (Ollama, vLLM, LM Studio) speak the same protocol with a different base URL.
+class OpenAIProvider {
+  constructor({ name = 'openai', apiKey, baseURL, model, defaultQuery, defaultHeaders, jsonMode = true }) {
+    this.name = name;
+    this.model = model;
+    // Not every local server supports response_format, the prompt asks for JSON anyway
+    this.jsonMode = jsonMode;
+    this.client = new OpenAI({ apiKey, baseURL, defaultQuery, defaultHeaders });
+  }
+
+  async complete({ messages, temperature = 0.2 }) {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages,
+      temperature,
+      ...(this.jsonMode ? { response_format: { type: 'json_object' } } : {})
+    });
+
+    return completion.choices[0].message.content;
+  }
+}
+
+module.exports = OpenAIProvider;
+
+// ========================================
+// backend/src/services/llm/mockProvider.js
+// ========================================
+
+// Deterministic replies for tests and offline development: every prompt ships an
+// example response (or a function of the prompt variables), the mock returns it
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+    this.model = 'mock';
+  }
+
+  async complete({ prompt, variables }) {
+    return JSON.stringify(typeof prompt.example === 'function' ? prompt.example(variables) : prompt.example);
+  }
+}
+
+module.exports = MockProvider;
+
+// ========================================
+// backend/src/services/llm/index.js
+// ========================================
+
+const OpenAIProvider = require('./openaiProvider');
+const MockProvider = require('./mockProvider');
+
+// Providers share the complete({ messages, prompt, variables }) interface; add new backends here
+const providers = {
+  openai: () => new OpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.LLM_MODEL || 'gpt-4-turbo-preview'
+  }),
+  azure: () => new OpenAIProvider({
+    name: 'azure',
+    apiKey: process.env.AZURE_OPENAI_API_KEY,
+    baseURL: `${(process.env.AZURE_OPENAI_ENDPOINT || '').replace(/\/$/, '')}/openai/deployments/${process.env.AZURE_OPENAI_DEPLOYMENT}`,
+    model: process.env.AZURE_OPENAI_DEPLOYMENT,
+    defaultQuery: { 'api-version': process.env.AZURE_OPENAI_API_VERSION || '2024-02-01' },
+    defaultHeaders: { 'api-key': process.env.AZURE_OPENAI_API_KEY }
+  }),
+  local: () => new OpenAIProvider({
+    name: 'local',
+    apiKey: process.env.LLM_API_KEY || 'local',
+    baseURL: process.env.LLM_BASE_URL || 'http://localhost:11434/v1',
+    model: process.env.LLM_MODEL || 'llama3.1',
+    jsonMode: process.env.LLM_JSON_MODE === 'true'
+  }),
+  mock: () => new MockProvider()
+};
+
+const driver = process.env.LLM_PROVIDER || 'openai';
+if (!providers[driver]) {
+  throw new Error(`Unknown LLM provider: ${driver}`);
+}
+
+module.exports = providers[driver]();
+
+// ========================================
+// backend/src/services/llm/prompts.js
+// ========================================
+
+const Joi = require('joi');
+
+const suggestions = Joi.array().items(Joi.string().trim().max(300)).min(1).max(10).required();
+const copyRules = `Only state what the data supports, never invent materials, sizes, certifications or claims.
+Plain text only, no markdown or HTML. Never use these phrases: {{bannedPhrases}}`;
+
+// Versioned prompt templates. Bump `version` whenever the wording or the schema changes;
+// the version is returned with every result so answers can be traced to their prompt.
+module.exports = {
+  'design-recommendations': {
+    version: 2,
+    system: 'You are an e-commerce design and conversion expert. Reply with a single JSON object and nothing else.',
+    user: `Analyze this e-commerce website and provide recommendations.
+URL: {{url}}
+Colors: {{colors}}
+Fonts: {{fonts}}
+Has products: {{hasProducts}}
+
+Reply with JSON of this exact shape, 3 to 5 short, specific suggestions per list:
+{"improvements": [design improvements], "ux": [UX enhancements], "mobile": [mobile optimization tips], "conversion": [conversion optimization suggestions]}`,
+    schema: Joi.object({
+      improvements: suggestions,
+      ux: suggestions,
+      mobile: suggestions,
+      conversion: suggestions
+    }),
+    example: {
+      improvements: ['Increase whitespace around product cards', 'Use the brand color for primary buttons only', 'Give headings a clearer size scale'],
+      ux: ['Keep the main menu to seven items or fewer', 'Show a search field on every page', 'Add breadcrumbs to category pages'],
+      mobile: ['Make tap targets at least 44px high', 'Serve responsive product images', 'Use a sticky add-to-cart bar'],
+      conversion: ['State shipping costs before checkout', 'Show stock levels on product pages', 'Add reviews near the buy button']
+    }
+  },
+
+  'product-copy': {
+    version: 1,
+    system: 'You are an e-commerce copywriter. Reply with a single JSON object and nothing else.',
+    user: `Write product copy in the language "{{language}}" with this brand voice: {{voice}}.
+For every product write:
+- description: 2 or 3 short paragraphs, at most 1500 characters
+- shortDescription: one sentence, at most 160 characters
+- seoTitle: at most 60 characters
+- seoDescription: at most 160 characters
+- keywords: 3 to 8 search keywords
+${copyRules}
+
+Products: {{products}}
+
+Reply with {"products": [{"id": "...", "description": "...", "shortDescription": "...", "seoTitle": "...", "seoDescription": "...", "keywords": ["..."]}]}`,
+    schema: Joi.object({
+      products: Joi.array().items(Joi.object({
+        id: Joi.string().required(),
+        description: Joi.string().trim().min(20).max(1500).required(),
+        shortDescription: Joi.string().trim().max(160).required(),
+        seoTitle: Joi.string().trim().max(60).required(),
+        seoDescription: Joi.string().trim().max(160).required(),
+        keywords: Joi.array().items(Joi.string().trim().max(40)).min(1).max(8).required()
+      })).required()
+    }),
+    example: ({ products }) => ({
+      products: products.map(product => ({
+        id: product.id,
+        description: `${product.name} is made for everyday use. It is easy to care for and pairs well with the rest of the collection.`,
+        shortDescription: `${product.name}, ready to ship.`.slice(0, 160),
+        seoTitle: product.name.slice(0, 60),
+        seoDescription: `Shop ${product.name} online.`.slice(0, 160),
+        keywords: [product.name.toLowerCase().slice(0, 40)]
+      }))
+    })
+  },
+
+  'store-copy': {
+    version: 1,
+    system: 'You are an e-commerce copywriter. Reply with a single JSON object and nothing else.',
+    user: `Write the storefront copy for "{{storeName}}" in the language "{{language}}" with this brand voice: {{voice}}.
+What the store sells (sample products): {{products}}
+
+Write:
+- heroHeading: at most 70 characters
+- heroText: at most 200 characters
+- aboutText: an "about us" text of at most 1500 characters
+- seoTitle: at most 60 characters
+- seoDescription: at most 160 characters
+- pages: for each of these pages, a draft content of at most 5000 characters. Policy pages are plain-language drafts for the merchant to review, not legal advice: {{pages}}
+${copyRules}
+
+Reply with {"heroHeading": "...", "heroText": "...", "aboutText": "...", "seoTitle": "...", "seoDescription": "...", "pages": [{"slug": "...", "content": "..."}]}`,
+    schema: Joi.object({
+      heroHeading: Joi.string().trim().max(70).required(),
+      heroText: Joi.string().trim().max(200).required(),
+      aboutText: Joi.string().trim().max(1500).required(),
+      seoTitle: Joi.string().trim().max(60).required(),
+      seoDescription: Joi.string().trim().max(160).required(),
+      pages: Joi.array().items(Joi.object({
+        slug: Joi.string().required(),
+        content: Joi.string().trim().max(5000).required()
+      })).default([])
+    }),
+    example: ({ storeName, pages }) => ({
+      heroHeading: `Welcome to ${storeName}`.slice(0, 70),
+      heroText: 'Discover our latest collection.',
+      aboutText: `${storeName} is an independent store.`,
+      seoTitle: storeName.slice(0, 60),
+      seoDescription: `Shop online at ${storeName}.`.slice(0, 160),
+      pages: pages.map(page => ({ slug: page.slug, content: `${page.title}.` }))
+    })
+  }
+};
+
+// ========================================
+// backend/src/services/llmService.js
+// ========================================
+
+const provider = require('./llm');
+const prompts = require('./llm/prompts');
+
+class LLMService {
+  constructor() {
+    this.provider = provider;
+    // 0 turns retries off
+    const retries = parseInt(process.env.LLM_RETRIES, 10);
+    this.retries = Number.isInteger(retries) && retries >= 0 ? retries : 2;
+  }
+
+  render(template, variables) {
+    return template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+      const value = variables[name];
+      return typeof value === 'string' ? value : JSON.stringify(value ?? null);
+    });
+  }
+
+  // Renders a versioned prompt and validates the JSON reply against its schema, then
+  // against options.validate(value) if given (throw to reject). Invalid replies are retried
+  // with the error fed back to the model; after the last attempt the error is thrown
+  // with code LLM_INVALID_RESPONSE.
+  async generate(promptId, variables = {}, { validate } = {}) {
+    const prompt = prompts[promptId];
+    if (!prompt) throw new Error(`Unknown prompt: ${promptId}`);
+
+    const messages = [
+      { role: 'system', content: prompt.system },
+      { role: 'user', content: this.render(prompt.user, variables) }
+    ];
+    let lastError;
+
+    for (let attempt = 0; attempt <= this.retries; attempt++) {
+      let content;
+      try {
+        content = await this.provider.complete({ messages, prompt, variables });
+
+        const { value, error } = prompt.schema.validate(JSON.parse(content), { stripUnknown: true });
+        if (error) throw error;
+        if (validate) validate(value);
+
+        return {
+          data: value,
+          prompt: { id: promptId, version: prompt.version },
+          provider: this.provider.name,
+          model: this.provider.model,
+          attempts: attempt + 1
+        };
+      } catch (error) {
+        lastError = error;
+
+        if (content !== undefined) {
+          // Parse or schema failure: show the model what was wrong
+          messages.push({ role: 'assistant', content });
+          messages.push({ role: 'user', content: `That reply was invalid (${error.message}). Reply again with only the JSON object in the requested shape.` });
+        } else if (attempt < this.retries) {
+          // Provider error (network, rate limit): back off before the next attempt
+          await new Promise(resolve => setTimeout(resolve, 1000 * (attempt + 1)));
+        }
+      }
+    }
+
+    const error = new Error(`LLM response for ${promptId} failed after ${this.retries + 1} attempts: ${lastError.message}`);
+    error.code = 'LLM_INVALID_RESPONSE';
+    throw error;
+  }
+}
+
+module.exports = new LLMService();
+
+// ========================================
+// backend/src/services/designAnalyzerService.js
+// ========================================
+
+const sharp = require('sharp');
+const colorThief = require('colorthief');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const colorService = require('./colorService');
+const fontCatalogService = require('./fontCatalogService');
+const accessibilityService = require('./accessibilityService');
+const assetService = require('./assetService');
+const llmService = require('./llmService');
+
+class DesignAnalyzerService {
+  constructor() {
+    // Bump when the analysis output changes so cached analyses are not reused
+    this.version = 11;
+  }
+
+  async analyzeDesign(scrapedData) {
+    try {
+      const imagePalette = await this.analyzeImagePalette(scrapedData);
+
+      // The source palette is made readable before anything is built from it
+      const { colors, report } = accessibilityService.checkPalette(
+        this.analyzeColors(scrapedData.design.colorUsage, scrapedData.design.colors, imagePalette)
+      );
+
+      const analysis = {
+        colors,
+        accessibility: report,
+        imagePalette,
+        typography: this.analyzeTypography(scrapedData.design),
+        tokens: this.analyzeTokens(scrapedData.design.tokens),
+        layout: await this.analyzeLayout(scrapedData.design.layout, scrapedData.design.tokens, scrapedData.design.sections),
+        products: this.analyzeProductStructure(scrapedData.products),
+        pages: this.analyzePages(scrapedData.pages),
+        navigation: scrapedData.design.navigation || null,
+        brand: scrapedData.design.brand || null,
+        aiRecommendations: await this.getAIRecommendations(scrapedData)
+      };
+
+      return analysis;
+    } catch (error) {
+      console.error('Design analysis error:', error);
+      throw error;
+    }
+  }
+
+  // Colors are weighted by rendered area, clustered in CIELAB and given roles from
+  // where they're used: CTA buttons, links, header/footer, page background and text
+  analyzeColors(usage, colors = [], imagePalette = {}) {
+    // Scrapes from before area sampling only have the flat color list
+    const samples = usage && usage.length
+      ? usage
+      : colors.map(color => ({ color, property: 'background', role: 'content', weight: 1 }));
+    const clusters = colorService.cluster(samples);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    const evidence = (cluster, keys) => keys.reduce((total, key) => total + (cluster.roles[key] || 0), 0);
+    const distinct = (cluster, others, minDistance = 20) => others
+      .filter(Boolean)
+      .every(other => colorService.deltaE(cluster.lab, other.lab) >= minDistance);
+
+    // Direct evidence: share of the role's usage that the best candidate holds
+    const pick = (keys, exclude = []) => {
+      const total = clusters.reduce((sum, cluster) => sum + evidence(cluster, keys), 0);
+      const best = clusters
+        .filter(cluster => evidence(cluster, keys) > 0 && distinct(cluster, exclude))
+        .sort((a, b) => evidence(b, keys) - evidence(a, keys))[0];
+
+      return best ? { cluster: best, confidence: round(evidence(best, keys) / total), source: 'dom' } : null;
+    };
+
+    // Heuristic: the heaviest remaining saturated color, at half confidence
+    const chromatic = clusters.filter(cluster => colorService.chroma(cluster.lab) > 20);
+    const chromaticWeight = chromatic.reduce((sum, cluster) => sum + cluster.weight, 0);
+    const guess = (exclude) => {
+      const best = chromatic.find(cluster => distinct(cluster, exclude));
+      return best ? { cluster: best, confidence: round((best.weight / chromaticWeight) * 0.5), source: 'dom' } : null;
+    };
+
+    // Image swatches stand in where the DOM has no direct evidence: a vibrant logo color
+    // beats a DOM guess, a vibrant screenshot color only fills what's left
+    const swatch = (hex, source) => ({ hex, source, lab: colorService.toLab(colorService.parse(hex)) });
+    const vibrant = (source) => (imagePalette[source]?.vibrant ? [swatch(imagePalette[source].vibrant, source)] : []);
+    const fromImage = (sources, confidence) => (exclude) => {
+      const best = sources.flatMap(vibrant).find(candidate => distinct(candidate, exclude));
+      return best ? { cluster: best, confidence, source: best.source } : null;
+    };
+    const fromLogo = fromImage(['logo'], 0.6);
+    const fromScreenshot = fromImage(['desktop', 'mobile'], 0.35);
+    const infer = (exclude) => fromLogo(exclude) || guess(exclude) || fromScreenshot(exclude);
+
+    const background = pick(['background:page', 'background:content']);
+    const text = pick(['text:content', 'text:heading'], [background?.cluster]);
+    const base = [background?.cluster, text?.cluster];
+
+    const primary = pick(['background:cta'], base) || infer(base);
+    const secondary = pick(['background:header', 'background:footer'], [...base, primary?.cluster])
+      || infer([...base, primary?.cluster]);
+    const accent = pick(['text:link'], [...base, primary?.cluster])
+      || infer([...base, primary?.cluster, secondary?.cluster]);
+
+    // DOM picks that also show up in the rendered images are more trustworthy; a page
+    // background the screenshot disagrees with is probably covered by an image
+    const imageSwatches = ['logo', 'desktop', 'mobile']
+      .flatMap(source => (imagePalette[source]?.swatches || []).filter(s => s.share >= 0.02).map(s => swatch(s.hex, source)));
+    [primary, secondary, accent, text].filter(role => role && role.source === 'dom').forEach(role => {
+      if (imageSwatches.some(s => colorService.deltaE(s.lab, role.cluster.lab) < 12)) {
+        role.confidence = round(role.confidence + (1 - role.confidence) * 0.25);
+      }
+    });
+    if (background && imagePalette.desktop?.dominant
+      && colorService.deltaE(swatch(imagePalette.desktop.dominant).lab, background.cluster.lab) >= 20) {
+      background.confidence = round(background.confidence * 0.5);
+    }
+
+    const defaults = { primary: '#000000', secondary: '#666666', accent: '#0066cc', background: '#ffffff', text: '#333333' };
+    const roles = { primary, secondary, accent, background, text };
+    const total = clusters.reduce((sum, cluster) => sum + cluster.weight, 0);
+
+    return {
+      ...Object.keys(defaults).reduce((result, role) => {
+        result[role] = roles[role]?.cluster.hex || defaults[role];
+        return result;
+      }, {}),
+      confidence: Object.keys(defaults).reduce((result, role) => {
+        result[role] = roles[role]?.confidence || 0;
+        return result;
+      }, {}),
+      // dom, logo or desktop/mobile screenshot
+      sources: Object.keys(defaults).reduce((result, role) => {
+        result[role] = roles[role] ? roles[role].source : 'default';
+        return result;
+      }, {}),
+      palette: clusters.slice(0, 10).map(cluster => ({
+        hex: cluster.hex,
+        share: round(cluster.weight / total),
+        usedAs: Object.keys(cluster.roles)
+      }))
+    };
+  }
+
+  // Palettes from the rendered screenshots and the logo, for branding that lives in
+  // images, gradients or canvas where computed CSS colors miss the real look
+  async analyzeImagePalette(scrapedData) {
+    const sources = {
+      desktop: scrapedData.screenshots?.desktop,
+      mobile: scrapedData.screenshots?.mobile,
+      logo: await assetService.readImage(scrapedData.design.brand?.logoAsset).catch(() => null)
+    };
+    const palettes = {};
+
+    for (const [name, buffer] of Object.entries(sources)) {
+      if (!buffer) continue;
+      try {
+        palettes[name] = await this.extractSwatches(buffer);
+      } catch (error) {
+        console.error('Image palette error:', name, error.message);
+      }
+    }
+
+    return palettes;
+  }
+
+  async extractSwatches(buffer) {
+    const image = sharp(buffer).flatten({ background: '#ffffff' }).resize(400, 400, { fit: 'inside', withoutEnlargement: true });
+
+    // colorthief reads images from disk
+    const file = path.join(os.tmpdir(), `palette-${crypto.randomUUID()}.png`);
+    await fs.writeFile(file, await image.clone().png().toBuffer());
+
+    let palette;
+    try {
+      palette = (await colorThief.getPalette(file, 8)) || [];
+    } finally {
+      await fs.unlink(file).catch(() => {});
+    }
+    if (palette.length === 0) return null;
+
+    // colorthief doesn't report population, count nearest swatch over a small thumbnail
+    const { data, info } = await image.clone().resize(64, 64, { fit: 'inside' }).raw().toBuffer({ resolveWithObject: true });
+    const labs = palette.map(([r, g, b]) => colorService.toLab({ r, g, b }));
+    const counts = palette.map(() => 0);
+    for (let i = 0; i < data.length; i += info.channels) {
+      const lab = colorService.toLab({ r: data[i], g: data[i + 1], b: data[i + 2] });
+      let nearest = 0;
+      labs.forEach((candidate, index) => {
+        if (colorService.deltaE(candidate, lab) < colorService.deltaE(labs[nearest], lab)) nearest = index;
+      });
+      counts[nearest]++;
+    }
+
+    const pixels = data.length / info.channels;
+    const swatches = palette
+      .map(([r, g, b], index) => ({
+        hex: colorService.toHex({ r, g, b }),
+        share: Math.round((counts[index] / pixels) * 100) / 100,
+        lab: labs[index]
+      }))
+      .sort((a, b) => b.share - a.share);
+
+    // Vibrant: the most saturated mid-lightness swatch that isn't a speck
+    const vibrant = swatches
+      .filter(s => s.lab.l > 25 && s.lab.l < 85 && colorService.chroma(s.lab) > 30 && s.share >= 0.01)
+      .sort((a, b) => colorService.chroma(b.lab) - colorService.chroma(a.lab))[0];
+
+    return {
+      dominant: swatches[0].hex,
+      vibrant: vibrant ? vibrant.hex : null,
+      swatches: swatches.map(({ hex, share }) => ({ hex, share }))
+    };
+  }
+
+  // Heading/body families from where they're actually used, mapped onto fonts the
+  // generated store is allowed to load
+  analyzeTypography(design) {
+    const fonts = design.fonts || [];
+    const usage = design.fontUsage || {};
+    const faces = design.fontFaces || [];
+    const links = design.fontLinks || [];
+
+    const sourceOf = (stack) => {
+      const family = fontCatalogService.primaryFamily(stack);
+      if (!family) return 'local';
+
+      const encoded = family.toLowerCase().replace(/ /g, '+');
+      const linked = (pattern) => links.some(link => pattern.test(link) && link.toLowerCase().replace(/%20/g, '+').includes(encoded));
+      if (linked(/fonts\.googleapis\.com|fonts\.bunny\.net/)) return 'google';
+
+      const loaded = faces.some(face => face.family.toLowerCase() === family.toLowerCase());
+      if (loaded && links.some(link => /typekit\.net|fonts\.adobe\.com/.test(link))) return 'adobe';
+      return loaded ? 'self-hosted' : 'local';
+    };
+
+    const weightsOf = (stack, ...used) => {
+      const family = (fontCatalogService.primaryFamily(stack) || '').toLowerCase();
+      const toNumber = (weight) => ({ normal: 400, bold: 700 }[weight] || (/^\d+$/.test(weight) ? parseInt(weight, 10) : null));
+
+      return Array.from(new Set([
+        ...used.map(weight => toNumber(String(weight))),
+        ...faces.filter(face => face.family.toLowerCase() === family).map(face => toNumber(face.weight))
+      ])).filter(Boolean);
+    };
+
+    const headingStack = usage.heading || fonts[0];
+    const bodyStack = usage.body || fonts[1] || fonts[0];
+
+    const heading = fontCatalogService.resolve(headingStack, {
+      source: sourceOf(headingStack),
+      weights: weightsOf(headingStack, usage.headingWeight || 700)
+    });
+    const body = fontCatalogService.resolve(bodyStack, {
+      source: sourceOf(bodyStack),
+      weights: weightsOf(bodyStack, usage.bodyWeight || 400, 700)
+    });
+
+    return {
+      heading,
+      body,
+      // Suggestion only, the source look is kept unless the merchant opts in
+      pairing: heading.family === body.family ? fontCatalogService.suggestPairing(body) : null,
+      stylesheet: fontCatalogService.stylesheetUrl([heading, body])
+    };
+  }
+
+  async analyzeLayout(layout, tokens, sections = []) {
+    const grid = sections.find(section => section.type === 'product-grid' || section.type === 'product-carousel');
+    // Missing breakpoints step down from the wider one, capped at typical store layouts
+    const columns = grid && grid.columns ? {
+      desktop: grid.columns.desktop || 4,
+      tablet: grid.columns.tablet || Math.min(grid.columns.desktop || 4, 3),
+      mobile: grid.columns.mobile || Math.min(grid.columns.tablet || grid.columns.desktop || 4, 2)
+    } : null;
+
+    return {
+      structure: {
+        header: layout.hasHeader,
+        navigation: layout.hasNav,
+        mainContent: layout.hasMainContent,
+        footer: layout.hasFooter
+      },
+      dimensions: {
+        headerHeight: layout.headerHeight,
+        footerHeight: layout.footerHeight
+      },
+      sections: this.analyzeSections(sections),
+      recommendations: {
+        // A source whose grid collapses on small screens was built mobile-aware
+        mobileFirst: !columns || columns.mobile < columns.desktop,
+        responsiveGrid: columns ? 'grid' : 'flexbox',
+        productColumns: columns || { desktop: 4, tablet: 3, mobile: 2 },
+        breakpoints: this.analyzeBreakpoints(tokens?.cssom?.breakpoints)
+      }
+    };
+  }
+
+  // Ordered section list; repeated header/footer fragments collapse into one
+  analyzeSections(sections) {
+    return sections
+      .filter((section, index) => !['header', 'footer'].includes(section.type)
+        || sections.findIndex(other => other.type === section.type) === index)
+      .map((section, index) => ({ ...section, position: index }));
+  }
+
+  analyzeTokens(tokens) {
+    const cssom = tokens?.cssom || {};
+    const elements = tokens?.elements || {};
+    const px = (value) => (value && /px$/.test(value) ? Math.round(parseFloat(value)) : null);
+    const mostUsed = (counts = {}) => Object.entries(counts).sort((a, b) => b[1] - a[1]).map(([value]) => value);
+
+    // Explicit element samples win over stylesheet-wide frequency, hardcoded defaults come last
+    const commonRadius = px(mostUsed(cssom.radii).find(value => /^[\d.]+px$/.test(value)));
+    const radius = {
+      button: px(elements.button?.borderRadius) ?? commonRadius ?? 4,
+      card: px(elements.card?.borderRadius) ?? commonRadius ?? 8,
+      input: px(elements.input?.borderRadius) ?? px(elements.button?.borderRadius) ?? 4
+    };
+
+    const spacing = mostUsed(cssom.spacing).map(px).filter(value => value > 0 && value <= 128);
+    const unit = spacing.length && spacing.filter(value => value % 8 === 0).length >= spacing.length / 2 ? 8 : 4;
+
+    const heading = (sample, fallback) => ({
+      size: px(sample?.fontSize) ?? fallback,
+      weight: sample?.fontWeight || '700',
+      lineHeight: sample && px(sample.lineHeight) && px(sample.fontSize)
+        ? Math.round((px(sample.lineHeight) / px(sample.fontSize)) * 100) / 100
+        : 1.2,
+      letterSpacing: sample?.letterSpacing && sample.letterSpacing !== 'normal' ? sample.letterSpacing : 'normal',
+      textTransform: sample?.textTransform || 'none'
+    });
+
+    const containerWidth = elements.container?.maxWidth
+      || px(mostUsed(cssom.containerWidths)[0])
+      || 1200;
+
+    return {
+      radius,
+      shadows: {
+        card: elements.card?.boxShadow && elements.card.boxShadow !== 'none'
+          ? elements.card.boxShadow
+          : mostUsed(cssom.shadows)[0] || 'none',
+        hover: '0 5px 20px rgba(0,0,0,0.1)'
+      },
+      spacing: {
+        unit,
+        scale: Array.from(new Set(spacing)).sort((a, b) => a - b).slice(0, 8)
+      },
+      container: {
+        maxWidth: Math.min(Math.max(containerWidth, 960), 1920),
+        padding: px(elements.container?.paddingLeft) || 20
+      },
+      typography: {
+        h1: heading(elements.h1, 40),
+        h2: heading(elements.h2, 32),
+        h3: heading(elements.h3, 24),
+        body: {
+          size: px(elements.body?.fontSize) ?? 16,
+          weight: elements.body?.fontWeight || '400',
+          lineHeight: elements.body && px(elements.body.lineHeight) && px(elements.body.fontSize)
+            ? Math.round((px(elements.body.lineHeight) / px(elements.body.fontSize)) * 100) / 100
+            : 1.6
+        }
+      },
+      button: {
+        radius: radius.button,
+        paddingY: px(elements.button?.paddingTop) ?? 12,
+        paddingX: px(elements.button?.paddingRight) ?? 24,
+        fontSize: px(elements.button?.fontSize) ?? 16,
+        fontWeight: elements.button?.fontWeight || '600',
+        textTransform: elements.button?.textTransform || 'none',
+        letterSpacing: elements.button?.letterSpacing && elements.button.letterSpacing !== 'normal'
+          ? elements.button.letterSpacing
+          : 'normal'
+      },
+      input: {
+        radius: radius.input,
+        border: elements.input?.border && elements.input.border !== 'none' ? elements.input.border : '1px solid #ccc',
+        height: Math.round(elements.input?.height || 44)
+      },
+      card: {
+        radius: radius.card,
+        border: elements.card?.border || 'none'
+      },
+      breakpoints: this.analyzeBreakpoints(cssom.breakpoints)
+    };
+  }
+
+  analyzeBreakpoints(counts = {}) {
+    const values = Object.entries(counts)
+      .map(([value, used]) => ({ value: parseInt(value, 10), used }))
+      .sort((a, b) => b.used - a.used);
+
+    // Most used media-query width within each device range
+    const pick = (min, max, fallback) => values.find(({ value }) => value >= min && value < max)?.value || fallback;
+
+    return {
+      mobile: pick(480, 900, 768),
+      tablet: pick(900, 1200, 1024),
+      desktop: pick(1200, 1700, 1440)
+    };
+  }
+
+  analyzeProductStructure(products) {
+    if (!products || products.length === 0) return null;
+
+    return {
+      count: products.length,
+      hasImages: products.some(p => p.image),
+      hasPrices: products.some(p => p.price),
+      structure: {
+        nameField: 'name',
+        priceField: 'price',
+        imageField: 'image',
+        linkField: 'link'
+      },
+      samples: products.slice(0, 3)
+    };
+  }
+
+  analyzePages(pages) {
+    // Single-URL scrapes have no page list
+    if (!pages || pages.length === 0) return null;
+
+    const types = {};
+    pages.forEach(page => {
+      types[page.type] = (types[page.type] || 0) + 1;
+    });
+
+    return {
+      count: pages.length,
+      types,
+      pages: pages.map(page => ({
+        url: page.url,
+        type: page.type,
+        title: page.title,
+        headings: page.headings || [],
+        content: page.content,
+        productsFound: (page.products || []).length
+      }))
+    };
+  }
+
+  // Real advice is marked source: 'ai', the canned list source: 'fallback'
+  async getAIRecommendations(scrapedData) {
+    try {
+      const { data, prompt, provider, model } = await llmService.generate('design-recommendations', {
+        url: scrapedData.url,
+        colors: (scrapedData.design?.colors || []).slice(0, 5),
+        fonts: (scrapedData.design?.fonts || []).slice(0, 3),
+        hasProducts: (scrapedData.products || []).length > 0
+      });
+
+      return { source: 'ai', ...data, prompt, provider, model };
+    } catch (error) {
+      console.error('AI recommendation error:', error.message);
+      return {
+        source: 'fallback',
+        improvements: ["Modern design patterns", "Better color contrast", "Clear CTAs"],
+        ux: ["Simplified navigation", "Faster load times", "Better mobile experience"],
+        mobile: ["Touch-friendly buttons", "Responsive images", "Optimized fonts"],
+        conversion: ["Clear value proposition", "Trust badges", "Simplified checkout"]
+      };
+    }
+  }
+}
+
+module.exports = new DesignAnalyzerService();
+// ========================================
+// backend/src/services/storage/localStorageAdapter.js
+// ========================================
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class LocalStorageAdapter {
+  constructor({ root, baseUrl }) {
+    this.root = root;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  resolve(key) {
+    // Keys are generated by us, but never let one escape the storage root
+    const target = path.resolve(this.root, key);
+    if (!target.startsWith(path.resolve(this.root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  }
+
+  async exists(key) {
+    try {
+      await fs.access(this.resolve(key));
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  async put(key, buffer) {
+    const target = this.resolve(key);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+    return this.url(key);
+  }
+
+  async get(key) {
+    return fs.readFile(this.resolve(key));
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+module.exports = LocalStorageAdapter;
+
+// ========================================
+// backend/src/services/storage/index.js
+// ========================================
+
+const path = require('path');
+const LocalStorageAdapter = require('./localStorageAdapter');
+
+// Adapters take the same (key, buffer) interface; add new backends here
+const adapters = {
+  local: () => new LocalStorageAdapter({
+    root: process.env.ASSET_STORAGE_DIR || path.join(process.cwd(), 'storage', 'assets'),
+    baseUrl: process.env.ASSET_BASE_URL || '/assets'
+  })
+};
+
+const driver = process.env.ASSET_STORAGE || 'local';
+if (!adapters[driver]) {
+  throw new Error(`Unknown asset storage driver: ${driver}`);
+}
+
+module.exports = adapters[driver]();
+
+// ========================================
+// backend/src/services/assetService.js
+// ========================================
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const politenessService = require('./politenessService');
+
+class AssetService {
+  constructor() {
+    this.widths = [320, 640, 1024, 1600];
+    this.maxImages = parseInt(process.env.ASSET_MAX_IMAGES, 10) || 500;
+    this.maxImagesPerProduct = 8;
+    this.concurrency = 4;
+  }
+
+  // Downloads product images and the logo, re-hosts them and rewrites the references in place
+  // fetch(url) -> Buffer overrides the download, e.g. to read images from a snapshot
+  async harvest(scrapedData, { onProgress, fetch } = {}) {
+    const sources = new Set();
+    const brand = scrapedData.design.brand || {};
+
+    if (brand.logo) sources.add(brand.logo);
+    if (brand.favicon) sources.add(brand.favicon);
+    scrapedData.products.forEach(product => {
+      this.productImages(product).forEach(url => sources.add(url));
+    });
+
+    const urls = Array.from(sources).slice(0, this.maxImages);
+    const assets = new Map();
+
+    for (let i = 0; i < urls.length; i += this.concurrency) {
+      const batch = urls.slice(i, i + this.concurrency);
+      const results = await Promise.all(batch.map(url => this.importImage(url, fetch).catch(error => {
+        console.error('Asset harvest error:', url, error.message);
+        return null;
+      })));
+
+      results.forEach((asset, index) => {
+        if (asset) assets.set(batch[index], asset);
+      });
+
+      if (onProgress) await onProgress(Math.min(i + this.concurrency, urls.length), urls.length);
+    }
+
+    scrapedData.products.forEach(product => {
+      const images = this.productImages(product);
+      const harvested = images.map(url => assets.get(url)).filter(Boolean);
+      if (harvested.length === 0) return;
+
+      product.sourceImages = images;
+      product.images = harvested.map(asset => asset.src);
+      product.image = product.images[0];
+      product.assets = harvested;
+    });
+
+    if (brand.logo && assets.has(brand.logo)) {
+      brand.sourceLogo = brand.logo;
+      brand.logoAsset = assets.get(brand.logo);
+      brand.logo = brand.logoAsset.src;
+    }
+    if (brand.favicon && assets.has(brand.favicon)) {
+      brand.favicon = assets.get(brand.favicon).src;
+    }
+
+    return { imported: assets.size, total: urls.length };
+  }
+
+  productImages(product) {
+    const images = product.images && product.images.length ? product.images : [product.image];
+    return images.filter(Boolean).slice(0, this.maxImagesPerProduct);
+  }
+
+  async importImage(url, fetch) {
+    if (fetch) {
+      const buffer = await fetch(url);
+      if (!buffer) throw new Error('Image not available');
+      return this.storeImage(buffer);
+    }
+
+    const { data } = await politenessService.request({
+      url,
+      responseType: 'arraybuffer',
+      maxContentLength: 15 * 1024 * 1024
+    });
+
+    return this.storeImage(Buffer.from(data));
+  }
+
+  async storeImage(buffer) {
+    // Identical images (same file on several products, re-runs) are stored once
+    const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const recordKey = `${hash.substring(0, 2)}/${hash}/asset.json`;
+
+    if (await storage.exists(recordKey)) {
+      return JSON.parse((await storage.get(recordKey)).toString());
+    }
+
+    const prefix = `${hash.substring(0, 2)}/${hash}`;
+    const metadata = await sharp(buffer).metadata();
+
+    // Vector logos stay vector
+    if (metadata.format === 'svg') {
+      const src = await storage.put(`${prefix}/original.svg`, buffer);
+      const record = { hash, format: 'svg', width: metadata.width, height: metadata.height, src, variants: [] };
+      await storage.put(recordKey, Buffer.from(JSON.stringify(record)));
+      return record;
+    }
+
+    const widths = this.widths.filter(width => width < metadata.width);
+    widths.push(Math.min(metadata.width, this.widths[this.widths.length - 1]));
+
+    const variants = [];
+    for (const width of Array.from(new Set(widths))) {
+      const resized = sharp(buffer).rotate().resize({ width, withoutEnlargement: true });
+
+      variants.push({
+        width,
+        format: 'webp',
+        url: await storage.put(`${prefix}/${width}.webp`, await resized.clone().webp({ quality: 80 }).toBuffer())
+      });
+      variants.push({
+        width,
+        format: 'avif',
+        url: await storage.put(`${prefix}/${width}.avif`, await resized.clone().avif({ quality: 50 }).toBuffer())
+      });
+    }
+
+    const webp = variants.filter(variant => variant.format === 'webp');
+    const record = {
+      hash,
+      format: metadata.format,
+      width: metadata.width,
+      height: metadata.height,
+      // Largest WebP is the plain <img src>, srcsets carry the rest
+      src: webp[webp.length - 1].url,
+      variants,
+      srcset: {
+        webp: this.srcset(variants, 'webp'),
+        avif: this.srcset(variants, 'avif')
+      }
+    };
+
+    await storage.put(recordKey, Buffer.from(JSON.stringify(record)));
+    return record;
+  }
+
+  // Smallest stored rendition of an imported image, e.g. for palette analysis
+  async readImage(record) {
+    if (!record) return null;
+
+    const prefix = `${record.hash.substring(0, 2)}/${record.hash}`;
+    if (record.format === 'svg') return storage.get(`${prefix}/original.svg`);
+
+    const webp = record.variants.filter(variant => variant.format === 'webp');
+    return storage.get(`${prefix}/${webp[0].width}.webp`);
+  }
+
+  srcset(variants, format) {
+    return variants
+      .filter(variant => variant.format === format)
+      .map(variant => `${variant.url} ${variant.width}w`)
+      .join(', ');
+  }
+}
+
+module.exports = new AssetService();
+
+// ========================================
+// backend/src/services/snapshotService.js
+// ========================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+class SnapshotService {
+  constructor() {
+    this.root = process.env.SNAPSHOT_DIR || path.join(process.cwd(), 'storage', 'snapshots');
+    this.maxResourceSize = 10 * 1024 * 1024;
+    this.contentTypes = {
+      '.html': 'text/html; charset=utf-8',
+      '.css': 'text/css',
+      '.js': 'application/javascript',
+      '.json': 'application/json',
+      '.svg': 'image/svg+xml',
+      '.png': 'image/png',
+      '.jpg': 'image/jpeg',
+      '.jpeg': 'image/jpeg',
+      '.gif': 'image/gif',
+      '.webp': 'image/webp',
+      '.avif': 'image/avif',
+      '.woff': 'font/woff',
+      '.woff2': 'font/woff2',
+      '.ttf': 'font/ttf'
+    };
+  }
+
+  // Records every response the page receives until stop() is called
+  record(page) {
+    const resources = new Map();
+    const pending = [];
+
+    const onResponse = (response) => {
+      const request = response.request();
+      const status = response.status();
+      if (request.method() !== 'GET') return;
+
+      // Redirects are replayed as redirects, so the page ends up on the same final URL
+      if (status >= 300 && status < 400) {
+        const location = response.headers().location;
+        if (location) {
+          resources.set(this.key(response.url()), {
+            url: response.url(),
+            status,
+            location: new URL(location, response.url()).href,
+            contentType: 'text/plain',
+            body: Buffer.alloc(0)
+          });
+        }
+        return;
+      }
+
+      pending.push(response.buffer().then(body => {
+        if (body.length > this.maxResourceSize) return;
+        resources.set(this.key(response.url()), {
+          url: response.url(),
+          status,
+          contentType: response.headers()['content-type'] || 'application/octet-stream',
+          body
+        });
+      }).catch(() => {
+        // Bodies of aborted or streamed responses aren't available
+      }));
+    };
+
+    page.on('response', onResponse);
+
+    return {
+      resources,
+      stop: async () => {
+        page.off('response', onResponse);
+        await Promise.all(pending);
+        return resources;
+      }
+    };
+  }
+
+  async save({ userId, sourceUrl, resources, scrape }) {
+    const id = crypto.randomUUID();
+    const dir = path.join(this.root, id);
+    await fs.mkdir(path.join(dir, 'resources'), { recursive: true });
+
+    const entries = {};
+    for (const [key, resource] of resources) {
+      const file = `resources/${crypto.createHash('sha1').update(key).digest('hex')}`;
+      await fs.writeFile(path.join(dir, file), resource.body);
+      entries[key] = { url: resource.url, status: resource.status, location: resource.location, contentType: resource.contentType, file };
+    }
+
+    // Screenshots go next to the manifest, the rest of the scrape (computed styles,
+    // products, catalog) is kept in it so analyzers can re-run without a browser
+    const { screenshots, ...scrapeData } = scrape;
+    if (screenshots) {
+      await fs.writeFile(path.join(dir, 'desktop.png'), screenshots.desktop);
+      await fs.writeFile(path.join(dir, 'mobile.png'), screenshots.mobile);
+    }
+
+    const manifest = {
+      id,
+      version: 1,
+      userId: String(userId),
+      sourceUrl,
+      createdAt: new Date(),
+      entries,
+      scrape: scrapeData
+    };
+    await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(manifest));
+
+    return { id, path: dir, sourceUrl, createdAt: manifest.createdAt };
+  }
+
+  // Accepts a snapshot id, a snapshot directory, a single-file JSON snapshot
+  // or a plain directory of saved pages (e.g. a wget mirror). With a userId (API
+  // callers) only that user's recorded snapshots under SNAPSHOT_DIR are loaded.
+  async load(source, { userId } = {}) {
+    const isId = typeof source === 'string' && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(source);
+    if (userId && !isId) throw this.notFound();
+
+    const location = isId ? path.join(this.root, source) : path.resolve(source);
+    let stats;
+    try {
+      stats = await fs.stat(location);
+    } catch (error) {
+      if (userId && error.code === 'ENOENT') throw this.notFound();
+      throw error;
+    }
+
+    let snapshot;
+    if (stats.isFile()) {
+      snapshot = { ...JSON.parse(await fs.readFile(location, 'utf8')), type: 'file', location };
+    } else if (await this.exists(path.join(location, 'manifest.json'))) {
+      snapshot = { ...JSON.parse(await fs.readFile(path.join(location, 'manifest.json'), 'utf8')), type: 'recorded', location };
+    } else {
+      if (userId) throw this.notFound();
+      return { type: 'directory', location, entries: {}, scrape: null };
+    }
+
+    // Snapshots without an owner are only reachable from local tooling
+    if (userId && snapshot.userId !== String(userId)) throw this.notFound();
+
+    return snapshot;
+  }
+
+  notFound() {
+    const error = new Error('Snapshot not found');
+    error.code = 'SNAPSHOT_NOT_FOUND';
+    error.statusCode = 404;
+    return error;
+  }
+
+  // Serves every request from the snapshot; anything it doesn't hold is aborted, never fetched
+  async replay(page, snapshot) {
+    await page.setRequestInterception(true);
+
+    page.on('request', async (request) => {
+      if (request.isInterceptResolutionHandled && request.isInterceptResolutionHandled()) return;
+
+      try {
+        const resource = await this.resolve(snapshot, request.url());
+        if (!resource) return request.abort('internetdisconnected');
+
+        await request.respond({
+          status: resource.status,
+          headers: resource.location ? { location: resource.location } : undefined,
+          contentType: resource.contentType,
+          body: resource.body
+        });
+      } catch (error) {
+        request.abort('failed').catch(() => {});
+      }
+    });
+  }
+
+  async resolve(snapshot, url) {
+    if (snapshot.type === 'directory') {
+      const { pathname } = new URL(url);
+      const relative = decodeURIComponent(pathname).replace(/\/$/, '/index.html').replace(/^\//, '') || 'index.html';
+      const file = path.resolve(snapshot.location, relative);
+      if (!file.startsWith(path.resolve(snapshot.location)) || !await this.exists(file)) return null;
+
+      return {
+        status: 200,
+        contentType: this.contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream',
+        body: await fs.readFile(file)
+      };
+    }
+
+    const entry = snapshot.entries[this.key(url)];
+    if (!entry) return null;
+
+    return {
+      status: entry.status,
+      location: entry.location,
+      contentType: entry.contentType,
+      body: entry.body !== undefined
+        ? Buffer.from(entry.body, 'base64')
+        : await fs.readFile(path.join(snapshot.location, entry.file))
+    };
+  }
+
+  // Bundles a recorded snapshot into one portable JSON file
+  async exportFile(id, target) {
+    const snapshot = await this.load(id);
+    const entries = {};
+
+    for (const [key, entry] of Object.entries(snapshot.entries)) {
+      const body = await fs.readFile(path.join(snapshot.location, entry.file));
+      entries[key] = { url: entry.url, status: entry.status, location: entry.location, contentType: entry.contentType, body: body.toString('base64') };
+    }
+
+    const { location, type, ...manifest } = snapshot;
+    await fs.writeFile(target, JSON.stringify({ ...manifest, entries }));
+    return target;
+  }
+
+  key(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href;
+  }
+
+  async exists(file) {
+    try {
+      await fs.access(file);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new SnapshotService();
+
+// ========================================
+// backend/src/services/cacheService.js
+// ========================================
+
+const { createClient } = require('redis');
+const crypto = require('crypto');
+
+class CacheService {
+  constructor() {
+    // The cache is optional, so commands fail fast while Redis is down instead
+    // of queueing, and connecting gives up after a few attempts
+    this.client = createClient({
+      url: process.env.REDIS_URL || 'redis://localhost:6379',
+      disableOfflineQueue: true,
+      socket: {
+        connectTimeout: 2000,
+        reconnectStrategy: (retries) => (retries >= 3 ? new Error('Redis is unreachable') : retries * 200)
+      }
+    });
+    this.client.on('error', (error) => console.error('Redis cache error:', error.message));
+    this.connecting = null;
+    this.retryAt = 0;
+
+    this.ttl = {
+      scrape: parseInt(process.env.SCRAPE_CACHE_TTL, 10) || 6 * 60 * 60,
+      analysis: parseInt(process.env.ANALYSIS_CACHE_TTL, 10) || 7 * 24 * 60 * 60
+    };
+  }
+
+  async getClient() {
+    if (!this.client.isOpen) {
+      // After a failed connect, calls are misses until the next attempt is due
+      if (Date.now() < this.retryAt) throw new Error('Redis is unavailable');
+      this.connecting = this.connecting || this.client.connect().catch((error) => {
+        this.retryAt = Date.now() + 30 * 1000;
+        throw error;
+      }).finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  // Cache failures are logged and treated as misses, they never fail an analysis
+  async get(key) {
+    try {
+      const value = await (await this.getClient()).get(key);
+      return value ? JSON.parse(value, this.revive) : null;
+    } catch (error) {
+      console.error('Cache read error:', error.message);
+      return null;
+    }
+  }
+
+  async set(key, value, ttlSeconds) {
+    try {
+      await (await this.getClient()).set(key, JSON.stringify(value, this.replace), { EX: ttlSeconds });
+    } catch (error) {
+      console.error('Cache write error:', error.message);
+    }
+  }
+
+  // Screenshots are Buffers, stored as base64 instead of JSON byte arrays
+  replace(key, value) {
+    const raw = this[key];
+    return Buffer.isBuffer(raw) ? { __buffer: raw.toString('base64') } : value;
+  }
+
+  revive(key, value) {
+    return value && typeof value.__buffer === 'string' ? Buffer.from(value.__buffer, 'base64') : value;
+  }
+
+  hash(value) {
+    const data = typeof value === 'string' || Buffer.isBuffer(value) ? value : JSON.stringify(value);
+    return crypto.createHash('sha256').update(data).digest('hex');
+  }
+
+  normalizeUrl(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    parsed.hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+
+    // Tracking parameters don't change the page
+    const params = Array.from(parsed.searchParams.entries())
+      .filter(([name]) => !/^(utm_|fbclid|gclid|ref$)/i.test(name))
+      .sort(([a], [b]) => a.localeCompare(b));
+    parsed.search = new URLSearchParams(params).toString();
+
+    return parsed.href.replace(/\/$/, '');
+  }
+
+  scrapeKey(url, options) {
+    return `snapshelf:scrape:${this.hash({ url: this.normalizeUrl(url), ...options })}`;
+  }
+
+  analysisKey(contentHash, version) {
+    return `snapshelf:analysis:v${version}:${contentHash}`;
+  }
+}
+
+module.exports = new CacheService();
+
+// ========================================
+// backend/src/services/socketService.js
+// ========================================
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+
+class SocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  initialize(server) {
+    this.io = new Server(server, {
+      cors: { origin: process.env.CLIENT_URL || '*' }
+    });
+
+    // Same JWT as the REST API, passed as `auth: { token }` by the client
+    this.io.use((socket, next) => {
+      try {
+        socket.user = jwt.verify(socket.handshake.auth?.token, process.env.JWT_SECRET || 'your-secret-key');
+        next();
+      } catch (error) {
+        next(new Error('Token is not valid'));
+      }
+    });
+
+    this.io.on('connection', (socket) => {
+      socket.on('analysis:subscribe', async (jobId, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+
+        try {
+          // Required lazily, the job service emits through this module
+          const analysisJobService = require('./analysisJobService');
+          const status = await analysisJobService.getStatus(jobId, socket.user.id);
+
+          if (!status) return reply({ error: 'Job not found' });
+
+          socket.join(`analysis:${jobId}`);
+          reply({ success: true, data: status });
+        } catch (error) {
+          reply({ error: 'Failed to subscribe to job' });
+        }
+      });
+
+      socket.on('analysis:unsubscribe', (jobId) => {
+        socket.leave(`analysis:${jobId}`);
+      });
+    });
+
+    return this.io;
+  }
+
+  emitToJob(jobId, event, payload) {
+    if (!this.io) return;
+    this.io.to(`analysis:${jobId}`).emit(event, { jobId: String(jobId), ...payload });
+  }
+}
+
+module.exports = new SocketService();
+
+// ========================================
+// backend/src/services/templateRegistryService.js
+// ========================================
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+const Mustache = require('mustache');
+const fontCatalogService = require('./fontCatalogService');
+const accessibilityService = require('./accessibilityService');
+const templates = require('../storefront/templates');
+const sections = require('../storefront/sections');
+
+// Template packages live in <root>/<id>/<version>/, described by template.json. A
+// package may override any storefront layout, partial or page; the rest come from
+// storefront/templates.js. Versions sit side by side so stores stay on the one
+// they were created from.
+class TemplateRegistryService {
+  constructor() {
+    this.root = process.env.TEMPLATE_DIR || path.join(__dirname, '../../templates');
+    this.sectionTypes = Object.keys(sections);
+    this.settingTypes = ['color', 'font', 'range', 'select', 'checkbox', 'text'];
+    // Needed to generate the theme stylesheet
+    this.requiredSettings = [
+      'colors.primary', 'colors.secondary', 'colors.accent', 'colors.background', 'colors.text',
+      'typography.heading', 'typography.body'
+    ];
+    this.previewTypes = ['.png', '.jpg', '.jpeg', '.webp', '.svg'];
+    this.packages = new Map();
+    this.errors = [];
+    this.missing = new Set();
+    this.load();
+  }
+
+  get schema() {
+    const file = Joi.string().pattern(/^[\w./-]+$/);
+    const templateFiles = (names) => Joi.object().pattern(Joi.string().valid(...names), file);
+
+    return Joi.object({
+      id: Joi.string().pattern(/^[a-z0-9]+(-[a-z0-9]+)*$/).max(60).required(),
+      version: Joi.string().pattern(/^\d+\.\d+\.\d+$/).required(),
+      name: Joi.string().trim().max(80).required(),
+      description: Joi.string().trim().max(300).allow(''),
+      features: Joi.array().items(Joi.string().trim().max(40)).default([]),
+      structure: Joi.object().unknown(true).default({}),
+      sections: Joi.object({
+        supported: Joi.array().items(Joi.string().valid(...this.sectionTypes)).min(1).unique().required(),
+        defaults: Joi.array().items(Joi.object({
+          type: Joi.string().valid(Joi.in('....supported')).required(),
+          settings: Joi.object().unknown(true).default({})
+        })).default([])
+      }).required(),
+      settings: Joi.array().items(Joi.object({
+        id: Joi.string().pattern(/^[a-z][\w-]*(\.[a-z][\w-]*)*$/i).required(),
+        label: Joi.string().trim().max(80).required(),
+        type: Joi.string().valid(...this.settingTypes).required(),
+        default: Joi.any().required(),
+        options: Joi.when('type', { is: 'select', then: Joi.array().items(Joi.string()).min(1).required(), otherwise: Joi.forbidden() }),
+        min: Joi.when('type', { is: 'range', then: Joi.number().required(), otherwise: Joi.forbidden() }),
+        max: Joi.when('type', { is: 'range', then: Joi.number().greater(Joi.ref('min')).required(), otherwise: Joi.forbidden() }),
+        unit: Joi.string().max(10),
+        // Exposed to the package stylesheet as a custom property
+        cssVar: Joi.when('type', {
+          is: Joi.valid('color', 'range', 'select'),
+          then: Joi.string().pattern(/^--[a-z][\w-]*$/),
+          otherwise: Joi.forbidden()
+        })
+      })).unique('id').required(),
+      files: Joi.object({
+        styles: file,
+        preview: file.required(),
+        layout: file,
+        partials: templateFiles(Object.keys(templates.partials)),
+        pages: templateFiles(Object.keys(templates.pages))
+      }).required()
+    });
+  }
+
+  // Reads every package under the root. Invalid packages are reported and skipped,
+  // they never take the server down.
+  load() {
+    this.packages = new Map();
+    this.errors = [];
+
+    let ids = [];
+    try {
+      ids = fs.readdirSync(this.root, { withFileTypes: true }).filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      console.error(`Template directory ${this.root} is not readable:`, error.message);
+      return;
+    }
+
+    ids.forEach(id => {
+      fs.readdirSync(path.join(this.root, id), { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .forEach(entry => {
+          const dir = path.join(this.root, id, entry.name);
+          try {
+            const pkg = this.loadPackage(dir, id, entry.name);
+            const versions = this.packages.get(id) || [];
+            versions.push(pkg);
+            this.packages.set(id, versions.sort((a, b) => this.compareVersions(b.version, a.version)));
+          } catch (error) {
+            this.errors.push({ id, version: entry.name, message: error.message });
+            console.error(`Invalid template ${id}@${entry.name}:`, error.message);
+          }
+        });
+    });
+  }
+
+  loadPackage(dir, id, version) {
+    const { error, value: manifest } = this.schema.validate(
+      JSON.parse(fs.readFileSync(path.join(dir, 'template.json'), 'utf8')),
+      { abortEarly: false }
+    );
+    if (error) throw new Error(error.details.map(detail => detail.message).join('; '));
+    if (manifest.id !== id || manifest.version !== version) {
+      throw new Error(`Manifest is ${manifest.id}@${manifest.version}, expected ${id}@${version}`);
+    }
+
+    const missing = this.requiredSettings.filter(setting => !manifest.settings.some(definition => definition.id === setting));
+    if (missing.length > 0) throw new Error(`Missing settings: ${missing.join(', ')}`);
+    manifest.settings.forEach(definition => {
+      const message = this.checkSetting(definition, definition.default);
+      if (message) throw new Error(`Default of ${definition.id} ${message}`);
+    });
+
+    // Paths stay inside the package
+    const base = path.resolve(dir);
+    const resolve = (file) => {
+      const target = path.resolve(base, file);
+      if (!target.startsWith(base + path.sep)) throw new Error(`${file} is outside the package`);
+      if (!fs.statSync(target, { throwIfNoEntry: false })?.isFile()) throw new Error(`${file} does not exist`);
+      return target;
+    };
+    const read = (file) => {
+      const source = fs.readFileSync(resolve(file), 'utf8');
+      try {
+        Mustache.parse(source);
+      } catch (parseError) {
+        throw new Error(`${file}: ${parseError.message}`);
+      }
+      return source;
+    };
+    const readAll = (files = {}) => Object.fromEntries(Object.entries(files).map(([name, file]) => [name, read(file)]));
+
+    const preview = resolve(manifest.files.preview);
+    if (!this.previewTypes.includes(path.extname(preview).toLowerCase())) {
+      throw new Error(`Preview must be one of ${this.previewTypes.join(', ')}`);
+    }
+
+    return {
+      ...manifest,
+      dir,
+      preview,
+      styles: manifest.files.styles ? fs.readFileSync(resolve(manifest.files.styles), 'utf8') : '',
+      storefront: {
+        layout: manifest.files.layout ? read(manifest.files.layout) : templates.layout,
+        partials: { ...templates.partials, ...readAll(manifest.files.partials) },
+        pages: { ...templates.pages, ...readAll(manifest.files.pages) }
+      }
+    };
+  }
+
+  compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+      if (left[i] !== right[i]) return left[i] - right[i];
+    }
+    return 0;
+  }
+
+  // Latest version unless one is asked for
+  get(id, version) {
+    const versions = this.packages.get(id) || [];
+    return version ? versions.find(pkg => pkg.version === version) || null : versions[0] || null;
+  }
+
+  // filters: { feature, section, q, versions: 'all' }, feature and section may be lists
+  list(filters = {}) {
+    const list = (value) => [].concat(value || []).flatMap(item => String(item).split(',')).map(item => item.trim().toLowerCase()).filter(Boolean);
+    const features = list(filters.feature);
+    const sections = list(filters.section);
+    const q = (filters.q || '').trim().toLowerCase();
+
+    return Array.from(this.packages.values())
+      .flatMap(versions => (filters.versions === 'all' ? versions : versions.slice(0, 1)))
+      .filter(pkg => features.every(feature => pkg.features.some(candidate => candidate.toLowerCase() === feature)))
+      .filter(pkg => sections.every(section => pkg.sections.supported.includes(section)))
+      .filter(pkg => !q || `${pkg.id} ${pkg.name} ${pkg.description || ''}`.toLowerCase().includes(q))
+      .sort((a, b) => a.name.localeCompare(b.name) || this.compareVersions(b.version, a.version))
+      .map(pkg => this.summary(pkg));
+  }
+
+  summary(pkg) {
+    return {
+      id: pkg.id,
+      version: pkg.version,
+      name: pkg.name,
+      description: pkg.description,
+      preview: `/api/ai/templates/${pkg.id}/${pkg.version}/preview`,
+      features: pkg.features,
+      structure: pkg.structure,
+      sections: pkg.sections.supported,
+      settings: pkg.settings.map(({ cssVar, ...definition }) => definition),
+      versions: (this.packages.get(pkg.id) || []).map(candidate => candidate.version)
+    };
+  }
+
+  // Templates for a store's pinned package, or null when that version is gone
+  storefront(id, version) {
+    const pkg = this.get(id, version);
+    if (!pkg && !this.missing.has(`${id}@${version}`)) {
+      this.missing.add(`${id}@${version}`);
+      console.warn(`Template ${id}@${version} is not installed, using the default storefront templates`);
+    }
+    return pkg ? pkg.storefront : null;
+  }
+
+  checkSetting(definition, value) {
+    switch (definition.type) {
+      case 'color':
+        return /^#[0-9a-f]{6}$/i.test(value) ? null : 'must be a #rrggbb color';
+      case 'font':
+        return typeof value === 'string' && value.trim() ? null : 'must be a font family';
+      case 'range':
+        return typeof value === 'number' && value >= definition.min && value <= definition.max
+          ? null
+          : `must be a number between ${definition.min} and ${definition.max}`;
+      case 'select':
+        return definition.options.includes(value) ? null : `must be one of ${definition.options.join(', ')}`;
+      case 'checkbox':
+        return typeof value === 'boolean' ? null : 'must be true or false';
+      default:
+        return typeof value === 'string' && value.length <= 500 ? null : 'must be text up to 500 characters';
+    }
+  }
+
+  // Package defaults overridden by the given values, keyed by setting id
+  resolveSettings(pkg, values = {}) {
+    const unknown = Object.keys(values).filter(id => !pkg.settings.some(definition => definition.id === id));
+    const invalid = pkg.settings
+      .filter(definition => values[definition.id] !== undefined)
+      .map(definition => {
+        const message = this.checkSetting(definition, values[definition.id]);
+        return message && `${definition.id} ${message}`;
+      })
+      .filter(Boolean);
+
+    if (unknown.length > 0 || invalid.length > 0) {
+      const error = new Error([
+        ...unknown.map(id => `${id} is not a setting of ${pkg.id}@${pkg.version}`),
+        ...invalid
+      ].join('; '));
+      error.code = 'INVALID_TEMPLATE_SETTINGS';
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return Object.fromEntries(pkg.settings.map(definition => [
+      definition.id,
+      values[definition.id] !== undefined ? values[definition.id] : definition.default
+    ]));
+  }
+
+  // Colors and typography in the shape designAnalyzerService produces
+  design(settings) {
+    const colors = {
+      primary: settings['colors.primary'],
+      secondary: settings['colors.secondary'],
+      accent: settings['colors.accent'],
+      background: settings['colors.background'],
+      text: settings['colors.text']
+    };
+    colors.onPrimary = accessibilityService.readableOn(colors.primary);
+    colors.onSecondary = accessibilityService.readableOn(colors.secondary);
+
+    const heading = fontCatalogService.resolve(settings['typography.heading'], { source: 'google', weights: [700] });
+    const body = fontCatalogService.resolve(settings['typography.body'], { source: 'google', weights: [400, 700] });
+
+    return {
+      colors,
+      typography: { heading, body, pairing: null, stylesheet: fontCatalogService.stylesheetUrl([heading, body]) }
+    };
+  }
+
+  // Package stylesheet, preceded by the custom properties its settings set
+  stylesheet(pkg, settings) {
+    const properties = pkg.settings
+      .filter(definition => definition.cssVar)
+      .map(definition => {
+        const value = settings[definition.id];
+        return `  ${definition.cssVar}: ${definition.type === 'range' ? `${value}${definition.unit || ''}` : value};`;
+      });
+
+    return [properties.length > 0 ? `:root {\n${properties.join('\n')}\n}` : '', pkg.styles].filter(Boolean).join('\n\n');
+  }
+}
+
+module.exports = new TemplateRegistryService();
+
+// ========================================
+// backend/src/services/sectionService.js
+// ========================================
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const library = require('../storefront/sections');
+const templateRegistryService = require('./templateRegistryService');
+
+// Page compositions live in store.design.components, each section tagged with the
+// page it belongs to. Pages are `home`, `product` (every product page), `collection`
+// (every collection page) or the slug of one of the store's pages.
+class SectionService {
+  constructor() {
+    this.templatePages = ['home', 'product', 'collection'];
+    // Used until a page has been edited
+    this.defaults = {
+      home: [{ type: 'hero' }, { type: 'product-grid' }],
+      product: [{ type: 'related-products' }],
+      collection: [],
+      page: []
+    };
+    this.schemas = new Map(Object.entries(library).map(([type, definition]) => [type, this.schema(definition.settings)]));
+  }
+
+  error(message, code, statusCode) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = statusCode;
+    return error;
+  }
+
+  field(definition) {
+    const objectId = Joi.string().pattern(/^[a-f0-9]{24}$/i, 'id');
+    let schema;
+
+    switch (definition.type) {
+      case 'text':
+      case 'textarea':
+        schema = Joi.string().trim().max(definition.max || 500);
+        break;
+      case 'url':
+        // Store paths or absolute links
+        schema = Joi.string().trim().max(2000).pattern(/^(\/(?!\/)|https?:\/\/|mailto:)/i, 'link');
+        break;
+      case 'image':
+        schema = Joi.string().trim().max(2000).pattern(/^(\/assets\/|https?:\/\/)/i, 'image URL');
+        break;
+      case 'color':
+        schema = Joi.string().pattern(/^#[0-9a-f]{6}$/i, 'color');
+        break;
+      case 'range':
+        schema = Joi.number().integer().min(definition.min).max(definition.max);
+        break;
+      case 'select':
+        schema = Joi.string().valid(...definition.options);
+        break;
+      case 'checkbox':
+        schema = Joi.boolean();
+        break;
+      case 'product':
+      case 'collection':
+        schema = objectId;
+        break;
+      case 'products':
+      case 'collections':
+        schema = Joi.array().items(objectId).unique().max(definition.max);
+        break;
+      case 'list':
+        schema = Joi.array().items(Joi.object(Object.fromEntries(
+          definition.fields.map(item => [item.id, this.field(item)])
+        ))).max(definition.max);
+        break;
+      default:
+        throw new Error(`Unknown setting type ${definition.type}`);
+    }
+
+    if (definition.required) return schema.required();
+    return ['text', 'textarea', 'url', 'image', 'color', 'range', 'product', 'collection'].includes(definition.type)
+      ? schema.allow(null, '').default(definition.default === undefined ? null : definition.default)
+      : schema.default(definition.default);
+  }
+
+  schema(settings) {
+    return Joi.object(Object.fromEntries(settings.map(definition => [definition.id, this.field(definition)])))
+      .options({ stripUnknown: true });
+  }
+
+  // The library, optionally narrowed to what a page and template version accept
+  list({ page, template, version } = {}) {
+    const supported = template && templateRegistryService.get(template, version)?.sections.supported;
+
+    return Object.entries(library)
+      .filter(([type, definition]) => !page || definition.pages.includes(this.templatePages.includes(page) ? page : 'page'))
+      .filter(([type]) => !supported || supported.includes(type))
+      .map(([type, definition]) => ({
+        type,
+        name: definition.name,
+        layout: Boolean(definition.layout),
+        pages: definition.pages,
+        limit: definition.limit || null,
+        settings: definition.settings
+      }));
+  }
+
+  // `home`, `product` and `collection`, or `page` for one of the store's pages
+  pageKind(store, page) {
+    if (this.templatePages.includes(page)) return page;
+    return (store.pages || []).some(candidate => candidate.slug === page && candidate.type !== 'home') ? 'page' : null;
+  }
+
+  // The page's sections in order, its defaults until it has been edited
+  composition(store, page) {
+    const stored = (store.design?.components || [])
+      .filter(component => (component.page || 'home') === page)
+      .sort((a, b) => (a.position || 0) - (b.position || 0));
+    if (stored.length > 0 || (store.design?.editedPages || []).includes(page)) return stored;
+
+    // Ids derived from the page, so they stay the same once the defaults are saved
+    const kind = this.pageKind(store, page);
+    return (kind ? this.defaults[kind] : []).map((section, position) => ({
+      _id: crypto.createHash('sha1').update(`${store._id}:${page}:${position}`).digest('hex').slice(0, 24),
+      type: section.type,
+      page,
+      position,
+      settings: this.settings(section.type, {})
+    }));
+  }
+
+  // Validated settings with defaults filled in. Values in `lenient` that no longer
+  // pass are reset rather than rejected, so settings saved before the library
+  // changed don't block later edits.
+  settings(type, values = {}, lenient = {}) {
+    const schema = this.schemas.get(type);
+    const kept = Object.fromEntries(Object.entries(lenient || {}).filter(([id]) => {
+      try {
+        return !schema.extract(id).validate(lenient[id]).error;
+      } catch (error) {
+        return false;
+      }
+    }));
+
+    const { error, value } = schema.validate({ ...kept, ...values }, { abortEarly: false });
+    if (error) {
+      throw this.error(error.details.map(detail => detail.message).join('; '), 'INVALID_SECTION', 400);
+    }
+    return value;
+  }
+
+  // Which of `settings` pick products or collections, as [setting, 'products' | 'collections']
+  referenceSettings(type) {
+    const kinds = { product: 'products', products: 'products', collection: 'collections', collections: 'collections' };
+    return library[type].settings.filter(definition => kinds[definition.type]).map(definition => [definition, kinds[definition.type]]);
+  }
+
+  // Maps every picked id through `map(kind, id)`; ids it returns null for are dropped
+  mapReferences(type, settings, map) {
+    const result = { ...settings };
+    this.referenceSettings(type).forEach(([definition, kind]) => {
+      const value = settings[definition.id];
+      if (Array.isArray(value)) result[definition.id] = value.map(id => map(kind, String(id))).filter(Boolean);
+      else if (value) result[definition.id] = map(kind, String(value)) || null;
+    });
+    return result;
+  }
+
+  // The picked ids that still belong to the store
+  async existingReferences(store, type, settings) {
+    const ids = { products: new Set(), collections: new Set() };
+    this.mapReferences(type, settings, (kind, id) => ids[kind].add(id));
+
+    const [products, collections] = await Promise.all([
+      ids.products.size ? Product.find({ storeId: store._id, _id: { $in: Array.from(ids.products) } }).select('_id').lean() : [],
+      ids.collections.size ? Category.find({ storeId: store._id, _id: { $in: Array.from(ids.collections) } }).select('_id').lean() : []
+    ]);
+    return {
+      ids,
+      products: new Set(products.map(product => String(product._id))),
+      collections: new Set(collections.map(collection => String(collection._id)))
+    };
+  }
+
+  // Picked products and collections have to belong to the store
+  async checkReferences(store, type, settings) {
+    const existing = await this.existingReferences(store, type, settings);
+    if (existing.products.size < existing.ids.products.size) throw this.error('Unknown product', 'INVALID_SECTION', 400);
+    if (existing.collections.size < existing.ids.collections.size) throw this.error('Unknown collection', 'INVALID_SECTION', 400);
+  }
+
+  // Saved picks of products or collections deleted since are dropped
+  async dropStaleReferences(store, type, settings) {
+    const existing = await this.existingReferences(store, type, settings);
+    return this.mapReferences(type, settings, (kind, id) => (existing[kind].has(id) ? id : null));
+  }
+
+  // Moves the picks of every section to new ids, e.g. after an import
+  remapReferences(components, { products, collections }) {
+    const maps = { products, collections };
+    (components || []).forEach(component => {
+      if (!library[component.type] || !component.settings) return;
+      component.settings = this.mapReferences(component.type, component.settings, (kind, id) => {
+        const mapped = maps[kind].get(id);
+        return mapped ? String(mapped) : null;
+      });
+    });
+  }
+
+  // Copies the page's defaults into the store before its first edit. Edited pages
+  // keep their composition even when every section is removed.
+  materialize(store, page) {
+    const { components, editedPages } = store.design;
+    if (editedPages.includes(page)) return;
+
+    if (!components.some(component => (component.page || 'home') === page)) {
+      this.composition(store, page).forEach(section => components.push(section));
+    }
+    editedPages.push(page);
+  }
+
+  find(store, page, id) {
+    const section = store.design.components.find(component => String(component._id) === String(id) && (component.page || 'home') === page);
+    if (!section) throw this.error('Section not found', 'SECTION_NOT_FOUND', 404);
+    return section;
+  }
+
+  renumber(store, page) {
+    this.composition(store, page).forEach((section, position) => { section.position = position; });
+    store.markModified('design.components');
+  }
+
+  assertPage(store, page) {
+    const kind = this.pageKind(store, page);
+    if (!kind) throw this.error('Page not found', 'PAGE_NOT_FOUND', 404);
+    return kind;
+  }
+
+  async add(store, page, { type, settings, position }) {
+    const kind = this.assertPage(store, page);
+    const definition = library[type];
+    if (!definition) throw this.error(`Unknown section type ${type}`, 'INVALID_SECTION', 400);
+    if (!definition.pages.includes(kind)) throw this.error(`${type} can't be placed on ${kind} pages`, 'INVALID_SECTION', 400);
+
+    // Stores pinned to a template package only take the sections it supports
+    const pinned = store.template?.package;
+    const supported = pinned?.id && templateRegistryService.get(pinned.id, pinned.version)?.sections.supported;
+    if (supported && !supported.includes(type)) {
+      throw this.error(`${pinned.id}@${pinned.version} doesn't support ${type} sections`, 'INVALID_SECTION', 400);
+    }
+
+    this.materialize(store, page);
+    const sections = this.composition(store, page);
+    if (definition.limit && sections.filter(section => section.type === type).length >= definition.limit) {
+      throw this.error(`Only ${definition.limit} ${type} section allowed per page`, 'INVALID_SECTION', 400);
+    }
+
+    const values = this.settings(type, settings);
+    await this.checkReferences(store, type, values);
+
+    store.design.components.push({ type, page, settings: values });
+    const section = store.design.components[store.design.components.length - 1];
+
+    const index = Number.isInteger(position) ? Math.max(0, Math.min(position, sections.length)) : sections.length;
+    sections.splice(index, 0, section);
+    sections.forEach((item, order) => { item.position = order; });
+    store.markModified('design.components');
+
+    return section;
+  }
+
+  async update(store, page, id, settings) {
+    this.assertPage(store, page);
+    this.materialize(store, page);
+    const section = this.find(store, page, id);
+
+    const saved = await this.dropStaleReferences(store, section.type, section.settings || {});
+    const values = this.settings(section.type, settings, saved);
+    await this.checkReferences(store, section.type, values);
+
+    section.settings = values;
+    store.markModified('design.components');
+    return section;
+  }
+
+  remove(store, page, id) {
+    this.assertPage(store, page);
+    this.materialize(store, page);
+    const section = this.find(store, page, id);
+
+    store.design.components.pull(section._id);
+    this.renumber(store, page);
+  }
+
+  // `order` lists every section id of the page, in the new order
+  reorder(store, page, order) {
+    this.assertPage(store, page);
+    this.materialize(store, page);
+    const sections = this.composition(store, page);
+
+    const ids = (Array.isArray(order) ? order : []).map(String);
+    if (ids.length !== sections.length || new Set(ids).size !== ids.length
+      || !sections.every(section => ids.includes(String(section._id)))) {
+      throw this.error('order must list every section of the page once', 'INVALID_SECTION', 400);
+    }
+
+    sections.forEach(section => { section.position = ids.indexOf(String(section._id)); });
+    store.markModified('design.components');
+    return this.composition(store, page);
+  }
+}
+
+module.exports = new SectionService();
+
+// ========================================
+// backend/src/services/storefrontService.js
+// ========================================
+
+const mongoose = require('mongoose');
+const Mustache = require('mustache');
+const cheerio = require('cheerio');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const templates = require('../storefront/templates');
+const templateRegistryService = require('./templateRegistryService');
+const sectionService = require('./sectionService');
+const fontCatalogService = require('./fontCatalogService');
+
+class StorefrontService {
+  constructor() {
+    this.pageSize = 24;
+    this.formats = new Map();
+    this.sorts = {
+      featured: { label: 'Featured', order: { featured: -1, createdAt: -1 } },
+      newest: { label: 'Newest', order: { createdAt: -1 } },
+      'price-asc': { label: 'Price, low to high', order: { price: 1 } },
+      'price-desc': { label: 'Price, high to low', order: { price: -1 } },
+      name: { label: 'Name', order: { name: 1 } }
+    };
+    this.paymentLabels = { stripe: 'Credit card', paypal: 'PayPal', square: 'Square', manual: 'Bank transfer' };
+    // Order endpoint, paths are relative to the API origin. Without one the
+    // checkout page only shows the order summary
+    this.checkoutUrl = process.env.CHECKOUT_URL || null;
+    // Description markup copied from source stores is reduced to these tags
+    // Dropped with their content, other unknown tags keep their text
+    this.droppedTags = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'svg', 'math', 'form', 'textarea', 'select', 'title']);
+    this.allowedTags = new Set(['p', 'br', 'ul', 'ol', 'li', 'strong', 'b', 'em', 'i', 'u', 'h2', 'h3', 'h4', 'h5', 'h6', 'a', 'span', 'table', 'thead', 'tbody', 'tr', 'th', 'td', 'blockquote']);
+  }
+
+  // Maps a storefront path onto a page and its parameters
+  resolve(pathname) {
+    let parts;
+    try {
+      parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch (error) {
+      return { page: 'not-found' };
+    }
+
+    if (parts.length === 0) return { page: 'home' };
+    if (parts.length === 1 && ['search', 'cart', 'checkout'].includes(parts[0])) return { page: parts[0] };
+    if (parts.length === 2 && parts[0] === 'collections') return { page: 'collection', slug: parts[1], number: 1 };
+    if (parts.length === 4 && parts[0] === 'collections' && parts[2] === 'page' && /^[1-9]\d*$/.test(parts[3])) {
+      return { page: 'collection', slug: parts[1], number: parseInt(parts[3], 10) };
+    }
+    if (parts.length === 2 && parts[0] === 'products') return { page: 'product', slug: parts[1] };
+    if (parts.length === 2 && parts[0] === 'pages') return { page: 'page', slug: parts[1] };
+
+    return { page: 'not-found' };
+  }
+
+  // options: { basePath, query, cart: [{ productId, options, quantity }] }
+  async render(store, pathname, options = {}) {
+    const context = this.context(store, options);
+    const query = options.query || {};
+    const route = this.resolve(pathname);
+
+    context.lines = options.cart || [];
+    context.cart = await this.priceCart(store, context.lines);
+
+    let data = null;
+    switch (route.page) {
+      case 'home':
+        data = await this.home(store, context);
+        break;
+      case 'collection':
+        data = await this.collection(store, route.slug, route.number, query, context);
+        break;
+      case 'product':
+        data = await this.product(store, route.slug, context);
+        break;
+      case 'page':
+        data = this.staticPage(store, route.slug);
+        if (data) data.sections = this.sections(store, route.slug, await this.sectionData(store, route.slug), context);
+        break;
+      case 'search':
+        data = await this.search(store, query, context);
+        break;
+      case 'cart':
+        data = { pageTitle: `Cart – ${store.name}` };
+        break;
+      case 'checkout':
+        data = this.checkout(store, context);
+        break;
+      default:
+        break;
+    }
+
+    if (!data) {
+      return { status: 404, html: this.page(store, 'not-found', { pageTitle: `Page not found – ${store.name}` }, context) };
+    }
+    return { status: 200, html: this.page(store, route.page, data, context) };
+  }
+
+  // Links and prices for one render. Store links are root-relative, basePath prefixes
+  // them when the store is served below a path (previews).
+  // options.static renders for a static build: the cart, search and sorting run in
+  // store.js, image(url) maps image URLs to the build's copies and apiUrl is the API origin.
+  context(store, options = {}) {
+    const basePath = (options.basePath || '').replace(/\/$/, '');
+    const settings = store.settings || {};
+
+    return {
+      basePath,
+      static: Boolean(options.static),
+      apiUrl: options.apiUrl || '',
+      url: (path) => (path && path.startsWith('/') ? `${basePath}${path}` || '/' : path),
+      image: options.image || (url => url),
+      // Inlined instead of linking store.css, for pages rendered without a server
+      css: options.css || null,
+      format: (amount) => this.formatPrice(amount, { currency: settings.currency, language: settings.language }),
+      columns: this.productColumns(store),
+      lines: [],
+      cart: { items: [], count: 0 }
+    };
+  }
+
+  page(store, name, data, context) {
+    return this.renderView(name, this.view(store, name, data, context), this.theme(store));
+  }
+
+  // The template version the store was created from, never a newer one
+  theme(store) {
+    const pinned = store.template?.package;
+    return (pinned?.id && templateRegistryService.storefront(pinned.id, pinned.version)) || templates;
+  }
+
+  view(store, name, data, context) {
+    return { ...this.baseView(store, context), ...data, pageType: name };
+  }
+
+  renderView(name, view, theme = templates) {
+    return Mustache.render(theme.layout, view, { ...theme.partials, page: theme.pages[name] });
+  }
+
+  baseView(store, context) {
+    const { url } = context;
+    const customizations = store.template?.customizations || {};
+    const navigation = store.navigation || {};
+    const components = store.design?.components || [];
+    const announcement = components.find(component => component.type === 'announcement-bar');
+
+    const main = navigation.main && navigation.main.length > 0
+      ? navigation.main
+      : [{ label: 'Shop', url: '/collections/all' }];
+
+    return {
+      storeName: store.name,
+      language: store.settings?.language || 'en',
+      pageTitle: store.seo?.title || store.name,
+      metaDescription: store.seo?.description || store.copy?.heroText || null,
+      // Drafts are served for previews only
+      noindex: store.status !== 'published',
+      currency: store.settings?.currency || 'USD',
+      logo: customizations.logo ? context.image(customizations.logo) : null,
+      favicon: customizations.favicon ? context.image(customizations.favicon) : null,
+      fontStylesheet: store.template?.analyzedData?.typography?.stylesheet || this.fontStylesheet(customizations.fonts),
+      inlineStyles: context.css ? context.css.replace(/<\/style/gi, '<\\/style') : null,
+      announcement: announcement?.settings?.text || null,
+      navigation: this.menu(main, url),
+      footerColumns: (navigation.footer || []).map(column => ({ title: column.title, links: this.menu(column.links, url) })),
+      social: (navigation.social || []).map(link => ({ network: link.network, url: link.url })),
+      // Footer blurb, the full text goes on the home page
+      aboutText: this.paragraphs(store.copy?.aboutText)[0] || null,
+      searchQuery: '',
+      year: new Date().getFullYear(),
+      cart: this.cartView(context.cart, context),
+      urls: {
+        home: url('/'),
+        all: url('/collections/all'),
+        search: url('/search'),
+        cart: url('/cart'),
+        cartAdd: url('/cart/add'),
+        cartUpdate: url('/cart/update'),
+        checkout: url('/checkout'),
+        stylesheet: url('/store.css'),
+        script: context.static ? url('/store.js') : null,
+        catalog: context.static ? url('/catalog.json') : null
+      }
+    };
+  }
+
+  // Stores without an analyzed font stylesheet load their catalogue families
+  fontStylesheet(fonts) {
+    const families = [fonts?.heading, fonts?.body].filter(family => family && fontCatalogService.find(family));
+    if (families.length === 0) return null;
+    return fontCatalogService.stylesheetUrl(families.map(family => fontCatalogService.resolve(family, { source: 'google' })));
+  }
+
+  // Every item gets url and children keys, otherwise Mustache would look them up
+  // on the parent item and repeat its links
+  menu(items = [], url) {
+    return items.map(item => ({
+      label: item.label,
+      url: item.type === 'group' || !item.url ? null : url(item.url),
+      children: this.menu(item.children || [], url)
+    }));
+  }
+
+  productColumns(store) {
+    const grid = (store.design?.components || []).find(component => component.type === 'product-grid');
+    const settings = grid?.settings || {};
+    return {
+      desktop: settings.columns || 4,
+      tablet: settings.columnsTablet || 3,
+      mobile: settings.columnsMobile || 2
+    };
+  }
+
+  formatPrice(amount, { currency = 'USD', language = 'en' } = {}) {
+    const key = `${language}:${currency}`;
+
+    if (!this.formats.has(key)) {
+      let format;
+      try {
+        const formatter = new Intl.NumberFormat(language, { style: 'currency', currency });
+        format = value => formatter.format(value);
+      } catch (error) {
+        // Unknown currency code or locale
+        format = value => `${value.toFixed(2)} ${currency}`;
+      }
+      this.formats.set(key, format);
+    }
+
+    return this.formats.get(key)(Number(amount) || 0);
+  }
+
+  card(product, context, showPrice = true) {
+    const [image] = [...(product.images || [])].sort((a, b) => (a.position || 0) - (b.position || 0));
+
+    return {
+      name: product.name,
+      url: context.url(`/products/${encodeURIComponent(product.slug)}`),
+      image: image?.url ? context.image(image.url) : null,
+      imageAlt: image?.alt || product.name,
+      price: context.format(product.price),
+      compareAt: product.comparePrice > product.price ? context.format(product.comparePrice) : null,
+      soldOut: ['out_of_stock', 'discontinued'].includes(product.availability),
+      showPrice
+    };
+  }
+
+  async home(store, context) {
+    return { sections: this.sections(store, 'home', await this.sectionData(store, 'home'), context) };
+  }
+
+  // Featured first, then newest, as sorts.featured
+  byFeatured(a, b) {
+    return (b.featured ? 1 : 0) - (a.featured ? 1 : 0) || b.createdAt - a.createdAt;
+  }
+
+  // In-memory counterpart of categoryFilter
+  inCollection(product, category, categories) {
+    const children = categories.filter(candidate => String(candidate.parent) === String(category._id));
+    const ids = new Set([category._id, ...children.map(child => child._id)].map(String));
+    const names = new Set([category.name, ...children.map(child => child.name)]);
+
+    return (product.category && ids.has(String(product.category))) || (product.tags || []).some(tag => names.has(tag));
+  }
+
+  // The next older products rather than the same top four everywhere, so a static
+  // rebuild after editing one product only touches a few product pages
+  related(product, products, limit = 4) {
+    const candidates = products
+      .filter(candidate => String(candidate._id) !== String(product._id)
+        && (!product.category || String(candidate.category) === String(product.category)))
+      .sort((a, b) => b.createdAt - a.createdAt);
+    const older = candidates.filter(candidate => candidate.createdAt < product.createdAt).slice(0, limit);
+
+    return [...older, ...candidates.filter(candidate => !older.includes(candidate)).slice(0, limit - older.length)];
+  }
+
+  // Loads what the page's sections pick from: the top featured products, picked
+  // products and collections, categories and related products. Static builds pass
+  // the whole catalog to sections() instead.
+  async sectionData(store, page, { product } = {}) {
+    const sections = sectionService.composition(store, page);
+    const base = { storeId: store._id, status: 'active' };
+    const grids = sections.filter(section => section.type === 'product-grid' || section.type === 'product-carousel');
+    const source = section => section.settings?.source || 'featured';
+    const limit = section => section.settings?.limit || 8;
+
+    // Home falls back to a product grid when nothing else renders
+    const featured = Math.max(page === 'home' ? 8 : 0, ...grids.filter(section => source(section) === 'featured').map(limit));
+    const picked = grids.filter(section => source(section) === 'products').flatMap(section => section.settings.products || []);
+    const collections = grids.filter(section => source(section) === 'collection' && section.settings.collection);
+    const related = product && sections.find(section => section.type === 'related-products');
+
+    const [top, chosen, categories] = await Promise.all([
+      featured > 0 ? Product.find(base).sort(this.sorts.featured.order).limit(featured) : [],
+      picked.length > 0 ? Product.find({ ...base, _id: { $in: picked } }) : [],
+      collections.length > 0 || sections.some(section => section.type === 'category-tiles')
+        ? Category.find({ storeId: store._id }).sort({ position: 1 })
+        : []
+    ]);
+
+    const lists = await Promise.all(collections.map(section => {
+      const category = categories.find(candidate => String(candidate._id) === String(section.settings.collection));
+      if (!category) return [];
+      const children = categories.filter(candidate => String(candidate.parent) === String(category._id));
+      return Product.find({ ...base, ...this.categoryFilter(category, children) }).sort(this.sorts.featured.order).limit(limit(section));
+    }));
+
+    if (related) {
+      const count = related.settings?.limit || 4;
+      const filter = { ...base, _id: { $ne: product._id }, ...(product.category ? { category: product.category } : {}) };
+      const older = await Product.find({ ...filter, createdAt: { $lt: product.createdAt } }).sort({ createdAt: -1 }).limit(count);
+      const newest = older.length < count
+        ? await Product.find({ ...filter, _id: { $nin: [product._id, ...older.map(item => item._id)] } }).sort({ createdAt: -1 }).limit(count - older.length)
+        : [];
+      lists.push(older, newest);
+    }
+
+    const products = new Map();
+    [top, chosen, ...lists].flat().forEach(item => products.set(String(item._id), item));
+
+    return { products: Array.from(products.values()).sort(this.byFeatured), categories, product };
+  }
+
+  // Section views for a page's composition. `data.products` is in featured order,
+  // `data.categories` includes subcategories and `data.product` is set on product pages.
+  sections(store, page, data, context) {
+    const copy = store.copy || {};
+    const products = data.products || [];
+    const categories = data.categories || [];
+    const byId = new Map(products.map(product => [String(product._id), product]));
+    const style = (...rules) => rules.filter(Boolean).join('; ') || null;
+    const background = settings => settings.background && `background-color: ${settings.background}`;
+    const image = url => (url ? context.image(url) : null);
+    const productsView = (section, settings, list) => ({
+      id: section.id,
+      isProducts: true,
+      carousel: section.type === 'product-carousel',
+      related: section.type === 'related-products',
+      heading: settings.heading || null,
+      columns: {
+        desktop: settings.columns || context.columns.desktop,
+        tablet: settings.columnsTablet || context.columns.tablet,
+        mobile: settings.columnsMobile || context.columns.mobile
+      },
+      products: list.map(product => {
+        const card = this.card(product, context, settings.showPrice !== false);
+        return settings.showImage === false ? { ...card, image: null } : card;
+      })
+    });
+
+    const views = sectionService.composition(store, page).flatMap(component => {
+      const settings = component.settings || {};
+      const section = { type: component.type, id: component._id ? String(component._id) : null };
+
+      switch (component.type) {
+        case 'hero':
+          return {
+            id: section.id,
+            isHero: true,
+            // Generated hero copy takes precedence on the home page
+            heading: (page === 'home' && copy.heroHeading) || settings.heading || store.name,
+            text: (page === 'home' && copy.heroText) || settings.text || null,
+            image: image(settings.image),
+            cta: settings.cta || 'Shop now',
+            ctaUrl: context.url(settings.ctaUrl || '/collections/all'),
+            style: style(background(settings), typeof settings.height === 'number' && `min-height: ${settings.height}px`)
+          };
+        case 'product-grid':
+        case 'product-carousel': {
+          const limit = settings.limit || 8;
+          if (settings.source === 'products') {
+            const picked = (settings.products || []).map(id => byId.get(String(id))).filter(Boolean).slice(0, limit);
+            return picked.length === 0 ? [] : productsView(section, settings, picked);
+          }
+          if (settings.source === 'collection') {
+            const category = categories.find(candidate => String(candidate._id) === String(settings.collection));
+            const picked = category ? products.filter(product => this.inCollection(product, category, categories)).slice(0, limit) : [];
+            return picked.length === 0 ? [] : productsView(section, settings, picked);
+          }
+          return productsView(section, settings, products.slice(0, limit));
+        }
+        case 'related-products': {
+          const related = data.product ? this.related(data.product, products, settings.limit || 4) : [];
+          return related.length === 0 ? [] : {
+            ...productsView(section, { ...settings, heading: settings.heading || 'You may also like' }, related),
+            columns: { ...context.columns, desktop: 4 }
+          };
+        }
+        case 'category-tiles': {
+          const picked = (settings.collections || []).length > 0
+            ? settings.collections.map(id => categories.find(category => String(category._id) === String(id))).filter(Boolean)
+            : categories.filter(category => !category.parent);
+          return picked.length === 0 ? [] : {
+            id: section.id,
+            isCategories: true,
+            heading: settings.heading || null,
+            columns: settings.columns || null,
+            categories: picked.slice(0, settings.limit || 6).map(category => ({
+              name: category.name,
+              url: context.url(`/collections/${category.slug}`)
+            }))
+          };
+        }
+        case 'image-with-text': {
+          const paragraphs = this.paragraphs(settings.text || copy.aboutText);
+          return paragraphs.length === 0 && !settings.image ? [] : {
+            id: section.id,
+            isImageWithText: true,
+            heading: settings.heading || null,
+            paragraphs,
+            image: image(settings.image),
+            imageRight: settings.imagePosition === 'right',
+            button: settings.buttonLabel && settings.buttonUrl ? { label: settings.buttonLabel, url: context.url(settings.buttonUrl) } : null,
+            style: style(background(settings))
+          };
+        }
+        case 'rich-text': {
+          const paragraphs = this.paragraphs(settings.text || copy.aboutText);
+          return paragraphs.length === 0 ? [] : {
+            id: section.id,
+            isText: true,
+            heading: settings.heading || null,
+            paragraphs,
+            style: style(background(settings))
+          };
+        }
+        case 'testimonials': {
+          const items = (settings.items || []).filter(item => item.quote);
+          return items.length === 0 ? [] : {
+            id: section.id,
+            isTestimonials: true,
+            heading: settings.heading || null,
+            items: items.map(item => ({ quote: item.quote, author: item.author || null })),
+            style: style(background(settings))
+          };
+        }
+        case 'carousel': {
+          // Analyses only record how many slides the source had
+          const slides = Array.isArray(settings.slides) ? settings.slides.filter(slide => slide.image) : [];
+          return slides.length === 0 ? [] : {
+            id: section.id,
+            isCarousel: true,
+            heading: settings.heading || null,
+            slides: slides.map(slide => ({
+              image: context.image(slide.image),
+              heading: slide.heading || null,
+              url: slide.url ? context.url(slide.url) : null
+            }))
+          };
+        }
+        case 'newsletter':
+          return {
+            id: section.id,
+            isNewsletter: true,
+            heading: settings.heading || 'Join our newsletter',
+            text: settings.text || null,
+            style: style(background(settings))
+          };
+        default:
+          // Header, footer and announcement belong to the layout
+          return [];
+      }
+    });
+
+    if (views.length > 0 || page !== 'home') return views;
+
+    return [
+      { id: null, isHero: true, heading: copy.heroHeading || store.name, text: copy.heroText || null, image: null, cta: 'Shop now', ctaUrl: context.url('/collections/all'), style: null },
+      productsView({ type: 'product-grid', id: null }, {}, products.slice(0, 8))
+    ];
+  }
+
+  async collection(store, slug, number, query, context) {
+    const filter = { storeId: store._id, status: 'active' };
+    let category = null;
+
+    if (slug !== 'all') {
+      category = await Category.findOne({ storeId: store._id, slug });
+      if (!category) return null;
+
+      const children = await Category.find({ storeId: store._id, parent: category._id }).select('_id name');
+      Object.assign(filter, this.categoryFilter(category, children));
+    }
+
+    const sort = this.sorts[query.sort] ? query.sort : 'featured';
+    const total = await Product.countDocuments(filter);
+    const pages = Math.max(1, Math.ceil(total / this.pageSize));
+    if (number < 1 || number > pages) return null;
+
+    const [products, data] = await Promise.all([
+      Product.find(filter)
+        .sort(this.sorts[sort].order)
+        .skip((number - 1) * this.pageSize)
+        .limit(this.pageSize),
+      this.sectionData(store, 'collection')
+    ]);
+
+    return {
+      ...this.collectionView(store, { slug, category, products, number, pages, sort }, context),
+      sections: this.sections(store, 'collection', data, context)
+    };
+  }
+
+  // Imported products have no category yet, but source tags usually name their collections
+  categoryFilter(category, children = []) {
+    return {
+      $or: [
+        { category: { $in: [category._id, ...children.map(child => child._id)] } },
+        { tags: { $in: [category.name, ...children.map(child => child.name)] } }
+      ]
+    };
+  }
+
+  collectionView(store, { slug, category, products, number, pages, sort }, context) {
+    const name = category ? category.name : 'All products';
+
+    return {
+      pageTitle: `${name} – ${store.name}`,
+      metaDescription: category?.description || null,
+      collection: { name, description: category?.description || null },
+      columns: context.columns,
+      products: products.map(product => this.card(product, context)),
+      // Static builds only have the default order
+      sorts: context.static ? [] : Object.entries(this.sorts).map(([value, { label }]) => ({ value, label, selected: value === sort })),
+      pagination: this.pagination(context.url(`/collections/${encodeURIComponent(slug)}`), number, pages, sort === 'featured' ? {} : { sort })
+    };
+  }
+
+  pagination(url, current, pages, params = {}) {
+    if (pages <= 1) return null;
+
+    const link = (page) => {
+      const search = new URLSearchParams(params).toString();
+      return `${page === 1 ? url : `${url}/page/${page}`}${search ? `?${search}` : ''}`;
+    };
+
+    return {
+      current,
+      pages,
+      prev: current > 1 ? link(current - 1) : null,
+      next: current < pages ? link(current + 1) : null
+    };
+  }
+
+  async product(store, slug, context) {
+    const product = await Product.findOne({ storeId: store._id, slug, status: 'active' });
+    if (!product) return null;
+
+    const data = await this.sectionData(store, 'product', { product });
+    return { ...this.productView(store, product, context), sections: this.sections(store, 'product', data, context) };
+  }
+
+  productView(store, product, context) {
+    return {
+      pageTitle: product.seo?.title || `${product.name} – ${store.name}`,
+      metaDescription: product.seo?.description || product.shortDescription || null,
+      product: {
+        ...this.card(product, context),
+        id: String(product._id),
+        brand: product.brand || null,
+        shortDescription: product.shortDescription || null,
+        descriptionHtml: this.sanitize(product.description || ''),
+        images: [...product.images]
+          .sort((a, b) => (a.position || 0) - (b.position || 0))
+          .map(image => ({ url: context.image(image.url), alt: image.alt || product.name })),
+        variants: product.variants
+          .filter(variant => variant.options.length > 0)
+          .map(variant => ({
+            name: variant.name,
+            options: variant.options.map(option => ({
+              value: option.value,
+              available: option.available !== false,
+              // Only shown when it differs from the product price
+              price: typeof option.price === 'number' && option.price !== product.price ? context.format(option.price) : null
+            }))
+          }))
+      }
+    };
+  }
+
+  staticPage(store, slug) {
+    const page = (store.pages || []).find(candidate => candidate.slug === slug && candidate.type !== 'home');
+    if (!page) return null;
+
+    return {
+      pageTitle: `${page.title} – ${store.name}`,
+      page: { title: page.title, paragraphs: this.paragraphs(page.content) }
+    };
+  }
+
+  async search(store, query, context) {
+    const searchQuery = String(query.q || '').trim().slice(0, 100);
+    const products = searchQuery
+      ? await Product.find(
+        { storeId: store._id, status: 'active', $text: { $search: searchQuery } },
+        { score: { $meta: 'textScore' } }
+      ).sort({ score: { $meta: 'textScore' } }).limit(48)
+      : [];
+
+    return {
+      pageTitle: searchQuery ? `Search: ${searchQuery} – ${store.name}` : `Search – ${store.name}`,
+      searchQuery,
+      total: products.length,
+      noResults: Boolean(searchQuery) && products.length === 0,
+      columns: context.columns,
+      products: products.map(product => this.card(product, context))
+    };
+  }
+
+  checkout(store, context) {
+    const { shipping, paymentMethods } = store.settings || {};
+    const methods = shipping?.enabled ? shipping.methods || [] : [];
+
+    return {
+      pageTitle: `Checkout – ${store.name}`,
+      noindex: true,
+      checkout: {
+        action: this.checkoutAction(context),
+        storeId: String(store._id),
+        // Filled in by store.js in static builds
+        cart: context.static ? '' : JSON.stringify(context.lines),
+        shipping: methods.map((method, index) => ({
+          name: method.name,
+          price: context.format(method.price),
+          estimatedDays: method.estimatedDays || null,
+          first: index === 0
+        })),
+        payment: (paymentMethods || []).map((method, index) => ({
+          value: method,
+          label: this.paymentLabels[method] || method,
+          first: index === 0
+        }))
+      }
+    };
+  }
+
+  checkoutAction(context) {
+    if (!this.checkoutUrl) return null;
+    return this.checkoutUrl.startsWith('/') ? `${context.apiUrl}${this.checkoutUrl}` : this.checkoutUrl;
+  }
+
+  // Lines come from the cart cookie and are priced against the current catalog;
+  // unknown products and option values are dropped
+  async priceCart(store, lines) {
+    const ids = lines.map(line => line.productId).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (ids.length === 0) return { items: [], count: 0 };
+
+    const products = await Product.find({ storeId: store._id, _id: { $in: ids }, status: 'active' });
+    const byId = new Map(products.map(product => [String(product._id), product]));
+
+    const items = lines.flatMap((line, index) => {
+      const product = byId.get(String(line.productId));
+      if (!product) return [];
+
+      const options = [];
+      let price = product.price;
+      product.variants.forEach(variant => {
+        const option = variant.options.find(candidate => candidate.value === line.options?.[variant.name]);
+        if (!option) return;
+        options.push(`${variant.name}: ${option.value}`);
+        if (typeof option.price === 'number') price = option.price;
+      });
+
+      const quantity = Math.min(Math.max(parseInt(line.quantity, 10) || 1, 1), 99);
+      return { line: index, product, options, price, quantity, total: price * quantity };
+    });
+
+    const subtotal = items.reduce((sum, item) => sum + item.total, 0);
+    const taxes = store.settings?.taxes;
+    // rate is a percentage
+    const tax = taxes?.enabled && taxes.rate ? Math.round(subtotal * taxes.rate) / 100 : 0;
+
+    return {
+      items,
+      count: items.reduce((sum, item) => sum + item.quantity, 0),
+      subtotal,
+      tax,
+      total: subtotal + tax
+    };
+  }
+
+  cartView(cart, context) {
+    return {
+      count: cart.count,
+      // Static pages render the cart markup empty, store.js fills it from localStorage
+      hasItems: cart.items.length > 0 || context.static,
+      items: cart.items.map(item => ({
+        ...this.card(item.product, context),
+        line: item.line,
+        optionsLabel: item.options.join(' / ') || null,
+        price: context.format(item.price),
+        quantity: item.quantity,
+        total: context.format(item.total)
+      })),
+      subtotal: context.format(cart.subtotal),
+      tax: cart.tax ? context.format(cart.tax) : null,
+      total: context.format(cart.total)
+    };
+  }
+
+  // Generated copy is plain text, blank lines separate paragraphs
+  paragraphs(text) {
+    return (text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  }
+
+  // Keeps the formatting tags of imported descriptions and drops everything else,
+  // including scripts, styles, comments, event handlers and attributes other than
+  // safe links. The markup is parsed and rebuilt from the allowed tags, so broken or
+  // unterminated tags come out as text.
+  sanitize(html) {
+    const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    const $ = cheerio.load(html, null, false);
+
+    const render = (nodes) => nodes.map(node => {
+      if (node.type === 'text') return escape(node.data);
+      if (node.type !== 'tag') return '';
+
+      const name = node.name.toLowerCase();
+      if (this.droppedTags.has(name)) return '';
+
+      const children = render(node.children || []);
+      if (!this.allowedTags.has(name)) return children;
+      if (name === 'br') return '<br>';
+
+      if (name === 'a') {
+        const href = (node.attribs.href || '').trim();
+        const open = /^(https?:|\/|#)/i.test(href) ? `<a href="${escape(href)}" rel="nofollow noopener">` : '<a>';
+        return `${open}${children}</a>`;
+      }
+      return `<${name}>${children}</${name}>`;
+    }).join('');
+
+    return render($.root().contents().toArray());
+  }
+}
+
+module.exports = new StorefrontService();
+
+// ========================================
+// backend/src/services/storeBuildService.js
+// ========================================
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const sharp = require('sharp');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const storefrontService = require('./storefrontService');
+const politenessService = require('./politenessService');
+const storage = require('./storage');
+
+class StoreBuildService {
+  constructor() {
+    this.root = process.env.STORE_BUILD_DIR || path.join(process.cwd(), 'storage', 'builds');
+    this.keep = parseInt(process.env.STORE_BUILD_KEEP, 10) || 5;
+    // Checkout posts to the API from wherever the build is hosted
+    this.apiUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+    this.clientScript = path.join(__dirname, '../storefront/store.client.js');
+    this.imageWidth = 1600;
+    this.concurrency = 4;
+    // One build per store at a time
+    this.running = new Map();
+  }
+
+  hash(...parts) {
+    const hash = crypto.createHash('sha256');
+    parts.forEach(part => hash.update(part));
+    return hash.digest('hex');
+  }
+
+  // Writes a complete static site to <root>/<storeId>/<buildId>. Every build is a new,
+  // immutable directory; files whose inputs match the previous build are hard-linked
+  // from it instead of being rendered again.
+  async build(store, options = {}) {
+    const key = String(store._id);
+    const run = (this.running.get(key) || Promise.resolve())
+      .catch(() => {})
+      .then(() => this.run(store, options));
+
+    this.running.set(key, run);
+    try {
+      return await run;
+    } finally {
+      if (this.running.get(key) === run) this.running.delete(key);
+    }
+  }
+
+  async run(store, options) {
+    const storeDir = path.join(this.root, String(store._id));
+    const buildId = `${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const previous = await this.current(store._id);
+
+    const build = {
+      id: buildId,
+      dir: `${path.join(storeDir, buildId)}.tmp`,
+      previous,
+      previousDir: previous ? path.join(storeDir, previous.buildId) : null,
+      files: {},
+      stats: { written: 0, reused: 0 }
+    };
+    await fs.mkdir(build.dir, { recursive: true });
+
+    try {
+      const [products, categories, script] = await Promise.all([
+        Product.find({ storeId: store._id, status: 'active' }).sort(storefrontService.sorts.featured.order),
+        Category.find({ storeId: store._id }).sort({ position: 1 }),
+        fs.readFile(this.clientScript)
+      ]);
+      // Template or script changes invalidate every page
+      const theme = storefrontService.theme(store);
+      const engine = this.hash(JSON.stringify(theme), script);
+
+      // Images first, pages link to the build's copies
+      const images = await this.copyImages(build, store, products);
+      const context = storefrontService.context(store, {
+        static: true,
+        apiUrl: this.apiUrl,
+        image: url => images.get(url) || url
+      });
+
+      const page = (route, name, data) => {
+        const view = storefrontService.view(store, name, data, context);
+        const file = route === '/' ? 'index.html' : `${route.replace(/^\//, '')}/index.html`;
+        return this.emit(build, file, this.hash(engine, JSON.stringify(view)), () => storefrontService.renderView(name, view, theme));
+      };
+
+      // Sections pick from the whole catalog
+      const all = { products, categories };
+      await page('/', 'home', { sections: storefrontService.sections(store, 'home', all, context) });
+      await this.writeCollections(store, products, categories, context, page);
+
+      for (const product of products) {
+        await page(`/products/${product.slug}`, 'product', {
+          ...storefrontService.productView(store, product, context),
+          sections: storefrontService.sections(store, 'product', { ...all, product }, context)
+        });
+      }
+      for (const storePage of store.pages || []) {
+        const data = storefrontService.staticPage(store, storePage.slug);
+        if (data) {
+          await page(`/pages/${storePage.slug}`, 'page', { ...data, sections: storefrontService.sections(store, storePage.slug, all, context) });
+        }
+      }
+
+      await page('/search', 'search', await storefrontService.search(store, {}, context));
+      await page('/cart', 'cart', { pageTitle: `Cart – ${store.name}` });
+      await page('/checkout', 'checkout', storefrontService.checkout(store, context));
+
+      const notFound = storefrontService.view(store, 'not-found', { pageTitle: `Page not found – ${store.name}` }, context);
+      await this.emit(build, '404.html', this.hash(engine, JSON.stringify(notFound)), () => storefrontService.renderView('not-found', notFound, theme));
+
+      const css = options.css || store.template?.css || '';
+      await this.emit(build, 'store.css', this.hash(css), () => css);
+      await this.emit(build, 'store.js', this.hash(script), () => script);
+
+      const catalog = JSON.stringify(this.catalog(store, products, context));
+      await this.emit(build, 'catalog.json', this.hash(catalog), () => catalog);
+
+      const manifest = {
+        buildId,
+        storeId: String(store._id),
+        createdAt: new Date(),
+        previous: previous ? previous.buildId : null,
+        stats: build.stats,
+        files: build.files
+      };
+      await fs.writeFile(path.join(build.dir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+
+      // The build only appears under its final name once it is complete
+      await fs.rename(build.dir, path.join(storeDir, buildId));
+      await this.writeAtomic(path.join(storeDir, 'current.json'), JSON.stringify({ buildId }));
+
+      await Store.updateOne({ _id: store._id }, {
+        build: { id: buildId, createdAt: manifest.createdAt, files: Object.keys(build.files).length, ...build.stats }
+      });
+      await this.prune(storeDir, buildId);
+
+      return manifest;
+    } catch (error) {
+      await fs.rm(build.dir, { recursive: true, force: true });
+      throw error;
+    }
+  }
+
+  // Manifest of the store's live build, or null
+  async current(storeId) {
+    const storeDir = path.join(this.root, String(storeId));
+    try {
+      const { buildId } = JSON.parse(await fs.readFile(path.join(storeDir, 'current.json'), 'utf8'));
+      return JSON.parse(await fs.readFile(path.join(storeDir, buildId, 'manifest.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Links the file from the previous build when its inputs are unchanged, otherwise
+  // produces and writes it
+  async emit(build, file, inputs, produce) {
+    const target = path.resolve(build.dir, file);
+    // Slugs end up in paths, never let one escape the build directory
+    if (!target.startsWith(path.resolve(build.dir) + path.sep)) {
+      throw new Error(`Invalid build path: ${file}`);
+    }
+    await fs.mkdir(path.dirname(target), { recursive: true });
+
+    const before = build.previous?.files[file];
+    if (before && before.inputs === inputs) {
+      try {
+        await fs.link(path.join(build.previousDir, file), target);
+        build.files[file] = before;
+        build.stats.reused++;
+        return;
+      } catch (error) {
+        // Previous build pruned or incomplete, write it again
+      }
+    }
+
+    const content = await produce();
+    await fs.writeFile(target, content);
+    build.files[file] = { inputs, hash: this.hash(content), size: Buffer.byteLength(content) };
+    build.stats.written++;
+  }
+
+  async writeCollections(store, products, categories, context, page) {
+    const collections = [{ slug: 'all', category: null, products }];
+    // The same on every collection page
+    const sections = storefrontService.sections(store, 'collection', { products, categories }, context);
+
+    categories.forEach(category => {
+      collections.push({
+        slug: category.slug,
+        category,
+        products: products.filter(product => storefrontService.inCollection(product, category, categories))
+      });
+    });
+
+    for (const collection of collections) {
+      const pages = Math.max(1, Math.ceil(collection.products.length / storefrontService.pageSize));
+
+      for (let number = 1; number <= pages; number++) {
+        const slice = collection.products.slice((number - 1) * storefrontService.pageSize, number * storefrontService.pageSize);
+        const route = number === 1 ? `/collections/${collection.slug}` : `/collections/${collection.slug}/page/${number}`;
+
+        await page(route, 'collection', {
+          ...storefrontService.collectionView(store, {
+            ...collection,
+            products: slice,
+            number,
+            pages,
+            sort: 'featured'
+          }, context),
+          sections
+        });
+      }
+    }
+  }
+
+  // Re-hosted assets are copied as they are. Images still on the source site are
+  // downloaded once and resized, later builds link the copy.
+  async copyImages(build, store, products) {
+    const customizations = store.template?.customizations || {};
+    const urls = new Set([customizations.logo, customizations.favicon].filter(Boolean));
+    products.forEach(product => product.images.forEach(image => image.url && urls.add(image.url)));
+
+    const assetPrefix = storage.url('');
+    const images = new Map();
+    const list = Array.from(urls);
+
+    for (let i = 0; i < list.length; i += this.concurrency) {
+      await Promise.all(list.slice(i, i + this.concurrency).map(async (url) => {
+        try {
+          if (url.startsWith(assetPrefix)) {
+            // Asset keys are content hashes, so the key is the whole input
+            const key = url.slice(assetPrefix.length);
+            await this.emit(build, `assets/${key}`, key, () => storage.get(key));
+            images.set(url, `/assets/${key}`);
+          } else if (/^https?:\/\//i.test(url)) {
+            const file = `images/${this.hash(url).substring(0, 32)}.webp`;
+            await this.emit(build, file, url, () => this.downloadImage(url));
+            images.set(url, `/${file}`);
+          }
+        } catch (error) {
+          // Pages keep the original URL
+          console.error('Build image error:', url, error.message);
+        }
+      }));
+    }
+
+    return images;
+  }
+
+  async downloadImage(url) {
+    const { data } = await politenessService.request({
+      url,
+      responseType: 'arraybuffer',
+      maxContentLength: 15 * 1024 * 1024
+    });
+
+    return sharp(Buffer.from(data))
+      .rotate()
+      .resize({ width: this.imageWidth, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer();
+  }
+
+  // Product data for store.js: cart pricing and search
+  catalog(store, products, context) {
+    const taxes = store.settings?.taxes;
+
+    return {
+      currency: store.settings?.currency || 'USD',
+      taxRate: taxes?.enabled ? taxes.rate || 0 : 0,
+      columns: context.columns,
+      urls: { all: context.url('/collections/all') },
+      products: products.map(product => {
+        const card = storefrontService.card(product, context);
+        return {
+          id: String(product._id),
+          name: product.name,
+          url: card.url,
+          image: card.image,
+          brand: product.brand || '',
+          tags: product.tags,
+          price: product.price,
+          compareAt: product.comparePrice > product.price ? product.comparePrice : null,
+          soldOut: card.soldOut,
+          variants: product.variants.map(variant => ({
+            name: variant.name,
+            options: variant.options.map(option => ({ value: option.value, price: typeof option.price === 'number' ? option.price : null }))
+          }))
+        };
+      })
+    };
+  }
+
+  async writeAtomic(file, content) {
+    const temp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temp, content);
+    await fs.rename(temp, file);
+  }
+
+  // Keeps the newest builds and the live one
+  async prune(storeDir, currentId) {
+    const entries = await fs.readdir(storeDir, { withFileTypes: true });
+    const builds = entries
+      .filter(entry => entry.isDirectory() && !entry.name.endsWith('.tmp'))
+      .map(entry => entry.name)
+      .sort()
+      .reverse();
+
+    for (const buildId of builds.slice(this.keep)) {
+      if (buildId === currentId) continue;
+      await fs.rm(path.join(storeDir, buildId), { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = new StoreBuildService();
+
+// ========================================
+// backend/src/services/storeArchiveService.js
+// ========================================
+
+const fs = require('fs').promises;
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const unzipper = require('unzipper');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const storeBuildService = require('./storeBuildService');
+const assetService = require('./assetService');
+const sectionService = require('./sectionService');
+
+const archiveError = (message, code = 'INVALID_ARCHIVE') => {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = 400;
+  return error;
+};
+
+class StoreArchiveService {
+  constructor() {
+    this.format = 'snapshelf-store-export';
+    this.version = 1;
+    this.modes = ['site', 'full'];
+    // Guards against zip bombs on import
+    this.maxDataSize = 100 * 1024 * 1024;
+    this.maxAssetSize = 20 * 1024 * 1024;
+    // What carries over to another account. Ownership, plan, status, stats, builds and
+    // source snapshots (owned by the exporting account) stay behind.
+    this.storeFields = ['name', 'template', 'design', 'pages', 'navigation', 'settings', 'seo', 'copy', 'generatedFields', 'customCode'];
+    this.templateFields = ['sourceUrl', 'scrapedData', 'analyzedData', 'css', 'package', 'settings', 'customizations'];
+  }
+
+  // Streams a ZIP of the store's static build to `output`. 'site' holds the build only,
+  // 'full' adds the store, categories and products under data/ for re-import.
+  // Builds are incremental, so exports build first rather than ship a stale site.
+  async export(store, output, { mode = 'full' } = {}) {
+    const build = await storeBuildService.build(store);
+    const buildDir = path.join(storeBuildService.root, String(store._id), build.buildId);
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+    const finished = new Promise((resolve, reject) => {
+      archive.on('error', reject);
+      output.on('close', resolve);
+      output.on('finish', resolve);
+      output.on('error', reject);
+    });
+    archive.pipe(output);
+
+    // Both awaited together, so whichever fails first is thrown and the other's
+    // rejection doesn't go unhandled
+    try {
+      await Promise.all([finished, this.writeArchive(archive, store, build, buildDir, mode)]);
+    } catch (error) {
+      archive.abort();
+      throw error;
+    }
+  }
+
+  async writeArchive(archive, store, build, buildDir, mode) {
+    const counts = { files: Object.keys(build.files).length };
+
+    Object.keys(build.files).forEach(file => {
+      archive.file(path.join(buildDir, file), { name: `site/${file}` });
+    });
+    archive.file(path.join(buildDir, 'manifest.json'), { name: 'site/manifest.json' });
+
+    if (mode === 'full') {
+      const [products, categories] = await Promise.all([
+        Product.find({ storeId: store._id }).lean(),
+        Category.find({ storeId: store._id }).sort({ position: 1 }).lean()
+      ]);
+      counts.products = products.length;
+      counts.categories = categories.length;
+
+      const data = this.storeData(store.toObject({ virtuals: false }));
+
+      archive.append(JSON.stringify(data, null, 2), { name: 'data/store.json' });
+      archive.append(JSON.stringify(categories, null, 2), { name: 'data/categories.json' });
+      archive.append(JSON.stringify(products, null, 2), { name: 'data/products.json' });
+    }
+
+    archive.append(JSON.stringify({
+      format: this.format,
+      version: this.version,
+      mode,
+      exportedAt: new Date(),
+      store: { id: String(store._id), name: store.name, subdomain: store.subdomain },
+      buildId: build.buildId,
+      counts
+    }, null, 2), { name: 'snapshelf-export.json' });
+
+    await archive.finalize();
+  }
+
+  // Creates a new draft store for `userId` from a full export. Re-hosted images are
+  // restored from the archived build, so the catalog works on another installation.
+  async import(file, userId, { name, subdomain } = {}) {
+    let directory;
+    try {
+      directory = await unzipper.Open.file(file);
+    } catch (error) {
+      throw archiveError('Not a ZIP archive');
+    }
+
+    const entries = new Map(directory.files.filter(entry => entry.type === 'File').map(entry => [entry.path, entry]));
+    const manifest = await this.readJson(entries, 'snapshelf-export.json');
+
+    if (manifest.format !== this.format || manifest.version > this.version) {
+      throw archiveError('Not a SnapShelf store export, or from a newer version');
+    }
+    if (manifest.mode !== 'full') {
+      throw archiveError('Only full exports can be imported, this archive holds the static site only', 'ARCHIVE_NOT_IMPORTABLE');
+    }
+
+    const [data, categories, products] = await Promise.all([
+      this.readJson(entries, 'data/store.json'),
+      this.readJson(entries, 'data/categories.json'),
+      this.readJson(entries, 'data/products.json')
+    ]);
+    if (!data || !Array.isArray(categories) || !Array.isArray(products)) {
+      throw archiveError('Archive data is incomplete');
+    }
+
+    // Image references follow the assets to their new keys
+    const assets = await this.restoreAssets(entries);
+    [data, categories, products].forEach(value => this.relink(value, assets));
+
+    const store = new Store({
+      ...this.storeData(data),
+      name: name || data.name,
+      userId,
+      subdomain: await this.freeSubdomain(subdomain || manifest.store?.subdomain || data.name),
+      status: 'draft'
+    });
+    await store.save();
+
+    try {
+      const categoryIds = await this.importCategories(store, categories);
+
+      const productIds = new Map();
+      const documents = products.map(({ _id, __v, storeId, category, createdAt, updatedAt, ...product }) => {
+        const id = new mongoose.Types.ObjectId();
+        productIds.set(String(_id), id);
+        return {
+          ...product,
+          _id: id,
+          storeId: store._id,
+          category: category ? categoryIds.get(String(category)) : undefined
+        };
+      });
+      if (documents.length > 0) await Product.insertMany(documents);
+
+      // Sections pick products and collections by id, which changed with the import
+      if (store.design?.components?.length) {
+        sectionService.remapReferences(store.design.components, { products: productIds, collections: categoryIds });
+        store.markModified('design.components');
+        await store.save();
+      }
+
+      return { store, products: documents.length, categories: categoryIds.size, assets: new Set(assets.values()).size };
+    } catch (error) {
+      // Don't leave a half-imported store behind
+      await Promise.all([
+        Store.deleteOne({ _id: store._id }),
+        Product.deleteMany({ storeId: store._id }),
+        Category.deleteMany({ storeId: store._id })
+      ]);
+      throw error;
+    }
+  }
+
+  // generatedFields may come along: copyService checks each record's hash against the
+  // field, so a record that doesn't match the imported text is treated as an edit
+  storeData(data) {
+    const pick = (object, fields) => Object.fromEntries(
+      fields.filter(field => object && object[field] !== undefined).map(field => [field, object[field]])
+    );
+    return { ...pick(data, this.storeFields), template: pick(data.template, this.templateFields) };
+  }
+
+  async readJson(entries, name) {
+    const entry = entries.get(name);
+    if (!entry) throw archiveError(`Archive is missing ${name}`);
+    if (entry.uncompressedSize > this.maxDataSize) throw archiveError(`${name} is too large`);
+
+    try {
+      return JSON.parse((await entry.buffer()).toString('utf8'));
+    } catch (error) {
+      throw archiveError(`${name} is not valid JSON`);
+    }
+  }
+
+  // The asset store is shared between accounts and keyed by content hash, so archived
+  // files are never written as they are. Each image is stored again through
+  // assetService, which hashes it and writes its own renditions and record.
+  // Returns the archived keys with the URLs they moved to.
+  async restoreAssets(entries) {
+    const assets = new Map();
+
+    for (const [name, entry] of entries) {
+      if (!name.startsWith('site/assets/')) continue;
+
+      // Only the renditions assetService writes, never its asset.json records
+      const key = name.slice('site/assets/'.length);
+      if (!/^[a-f0-9]{2}\/[a-f0-9]{64}\/(original\.svg|\d+\.(webp|avif))$/.test(key)) continue;
+      if (entry.uncompressedSize > this.maxAssetSize) continue;
+
+      try {
+        const record = await assetService.storeImage(await entry.buffer());
+        assets.set(key, record.src);
+      } catch (error) {
+        // Not an image, the reference keeps its old URL
+        console.error('Archive asset error:', key, error.message);
+      }
+    }
+
+    return assets;
+  }
+
+  // Rewrites asset URLs in place, matched by their key
+  relink(value, assets) {
+    if (!value || typeof value !== 'object' || assets.size === 0) return;
+
+    Object.entries(value).forEach(([field, item]) => {
+      if (typeof item === 'string') {
+        const key = item.match(/([a-f0-9]{2}\/[a-f0-9]{64}\/[\w.-]+)$/)?.[1];
+        if (key && assets.has(key)) value[field] = assets.get(key);
+      } else {
+        this.relink(item, assets);
+      }
+    });
+  }
+
+  // Parents are linked in a second pass, the export isn't ordered parent-first
+  async importCategories(store, categories) {
+    const ids = new Map();
+
+    for (const { _id, __v, storeId, parent, createdAt, updatedAt, ...category } of categories) {
+      const document = await Category.create({ ...category, storeId: store._id });
+      ids.set(String(_id), document._id);
+    }
+
+    for (const category of categories.filter(candidate => candidate.parent && ids.has(String(candidate.parent)))) {
+      await Category.updateOne({ _id: ids.get(String(category._id)) }, { parent: ids.get(String(category.parent)) });
+    }
+
+    return ids;
+  }
+
+  async freeSubdomain(value) {
+    const base = String(value).toLowerCase().replace(/[^a-z0-9]/g, '') || 'store';
+    let candidate = base;
+
+    for (let i = 2; await Store.exists({ subdomain: candidate }); i++) {
+      candidate = `${base}${i}`;
+    }
+    return candidate;
+  }
+}
+
+module.exports = new StoreArchiveService();
+
+// ========================================
+// backend/src/services/similarityService.js
+// ========================================
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const browserPoolService = require('./browserPoolService');
+const aiScraperService = require('./aiScraperService');
+const structuredDataService = require('./structuredDataService');
+const storefrontService = require('./storefrontService');
+const storage = require('./storage');
+
+class SimilarityService {
+  constructor() {
+    // Generated stores fetch re-hosted images from our own /assets route
+    this.baseUrl = process.env.APP_URL || `http://localhost:${process.env.PORT || 5000}`;
+    // Source section types -> selectors in the generated template
+    this.sections = {
+      header: { types: ['header'], selector: '.header' },
+      hero: { types: ['hero'], selector: '.hero' },
+      grid: { types: ['product-grid', 'product-carousel'], selector: '.product-grid, .products' },
+      footer: { types: ['footer'], selector: '.footer' }
+    };
+  }
+
+  // Renders the generated template in the scraper's browser setup and scores it against
+  // the source screenshots: SSIM per viewport, per-section scores and diff heatmaps
+  async compare({ template, analysis, scrapedData, products = [], key = crypto.randomUUID() }) {
+    const html = this.renderPreview(template, scrapedData, products);
+    const { desktop: desktopViewport, mobile: mobileViewport } = aiScraperService.viewports;
+
+    const [desktop, mobile] = await Promise.all([
+      browserPoolService.withPage(page => this.capture(page, html), { viewport: desktopViewport }),
+      browserPoolService.withPage(page => this.capture(page, html), { viewport: mobileViewport })
+    ]);
+
+    const sourceRegions = await this.sourceRegions(analysis, scrapedData.screenshots.desktop);
+    const sections = {};
+    for (const [name, region] of Object.entries(sourceRegions)) {
+      if (!region || !desktop.regions[name]) continue;
+      sections[name] = await this.score(scrapedData.screenshots.desktop, desktop.screenshot, region, desktop.regions[name]);
+    }
+
+    const result = {
+      desktop: {
+        score: await this.score(scrapedData.screenshots.desktop, desktop.screenshot),
+        sections,
+        diff: await this.diffImage(scrapedData.screenshots.desktop, desktop.screenshot, `diffs/${key}/desktop.png`)
+      },
+      mobile: {
+        score: await this.score(scrapedData.screenshots.mobile, mobile.screenshot),
+        diff: await this.diffImage(scrapedData.screenshots.mobile, mobile.screenshot, `diffs/${key}/mobile.png`)
+      }
+    };
+    result.score = Math.round(((result.desktop.score + result.mobile.score) / 2) * 1000) / 1000;
+
+    return result;
+  }
+
+  // Renders the generated home page with the scraped store standing in for the database
+  renderPreview(template, scrapedData, products) {
+    const customizations = template.customizations || {};
+    const store = {
+      name: scrapedData.design.title || 'Store',
+      status: 'draft',
+      settings: { currency: products.find(product => product.currency)?.currency || 'USD', language: 'en' },
+      copy: { heroText: scrapedData.design.meta?.description },
+      seo: { description: scrapedData.design.meta?.description },
+      navigation: template.navigation,
+      design: { components: customizations.components },
+      template: {
+        customizations: { logo: customizations.logo },
+        analyzedData: { typography: customizations.typography }
+      }
+    };
+
+    const documents = products
+      .filter(product => product.name)
+      .slice(0, 24)
+      .map(product => structuredDataService.toProductDocument(product));
+    // setContent has no server to fetch store.css from
+    const context = storefrontService.context(store, { css: template.css || '' });
+    const sections = storefrontService.sections(store, 'home', { products: documents, categories: [] }, context);
+
+    return storefrontService.page(store, 'home', { sections }, context)
+      .replace('<head>', `<head>\n<base href="${this.baseUrl}/">`);
+  }
+
+  async capture(page, html) {
+    await page.setContent(html, { waitUntil: 'networkidle0', timeout: 30000 });
+
+    const regions = await page.evaluate((selectors) => {
+      const result = {};
+      Object.entries(selectors).forEach(([name, selector]) => {
+        const el = document.querySelector(selector);
+        if (!el) return;
+        const rect = el.getBoundingClientRect();
+        result[name] = { x: rect.left, y: rect.top + window.scrollY, width: rect.width, height: rect.height };
+      });
+      return result;
+    }, Object.fromEntries(Object.entries(this.sections).map(([name, section]) => [name, section.selector])));
+
+    return { screenshot: await page.screenshot({ fullPage: true }), regions };
+  }
+
+  // Source bounds come from section detection, with the header/footer heights as fallback
+  async sourceRegions(analysis, screenshot) {
+    const { height } = await sharp(screenshot).metadata();
+    const detected = analysis.layout.sections || [];
+    const dimensions = analysis.layout.dimensions || {};
+    const regions = {};
+
+    Object.entries(this.sections).forEach(([name, section]) => {
+      const match = detected.find(candidate => section.types.includes(candidate.type));
+      if (match) regions[name] = match.bounds;
+    });
+
+    if (!regions.header && dimensions.headerHeight) {
+      regions.header = { x: 0, y: 0, width: aiScraperService.viewports.desktop.width, height: dimensions.headerHeight };
+    }
+    if (!regions.footer && dimensions.footerHeight) {
+      regions.footer = { x: 0, y: height - dimensions.footerHeight, width: aiScraperService.viewports.desktop.width, height: dimensions.footerHeight };
+    }
+
+    return regions;
+  }
+
+  // Regions are clamped to the image; both sides are scaled to the source's aspect ratio
+  async score(sourceBuffer, generatedBuffer, sourceRegion, generatedRegion) {
+    const source = await this.crop(sourceBuffer, sourceRegion);
+    const generated = await this.crop(generatedBuffer, generatedRegion);
+    if (!source || !generated) return 0;
+
+    const width = 256;
+    const height = Math.max(32, Math.min(1024, Math.round((source.height / source.width) * width)));
+    const [a, b] = await Promise.all([
+      this.grey(sourceBuffer, source, width, height),
+      this.grey(generatedBuffer, generated, width, height)
+    ]);
+
+    return Math.round(this.ssim(a, b, width, height) * 1000) / 1000;
+  }
+
+  async crop(buffer, region) {
+    const { width, height } = await sharp(buffer).metadata();
+    if (!region) return { left: 0, top: 0, width, height };
+
+    const left = Math.max(0, Math.round(region.x));
+    const top = Math.max(0, Math.round(region.y));
+    const area = {
+      left,
+      top,
+      width: Math.min(width - left, Math.round(region.width)),
+      height: Math.min(height - top, Math.round(region.height))
+    };
+
+    return area.width >= 8 && area.height >= 8 ? area : null;
+  }
+
+  async grey(buffer, area, width, height) {
+    return sharp(buffer)
+      .extract(area)
+      .resize(width, height, { fit: 'fill' })
+      .greyscale()
+      .raw()
+      .toBuffer();
+  }
+
+  // Mean SSIM over 8x8 windows (stride 4) of two greyscale images of the same size
+  ssim(a, b, width, height) {
+    const C1 = (0.01 * 255) ** 2;
+    const C2 = (0.03 * 255) ** 2;
+    const size = 8;
+    const n = size * size;
+    let total = 0;
+    let windows = 0;
+
+    for (let y = 0; y + size <= height; y += 4) {
+      for (let x = 0; x + size <= width; x += 4) {
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+
+        for (let j = 0; j < size; j++) {
+          for (let i = 0; i < size; i++) {
+            const k = (y + j) * width + x + i;
+            sumA += a[k];
+            sumB += b[k];
+            sumAA += a[k] * a[k];
+            sumBB += b[k] * b[k];
+            sumAB += a[k] * b[k];
+          }
+        }
+
+        const meanA = sumA / n;
+        const meanB = sumB / n;
+        const varA = sumAA / n - meanA * meanA;
+        const varB = sumBB / n - meanB * meanB;
+        const covariance = sumAB / n - meanA * meanB;
+
+        total += ((2 * meanA * meanB + C1) * (2 * covariance + C2)) / ((meanA ** 2 + meanB ** 2 + C1) * (varA + varB + C2));
+        windows++;
+      }
+    }
+
+    return windows ? Math.max(0, total / windows) : 0;
+  }
+
+  // Dimmed source with the per-pixel difference painted red on top
+  async diffImage(sourceBuffer, generatedBuffer, key) {
+    const source = await this.crop(sourceBuffer);
+    const generated = await this.crop(generatedBuffer);
+    const width = 480;
+    const height = Math.max(32, Math.min(3000, Math.round((source.height / source.width) * width)));
+
+    const [a, b] = await Promise.all([
+      this.grey(sourceBuffer, source, width, height),
+      this.grey(generatedBuffer, generated, width, height)
+    ]);
+
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let i = 0; i < a.length; i++) {
+      const base = a[i] * 0.3;
+      const difference = Math.abs(a[i] - b[i]);
+      pixels[i * 3] = Math.min(255, base + difference);
+      pixels[i * 3 + 1] = base;
+      pixels[i * 3 + 2] = base;
+    }
+
+    const png = await sharp(pixels, { raw: { width, height, channels: 3 } }).png().toBuffer();
+    return storage.put(key, png);
+  }
+}
+
+module.exports = new SimilarityService();
+
+// ========================================
+// backend/src/services/copyService.js
+// ========================================
+
+const crypto = require('crypto');
+const Queue = require('bull');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const llmService = require('./llmService');
+
+class CopyService {
+  constructor() {
+    this.batchSize = 10;
+    this.defaultVoice = process.env.COPY_BRAND_VOICE || 'friendly, clear and trustworthy';
+    this.bannedPhrases = [
+      'best in the world', 'number one', '#1', 'guaranteed', 'risk-free', 'miracle', 'cure', 'cheapest',
+      ...(process.env.COPY_BANNED_PHRASES || '').split(',')
+    ].map(phrase => phrase.trim().toLowerCase()).filter(Boolean);
+    // Whole words only, so 'cure' doesn't match "secure"
+    this.bannedPatterns = this.bannedPhrases.map(phrase => [
+      phrase,
+      new RegExp(`(?<![\\p{L}\\p{N}])${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu')
+    ]);
+    // Tries per product while its copy keeps using banned phrases
+    this.maxAttempts = 3;
+
+    this.productFields = ['description', 'shortDescription', 'seo.title', 'seo.description', 'seo.keywords'];
+    this.storeFields = ['copy.heroHeading', 'copy.heroText', 'copy.aboutText', 'seo.title', 'seo.description'];
+
+    this.queue = new Queue('store-copy', process.env.REDIS_URL || 'redis://localhost:6379', {
+      defaultJobOptions: {
+        attempts: 1,
+        timeout: 30 * 60 * 1000,
+        removeOnComplete: 100,
+        removeOnFail: 100
+      }
+    });
+    this.queue.process(1, job => this.run(job));
+  }
+
+  // options: { voice, regenerate, products = true, store = true }
+  async enqueue(storeId, userId, options = {}) {
+    return this.queue.add({ ...options, storeId: String(storeId), userId: String(userId) });
+  }
+
+  async getStatus(jobId, userId) {
+    const job = await this.queue.getJob(jobId);
+
+    // Other users' jobs are reported as missing
+    if (!job || job.data.userId !== String(userId)) return null;
+
+    const state = await job.getState();
+    return {
+      id: String(job.id),
+      storeId: job.data.storeId,
+      status: state,
+      progress: job.progress(),
+      result: state === 'completed' ? job.returnvalue : undefined,
+      error: state === 'failed' ? job.failedReason : undefined,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : undefined
+    };
+  }
+
+  async run(job) {
+    const { storeId, voice, regenerate = false } = job.data;
+    const store = await Store.findById(storeId);
+    if (!store) throw new Error('Store not found');
+
+    const options = {
+      language: store.settings.language || 'en',
+      voice: voice || store.settings.brandVoice || this.defaultVoice,
+      regenerate
+    };
+    const result = { products: 0, store: [] };
+
+    if (job.data.store !== false) {
+      result.store = await this.writeStore(store, options);
+    }
+    if (job.data.products !== false) {
+      result.products = await this.writeProducts(store, options, (done, total) => job.progress({ done, total }));
+    }
+
+    return result;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value ?? null)).digest('hex');
+  }
+
+  // source is 'import' for text taken over from the cloned site, 'ai' for our own copy
+  record(field, value, source) {
+    return { field, source, hash: this.hash(value), generatedAt: new Date() };
+  }
+
+  isEmpty(value) {
+    return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+  }
+
+  // Empty fields are always filled and imported text is rewritten. Our own copy is only
+  // rewritten on request. A hash that no longer matches means a merchant edited the field.
+  isWritable(current, record, regenerate) {
+    if (this.isEmpty(current)) return true;
+    if (!record || record.hash !== this.hash(current)) return false;
+    return record.source === 'import' || regenerate;
+  }
+
+  // Banned phrases used anywhere in the strings of `value`
+  bannedIn(value) {
+    const strings = [];
+    const collect = (item) => {
+      if (typeof item === 'string') strings.push(item);
+      else if (item && typeof item === 'object') Object.values(item).forEach(collect);
+    };
+    collect(value);
+
+    return this.bannedPatterns
+      .filter(([, pattern]) => strings.some(text => pattern.test(text)))
+      .map(([phrase]) => phrase);
+  }
+
+  assertAllowed(value) {
+    const found = this.bannedIn(value);
+    if (found.length) throw new Error(`Uses banned phrases: ${found.join(', ')}`);
+  }
+
+  async writeProducts(store, options, onProgress) {
+    const products = await Product.find({ storeId: store._id });
+    const plain = (value) => (value && value.toObject ? value.toObject() : value);
+
+    const pending = products
+      .map(product => {
+        const records = new Map((product.generatedFields || []).map(record => [record.field, record]));
+        const current = Object.fromEntries(this.productFields.map(field => [field, plain(product.get(field))]));
+        const writable = this.productFields.filter(field => this.isWritable(current[field], records.get(field), options.regenerate));
+        return { product, current, writable };
+      })
+      .filter(entry => entry.writable.length > 0);
+
+    // Products rejected for banned phrases are pushed back onto pending
+    const total = pending.length;
+    let written = 0;
+    while (pending.length > 0) {
+      const batch = pending.splice(0, this.batchSize);
+
+      try {
+        const { data } = await llmService.generate('product-copy', {
+          language: options.language,
+          voice: options.voice,
+          bannedPhrases: this.bannedPhrases.join(', '),
+          products: batch.map(({ product }) => ({
+            id: String(product._id),
+            name: product.name,
+            brand: product.brand,
+            price: product.price,
+            currency: product.currency || store.settings.currency,
+            tags: product.tags,
+            options: (product.variants || []).map(variant => `${variant.name}: ${variant.options.map(option => option.value).join(', ')}`),
+            // Source text to work from, when there is one
+            sourceDescription: (product.description || '').slice(0, 1000)
+          }))
+        });
+
+        const copies = new Map(data.products.map(copy => [copy.id, copy]));
+
+        for (const entry of batch) {
+          const { product, current, writable } = entry;
+          const copy = copies.get(String(product._id));
+          if (!copy) continue;
+
+          // Checked per product, the rest of the batch is kept
+          const banned = this.bannedIn(copy);
+          if (banned.length) {
+            entry.attempts = (entry.attempts || 1) + 1;
+            if (entry.attempts <= this.maxAttempts) pending.push(entry);
+            else console.error(`Product copy for ${product._id} uses banned phrases: ${banned.join(', ')}`);
+            continue;
+          }
+
+          const values = {
+            description: copy.description,
+            shortDescription: copy.shortDescription,
+            'seo.title': copy.seoTitle,
+            'seo.description': copy.seoDescription,
+            'seo.keywords': copy.keywords
+          };
+
+          // Only matches while the fields are unchanged, so an edit made meanwhile wins
+          const filter = { _id: product._id };
+          const $set = {};
+          writable.forEach(field => {
+            filter[field] = this.isEmpty(current[field]) ? { $in: [null, '', []] } : current[field];
+            $set[field] = values[field];
+          });
+          $set.generatedFields = [
+            ...(product.generatedFields || []).filter(record => !writable.includes(record.field)).map(plain),
+            ...writable.map(field => this.record(field, values[field], 'ai'))
+          ];
+
+          const { modifiedCount } = await Product.updateOne(filter, { $set });
+          written += modifiedCount;
+        }
+      } catch (error) {
+        console.error('Product copy error:', error.message);
+      }
+
+      if (onProgress) await onProgress(total - pending.length, total);
+    }
+
+    return written;
+  }
+
+  async writeStore(store, options) {
+    const records = new Map((store.generatedFields || []).map(record => [record.field, record]));
+    const writable = this.storeFields.filter(field => this.isWritable(store.get(field), records.get(field), options.regenerate));
+
+    // About and policy pages get draft content, other pages are built from the catalog
+    const pages = store.pages.filter(page => ['about', 'policy'].includes(page.type)
+      && this.isWritable(page.content, records.get(`pages.${page._id}`), options.regenerate));
+
+    if (writable.length === 0 && pages.length === 0) return [];
+
+    const samples = await Product.find({ storeId: store._id }).select('name tags').limit(20);
+    const { data } = await llmService.generate('store-copy', {
+      storeName: store.name,
+      language: options.language,
+      voice: options.voice,
+      bannedPhrases: this.bannedPhrases.join(', '),
+      products: samples.map(product => product.name),
+      pages: pages.map(page => ({ slug: page.slug, type: page.type, title: page.title }))
+    }, { validate: value => this.assertAllowed(value) });
+
+    const values = {
+      'copy.heroHeading': data.heroHeading,
+      'copy.heroText': data.heroText,
+      'copy.aboutText': data.aboutText,
+      'seo.title': data.seoTitle,
+      'seo.description': data.seoDescription
+    };
+
+    // Like writeProducts, only matches while the fields are unchanged, so an edit
+    // made while the copy was being written wins
+    const unchanged = (value) => (this.isEmpty(value) ? { $in: [null, ''] } : value);
+    const filter = { _id: store._id };
+    const $set = {};
+    const arrayFilters = [];
+    const generated = [];
+
+    writable.forEach(field => {
+      filter[field] = unchanged(store.get(field));
+      $set[field] = values[field];
+      generated.push(this.record(field, values[field], 'ai'));
+    });
+
+    const contents = new Map(data.pages.map(page => [page.slug, page.content]));
+    const pageFilters = [];
+    pages.filter(page => contents.has(page.slug)).forEach((page, index) => {
+      pageFilters.push({ pages: { $elemMatch: { _id: page._id, content: unchanged(page.content) } } });
+      $set[`pages.$[page${index}].content`] = contents.get(page.slug);
+      arrayFilters.push({ [`page${index}._id`]: page._id });
+      generated.push(this.record(`pages.${page._id}`, contents.get(page.slug), 'ai'));
+    });
+    if (pageFilters.length) filter.$and = pageFilters;
+    if (generated.length === 0) return [];
+
+    const fields = generated.map(record => record.field);
+    $set.generatedFields = [
+      ...store.generatedFields.filter(record => !fields.includes(record.field)).map(record => record.toObject ? record.toObject() : record),
+      ...generated
+    ];
+
+    const { modifiedCount } = await Store.updateOne(filter, { $set }, { arrayFilters });
+    return modifiedCount ? fields : [];
+  }
+}
+
+module.exports = new CopyService();
+
+// ========================================
+// backend/src/services/analysisJobService.js
+// ========================================
+
+const Queue = require('bull');
+const aiScraperService = require('./aiScraperService');
+const designAnalyzerService = require('./designAnalyzerService');
+const storeBuilderService = require('./storeBuilderService');
+const socketService = require('./socketService');
+const cacheService = require('./cacheService');
+const assetService = require('./assetService');
+const snapshotService = require('./snapshotService');
+const similarityService = require('./similarityService');
+
+class AnalysisJobService {
+  constructor() {
+    // Share of the overall progress each stage accounts for
+    this.stages = { scrape: 45, harvest: 15, analyze: 15, generate: 10, compare: 15 };
+
+    this.queue = new Queue('website-analysis', process.env.REDIS_URL || 'redis://localhost:6379', {
+      defaultJobOptions: {
+        attempts: 1,
+        timeout: 10 * 60 * 1000,
+        removeOnComplete: 100,
+        removeOnFail: 100
+      }
+    });
+
+    this.queue.process(parseInt(process.env.ANALYSIS_CONCURRENCY, 10) || 2, async (job) => {
+      try {
+        return await this.run(job);
+      } catch (error) {
+        // failedReason only keeps the message, the code tells clients why (e.g. robots.txt)
+        if (error.code) await job.update({ ...job.data, errorCode: error.code });
+        throw error;
+      }
+    });
+
+    // Global events fire for jobs processed by any worker, not just this process
+    this.queue.on('global:progress', (jobId, progress) => {
+      socketService.emitToJob(jobId, 'analysis:progress', { progress: this.parse(progress) });
+    });
+    this.queue.on('global:completed', (jobId) => {
+      socketService.emitToJob(jobId, 'analysis:completed', { status: 'completed' });
+    });
+    // Cancelled jobs fail too, cancel() has already told the clients
+    this.queue.on('global:failed', async (jobId, reason) => {
+      try {
+        if (await this.isCancelled(jobId)) return;
+        socketService.emitToJob(jobId, 'analysis:failed', { status: 'failed', error: reason });
+      } catch (error) {
+        console.error(`Failed to report analysis job ${jobId}:`, error.message);
+      }
+    });
+  }
+
+  async enqueue(params, userId) {
+    return this.queue.add({ ...params, userId: String(userId) });
+  }
+
+  async run(job) {
+    const { url, crawl, maxPages, maxDepth, force, snapshotId, recordSnapshot, userId } = job.data;
+    const cache = {};
+
+    // Offline runs replay a saved snapshot. They never touch the network or the scrape cache.
+    const snapshot = snapshotId ? await snapshotService.load(snapshotId, { userId }) : null;
+
+    // Step 1: Scrape website (or crawl the whole store), unless a recent scrape is cached
+    await this.report(job, 'scrape', 0);
+    const scrapeKey = cacheService.scrapeKey(url, {
+      version: aiScraperService.version,
+      viewports: aiScraperService.viewports,
+      crawl: !!crawl,
+      maxPages,
+      maxDepth
+    });
+
+    const useCache = !force && !snapshot && !recordSnapshot;
+    let scrapedData = useCache ? await cacheService.get(scrapeKey) : null;
+    cache.scrape = scrapedData ? 'hit' : 'miss';
+
+    if (!scrapedData) {
+      const scrapeOptions = { snapshot, recordSnapshot: recordSnapshot ? { userId } : null };
+
+      // Snapshots hold a single page, so they are always replayed without crawling
+      scrapedData = crawl && !snapshot
+        ? await aiScraperService.crawlWebsite(url, {
+          ...scrapeOptions,
+          maxPages,
+          maxDepth,
+          onPage: async (done, total) => {
+            await this.throwIfCancelled(job);
+            await this.report(job, 'scrape', done / total);
+          }
+        })
+        : await aiScraperService.scrapeWebsite(url, scrapeOptions);
+      await this.throwIfCancelled(job);
+
+      // Re-host product images and the logo so the clone doesn't hotlink the source CDN
+      await this.report(job, 'harvest', 0);
+      await assetService.harvest(scrapedData, {
+        fetch: snapshot ? async (imageUrl) => (await snapshotService.resolve(snapshot, imageUrl))?.body : undefined,
+        onProgress: async (done, total) => {
+          await this.throwIfCancelled(job);
+          await this.report(job, 'harvest', done / total);
+        }
+      });
+
+      if (!snapshot) await cacheService.set(scrapeKey, scrapedData, cacheService.ttl.scrape);
+    }
+    await this.throwIfCancelled(job);
+
+    // Step 2: Analyze design. Keyed by content, so a re-scrape of an unchanged page
+    // reuses the previous analysis (and skips the LLM call)
+    await this.report(job, 'analyze', 0);
+    const contentHash = cacheService.hash({
+      html: scrapedData.html,
+      design: scrapedData.design,
+      products: scrapedData.products,
+      pages: scrapedData.pages,
+      // The image palette reads the screenshots and logo, so visual-only changes count too
+      screenshots: ['desktop', 'mobile'].map(view => (scrapedData.screenshots?.[view] ? cacheService.hash(scrapedData.screenshots[view]) : null)),
+      logo: scrapedData.design?.brand?.logoAsset?.hash || scrapedData.design?.brand?.logo || null
+    });
+    const analysisKey = cacheService.analysisKey(contentHash, designAnalyzerService.version);
+
+    let analysis = force ? null : await cacheService.get(analysisKey);
+    cache.analysis = analysis ? 'hit' : 'miss';
+
+    if (!analysis) {
+      analysis = await designAnalyzerService.analyzeDesign(scrapedData);
+      // Fallback advice (LLM unavailable) isn't cached, the next run asks the model again
+      if (analysis.aiRecommendations?.source !== 'fallback') {
+        await cacheService.set(analysisKey, analysis, cacheService.ttl.analysis);
+      }
+    }
+    await this.throwIfCancelled(job);
+
+    // Step 3: Generate store template
+    await this.report(job, 'generate', 0);
+    const template = await storeBuilderService.generateTemplate(analysis);
+    await this.report(job, 'generate', 1);
+    await this.throwIfCancelled(job);
+
+    // Step 4: Score how closely the generated store matches the source. Informational,
+    // so a rendering failure doesn't fail the whole analysis
+    await this.report(job, 'compare', 0);
+    let similarity = null;
+    try {
+      similarity = await similarityService.compare({
+        template,
+        analysis,
+        scrapedData,
+        products: scrapedData.products,
+        key: `${job.id}-${contentHash.substring(0, 12)}`
+      });
+    } catch (error) {
+      console.error('Similarity scoring error:', error.message);
+    }
+    await this.report(job, 'compare', 1);
+
+    return {
+      sourceUrl: url,
+      scrapedData: {
+        title: scrapedData.design.title,
+        platform: scrapedData.platform,
+        colors: scrapedData.design.colors.slice(0, 5),
+        fonts: scrapedData.design.fonts.slice(0, 3),
+        productsFound: scrapedData.products.length,
+        pagesCrawled: scrapedData.pages ? scrapedData.pages.length : 1,
+        snapshotId: snapshotId || scrapedData.snapshot?.id
+      },
+      analysis,
+      template,
+      similarity,
+      products: scrapedData.products,
+      preview: {
+        desktop: scrapedData.screenshots.desktop.toString('base64'),
+        mobile: scrapedData.screenshots.mobile.toString('base64')
+      },
+      cache: { ...cache, contentHash }
+    };
+  }
+
+  async report(job, stage, fraction) {
+    const names = Object.keys(this.stages);
+    const index = names.indexOf(stage);
+
+    const stages = {};
+    names.forEach((name, i) => {
+      stages[name] = i < index ? 100 : i === index ? Math.round(fraction * 100) : 0;
+    });
+
+    const percent = names.reduce((total, name) => total + (this.stages[name] * stages[name]) / 100, 0);
+    await job.progress({ stage, percent: Math.round(percent), stages });
+  }
+
+  async getStatus(jobId, userId) {
+    const job = await this.queue.getJob(jobId);
+
+    // Other users' jobs are reported as missing
+    if (!job || job.data.userId !== String(userId)) return null;
+
+    const state = await job.getState();
+    const cancelled = await this.isCancelled(job.id);
+
+    return {
+      id: String(job.id),
+      url: job.data.url,
+      status: cancelled ? 'cancelled' : state,
+      progress: job.progress(),
+      result: state === 'completed' ? job.returnvalue : undefined,
+      error: state === 'failed' && !cancelled ? job.failedReason : undefined,
+      errorCode: state === 'failed' && !cancelled ? job.data.errorCode : undefined,
+      createdAt: new Date(job.timestamp),
+      finishedAt: job.finishedOn ? new Date(job.finishedOn) : undefined
+    };
+  }
+
+  async cancel(jobId, userId) {
+    const job = await this.queue.getJob(jobId);
+    if (!job || job.data.userId !== String(userId)) return null;
+
+    const state = await job.getState();
+    if (state === 'completed' || state === 'failed') return { id: String(job.id), status: state };
+
+    // Running jobs check this flag between pages and stages
+    await this.queue.client.set(this.cancelKey(job.id), '1', 'EX', 24 * 60 * 60);
+
+    if (state === 'waiting' || state === 'delayed') {
+      await job.remove();
+    }
+
+    socketService.emitToJob(job.id, 'analysis:cancelled', { status: 'cancelled' });
+    return { id: String(job.id), status: 'cancelled' };
+  }
+
+  async isCancelled(jobId) {
+    return (await this.queue.client.get(this.cancelKey(jobId))) === '1';
+  }
+
+  async throwIfCancelled(job) {
+    if (await this.isCancelled(job.id)) {
+      const error = new Error('Analysis cancelled');
+      error.code = 'JOB_CANCELLED';
+      throw error;
+    }
+  }
+
+  cancelKey(jobId) {
+    return `snapshelf:analysis:cancel:${jobId}`;
+  }
+
+  parse(value) {
+    try {
+      return typeof value === 'string' ? JSON.parse(value) : value;
+    } catch (error) {
+      return value;
+    }
+  }
+}
+
+module.exports = new AnalysisJobService();
+
+// ========================================
+// backend/tests/similarityService.test.js
+// ========================================
+
+// Browser, image and storage modules aren't needed to render the preview
+jest.mock('sharp', () => jest.fn());
+jest.mock('../src/services/browserPoolService', () => ({}));
+jest.mock('../src/services/aiScraperService', () => ({ viewports: {} }));
+jest.mock('../src/services/storage', () => ({}));
+
+const similarityService = require('../src/services/similarityService');
+
+describe('similarityService.renderPreview', () => {
+  const scrapedData = { design: { title: 'Test Store', meta: { description: 'Hand-made goods' } } };
+  const products = [{ name: 'Mug', price: 12, currency: 'EUR', image: 'https://example.com/mug.jpg' }];
+
+  it('inlines the generated theme instead of linking store.css', () => {
+    const template = { css: ':root { --color-primary: #123456; }', customizations: {} };
+    const html = similarityService.renderPreview(template, scrapedData, products);
+
+    expect(html).toContain('<style>:root { --color-primary: #123456; }</style>');
+    expect(html).not.toMatch(/<link rel="stylesheet" href="[^"]*store\.css">/);
+    expect(html).toContain('Mug');
+  });
+
+  it("doesn't let the theme close the style element", () => {
+    const template = { css: 'body { color: red; } </style><script>alert(1)</script>', customizations: {} };
+    const html = similarityService.renderPreview(template, scrapedData, products);
+
+    expect(html).toContain('<\\/style><script>alert(1)</script></style>');
+  });
+});
+
+// ========================================
+// backend/tests/storefrontService.test.js
+// ========================================
+
+const storefrontService = require('../src/services/storefrontService');
+
+describe('storefrontService.sanitize', () => {
+  const sanitize = (html) => storefrontService.sanitize(html);
+
+  it('keeps formatting tags and drops their attributes', () => {
+    expect(sanitize('<p class="x">Soft <strong style="color:red">cotton</strong><br/>tee</p>'))
+      .toBe('<p>Soft <strong>cotton</strong><br>tee</p>');
+  });
+
+  it('drops scripts, styles and event handlers', () => {
+    expect(sanitize('<script>alert(1)</script><style>p{}</style><b onclick="alert(1)">Bold</b>')).toBe('<b>Bold</b>');
+  });
+
+  it('keeps the text of tags that are not allowed', () => {
+    expect(sanitize('<div><font>Made in Italy</font></div>')).toBe('Made in Italy');
+  });
+
+  it('never leaves an unterminated tag behind', () => {
+    const html = sanitize('Nice shoes <img src=x onerror=alert(1) ');
+    expect(html).not.toMatch(/<img|onerror/);
+    expect(sanitize('5 < 6 & <b>7')).toBe('5 &lt; 6 &amp; <b>7</b>');
+  });
+
+  it('drops comments, including unterminated ones', () => {
+    expect(sanitize('<p>A<!-- <script>alert(1)</script> -->B</p>')).toBe('<p>AB</p>');
+    expect(sanitize('A<!-- <img src=x onerror=alert(1)>')).toBe('A');
+  });
+
+  it('only keeps http, relative and fragment links', () => {
+    expect(sanitize('<a href="javascript:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitize('<a href="jav&#x61;script:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitize('<a href=" JAVASCRIPT:alert(1)">x</a>')).toBe('<a>x</a>');
+    expect(sanitize('<a href="/pages/care?a=1&b=2" target="_blank">Care</a>'))
+      .toBe('<a href="/pages/care?a=1&amp;b=2" rel="nofollow noopener">Care</a>');
+  });
+});
+
+describe('storefrontService.resolve', () => {
+  it('maps collection pages from one', () => {
+    expect(storefrontService.resolve('/collections/all')).toEqual({ page: 'collection', slug: 'all', number: 1 });
+    expect(storefrontService.resolve('/collections/all/page/2')).toEqual({ page: 'collection', slug: 'all', number: 2 });
+  });
+
+  it('rejects page zero and padded page numbers', () => {
+    expect(storefrontService.resolve('/collections/all/page/0').page).toBe('not-found');
+    expect(storefrontService.resolve('/collections/all/page/02').page).toBe('not-found');
+  });
+});
+
+// ========================================
+// backend/tests/storeArchiveService.test.js
+// ========================================
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+
+jest.mock('../src/models/Store', () => {
+  const Store = jest.fn(function (data) {
+    Object.assign(this, data, { _id: 'new-store' });
+    this.save = jest.fn(async () => this);
+    this.markModified = jest.fn();
+  });
+  Store.exists = jest.fn(async () => false);
+  Store.deleteOne = jest.fn(async () => ({}));
+  return Store;
+});
+jest.mock('../src/models/Product', () => ({
+  insertMany: jest.fn(async documents => documents),
+  deleteMany: jest.fn(async () => ({}))
+}));
+jest.mock('../src/models/Category', () => ({
+  create: jest.fn(async category => ({ ...category, _id: `new-${category.slug}` })),
+  updateOne: jest.fn(async () => ({})),
+  deleteMany: jest.fn(async () => ({}))
+}));
+jest.mock('../src/services/storeBuildService', () => ({}));
+jest.mock('../src/services/assetService', () => ({
+  storeImage: jest.fn(async buffer => ({
+    src: `/assets/${require('crypto').createHash('sha256').update(buffer).digest('hex')}/1600.webp`
+  }))
+}));
+
+const Product = require('../src/models/Product');
+const assetService = require('../src/services/assetService');
+const storeArchiveService = require('../src/services/storeArchiveService');
+
+const hash = 'a'.repeat(64);
+
+const writeZip = (files) => new Promise((resolve, reject) => {
+  const file = path.join(os.tmpdir(), `archive-test-${crypto.randomUUID()}.zip`);
+  const output = fs.createWriteStream(file);
+  const archive = archiver('zip');
+  output.on('close', () => resolve(file));
+  archive.on('error', reject);
+  archive.pipe(output);
+  Object.entries(files).forEach(([name, content]) => {
+    archive.append(typeof content === 'string' || Buffer.isBuffer(content) ? content : JSON.stringify(content), { name });
+  });
+  archive.finalize();
+});
+
+const exportFiles = (overrides = {}) => ({
+  'snapshelf-export.json': { format: 'snapshelf-store-export', version: 1, mode: 'full', store: { subdomain: 'shop' } },
+  'data/store.json': {
+    name: 'Shop',
+    plan: 'enterprise',
+    status: 'published',
+    userId: 'someone-else',
+    template: {
+      css: 'body{}',
+      customizations: { logo: `https://old.example.com/assets/aa/${hash}/1600.webp` },
+      snapshots: [{ snapshotId: 'c0ffee00-0000-4000-8000-000000000000' }]
+    }
+  },
+  'data/categories.json': [],
+  'data/products.json': [{ _id: 'p1', name: 'Mug', images: [{ url: `/assets/aa/${hash}/1600.webp` }] }],
+  [`site/assets/aa/${hash}/1600.webp`]: Buffer.from('image bytes'),
+  ...overrides
+});
+
+describe('storeArchiveService.import', () => {
+  const files = [];
+  const archive = async (contents) => {
+    const file = await writeZip(contents);
+    files.push(file);
+    return file;
+  };
+
+  afterEach(() => jest.clearAllMocks());
+  afterAll(() => files.forEach(file => fs.rmSync(file, { force: true })));
+
+  it('rejects files that are not ZIP archives', async () => {
+    const file = path.join(os.tmpdir(), `archive-test-${crypto.randomUUID()}.zip`);
+    fs.writeFileSync(file, 'not a zip');
+    files.push(file);
+
+    await expect(storeArchiveService.import(file, 'user-1')).rejects.toMatchObject({ code: 'INVALID_ARCHIVE', statusCode: 400 });
+  });
+
+  it('rejects site-only exports', async () => {
+    const file = await archive(exportFiles({
+      'snapshelf-export.json': { format: 'snapshelf-store-export', version: 1, mode: 'site' }
+    }));
+
+    await expect(storeArchiveService.import(file, 'user-1')).rejects.toMatchObject({ code: 'ARCHIVE_NOT_IMPORTABLE' });
+  });
+
+  it('only carries over allow-listed store fields', async () => {
+    const { store } = await storeArchiveService.import(await archive(exportFiles()), 'user-1');
+
+    expect(store.userId).toBe('user-1');
+    expect(store.status).toBe('draft');
+    expect(store.plan).toBeUndefined();
+    expect(store.template.snapshots).toBeUndefined();
+    expect(store.template.css).toBe('body{}');
+  });
+
+  it('stores archived images through assetService and relinks them', async () => {
+    const { store, assets } = await storeArchiveService.import(await archive(exportFiles({
+      [`site/assets/aa/${hash}/asset.json`]: { hash, src: '/evil.js' },
+      [`site/assets/aa/${hash}/x.html`]: '<script>alert(1)</script>',
+      [`site/assets/aa/${hash}/../../x.webp`]: 'outside'
+    })), 'user-1');
+
+    const stored = `/assets/${crypto.createHash('sha256').update('image bytes').digest('hex')}/1600.webp`;
+    expect(assetService.storeImage).toHaveBeenCalledTimes(1);
+    expect(assets).toBe(1);
+    expect(store.template.customizations.logo).toBe(stored);
+    expect(Product.insertMany.mock.calls[0][0][0].images[0].url).toBe(stored);
+  });
+
+  it('points picked products and collections at their new ids', async () => {
+    const oldProduct = '6500000000000000000000aa';
+    const oldCategory = '6500000000000000000000bb';
+    const files = exportFiles();
+    files['data/store.json'].design = {
+      components: [{
+        type: 'product-grid',
+        page: 'home',
+        position: 0,
+        settings: { source: 'products', products: [oldProduct, '6500000000000000000000ff'], collection: oldCategory }
+      }]
+    };
+    files['data/categories.json'] = [{ _id: oldCategory, name: 'Mugs', slug: 'mugs' }];
+    files['data/products.json'] = [{ _id: oldProduct, name: 'Mug', category: oldCategory, images: [] }];
+
+    const { store } = await storeArchiveService.import(await archive(files), 'user-1');
+    const [product] = Product.insertMany.mock.calls[0][0];
+    const { settings } = store.design.components[0];
+
+    expect(settings.products).toEqual([String(product._id)]);
+    expect(settings.collection).toBe('new-mugs');
+    expect(product.category).toBe('new-mugs');
+  });
+});
+
+// ========================================
+// backend/tests/sectionService.test.js
+// ========================================
+
+jest.mock('../src/models/Product', () => ({ find: jest.fn() }));
+jest.mock('../src/models/Category', () => ({ find: jest.fn() }));
+
+const Product = require('../src/models/Product');
+const Category = require('../src/models/Category');
+const sectionService = require('../src/services/sectionService');
+
+const found = (ids) => ({ select: () => ({ lean: async () => ids.map(_id => ({ _id })) }) });
+
+const storeWith = (components = []) => {
+  const list = components.map((component, index) => ({ _id: `section${index}`, page: 'home', position: index, ...component }));
+  list.pull = (id) => list.splice(list.findIndex(component => component._id === id), 1);
+  return {
+    _id: 'store1',
+    pages: [{ type: 'home', slug: 'home' }, { type: 'about', slug: 'about' }],
+    design: { components: list, editedPages: ['home'] },
+    template: {},
+    markModified: jest.fn()
+  };
+};
+
+describe('sectionService', () => {
+  beforeEach(() => {
+    Product.find.mockReturnValue(found([]));
+    Category.find.mockReturnValue(found([]));
+  });
+
+  it('fills in defaults and drops unknown settings', () => {
+    expect(sectionService.settings('rich-text', { text: 'Hello', extra: true })).toEqual({ heading: null, text: 'Hello', background: null });
+  });
+
+  it('rejects values outside the schema', () => {
+    expect(() => sectionService.settings('hero', { height: 5, ctaUrl: 'javascript:alert(1)' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_SECTION', statusCode: 400 }));
+  });
+
+  it('only places sections on pages they support', async () => {
+    await expect(sectionService.add(storeWith(), 'about', { type: 'related-products' }))
+      .rejects.toMatchObject({ code: 'INVALID_SECTION' });
+    await expect(sectionService.add(storeWith(), 'missing', { type: 'hero' }))
+      .rejects.toMatchObject({ code: 'PAGE_NOT_FOUND', statusCode: 404 });
+  });
+
+  it('rejects picks of products the store does not have', async () => {
+    await expect(sectionService.add(storeWith(), 'home', {
+      type: 'product-grid',
+      settings: { source: 'products', products: ['6500000000000000000000aa'] }
+    })).rejects.toMatchObject({ code: 'INVALID_SECTION', message: 'Unknown product' });
+  });
+
+  it('drops saved picks that no longer exist when a section is edited', async () => {
+    const store = storeWith([{
+      type: 'product-grid',
+      settings: { source: 'products', products: ['6500000000000000000000aa', '6500000000000000000000bb'], collection: '6500000000000000000000cc' }
+    }]);
+    Product.find.mockReturnValue(found(['6500000000000000000000bb']));
+
+    const section = await sectionService.update(store, 'home', 'section0', { heading: 'Picks' });
+
+    expect(section.settings).toMatchObject({ heading: 'Picks', products: ['6500000000000000000000bb'], collection: null });
+  });
+
+  it('requires every section once when reordering', () => {
+    const store = storeWith([{ type: 'hero', settings: {} }, { type: 'rich-text', settings: {} }]);
+
+    expect(() => sectionService.reorder(store, 'home', ['section0'])).toThrow(expect.objectContaining({ code: 'INVALID_SECTION' }));
+    expect(sectionService.reorder(store, 'home', ['section1', 'section0']).map(section => section._id)).toEqual(['section1', 'section0']);
+  });
+});
+
+// ========================================
+// backend/tests/politenessService.test.js
+// ========================================
+
+const politenessService = require('../src/services/politenessService');
+
+describe('politenessService robots.txt groups', () => {
+  const robots = (text) => politenessService.parse(text);
+
+  it('matches our product token exactly and case-insensitively', () => {
+    const group = politenessService.selectGroup(robots([
+      'User-agent: Bot',
+      'Disallow: /',
+      '',
+      'User-agent: SNAPSHELFBOT',
+      'Disallow: /cart',
+      '',
+      'User-agent: *',
+      'Disallow: /private'
+    ].join('\n')));
+
+    expect(group.rules).toEqual([{ allow: false, path: '/cart' }]);
+  });
+
+  it('combines every group naming our token', () => {
+    const group = politenessService.selectGroup(robots([
+      'User-agent: snapshelfbot',
+      'Disallow: /cart',
+      'Crawl-delay: 2',
+      '',
+      'User-agent: googlebot',
+      'Disallow: /',
+      '',
+      'User-agent: SnapShelfBot',
+      'Allow: /cart/shared',
+      'Crawl-delay: 5'
+    ].join('\n')));
+
+    expect(group.rules).toEqual([{ allow: false, path: '/cart' }, { allow: true, path: '/cart/shared' }]);
+    expect(group.crawlDelay).toBe(5);
+  });
+
+  it('falls back to the combined * groups', () => {
+    const group = politenessService.selectGroup(robots([
+      'User-agent: *',
+      'Disallow: /checkout',
+      '',
+      'User-agent: otherbot',
+      'Disallow: /',
+      '',
+      'User-agent: *',
+      'Disallow: /account'
+    ].join('\n')));
+
+    expect(group.rules.map(rule => rule.path)).toEqual(['/checkout', '/account']);
+    expect(politenessService.selectGroup(robots('User-agent: otherbot\nDisallow: /'))).toBeNull();
+  });
+});
@@ -1,6 +1,20 @@
 // backend/src/models/Store.js
 const mongoose = require('mongoose');
 
+const NavigationItemSchema = new mongoose.Schema({
+  label: String,
+  type: {
+    type: String,
+    enum: ['home', 'category', 'product', 'page', 'external', 'group'],
+    default: 'page'
+  },
+  url: String,
+  sourceUrl: String
+}, { _id: false });
+
+// Menus nest (mega-menu columns under their top item)
+NavigationItemSchema.add({ children: [NavigationItemSchema] });
+
 const StoreSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -28,13 +42,25 @@ const StoreSchema = new mongoose.Schema({
     sourceUrl: String,
     scrapedData: Object,
     analyzedData: Object,
+    // Generated theme stylesheet, served with the storefront
+    css: String,
+    // Template package and version the store renders with, see templateRegistryService
+    package: {
+      id: String,
+      version: String
+    },
+    // Resolved package settings, keyed by setting id
+    settings: Object,
     customizations: {
       colors: {
         primary: String,
         secondary: String,
         accent: String,
         background: String,
-        text: String
+        text: String,
+        // Label colors for buttons, picked for contrast
+        onPrimary: String,
+        onSecondary: String
       },
       fonts: {
         heading: String,
@@ -42,7 +68,13 @@ const StoreSchema = new mongoose.Schema({
       },
       logo: String,
       favicon: String
-    }
+    },
+    // Saved source snapshots, so newer analyzers can be re-run on the original site
+    snapshots: [{
+      snapshotId: String,
+      sourceUrl: String,
+      createdAt: Date
+    }]
   },
   design: {
     layout: {
@@ -55,10 +87,38 @@ const StoreSchema = new mongoose.Schema({
       enum: ['light', 'dark', 'auto'],
       default: 'light'
     },
+    // Page sections, see storefront/sections.js and sectionService.
+    // `type` needs the long form, a bare `type: String` would make this an array of strings
     components: [{
-      type: String,
+      type: { type: String },
+      // home, product, collection or a page slug
+      page: { type: String, default: 'home' },
       position: Number,
       settings: Object
+    }],
+    // Pages whose composition has been edited, the rest render their defaults
+    editedPages: [String]
+  },
+  pages: [{
+    type: {
+      type: String,
+      enum: ['home', 'category', 'about', 'policy', 'page'],
+      default: 'page'
+    },
+    title: String,
+    slug: String,
+    sourceUrl: String,
+    content: String
+  }],
+  navigation: {
+    main: [NavigationItemSchema],
+    footer: [{
+      title: String,
+      links: [NavigationItemSchema]
+    }],
+    social: [{
+      network: String,
+      url: String
     }]
   },
   settings: {
@@ -70,6 +130,7 @@ const StoreSchema = new mongoose.Schema({
       type: String,
       default: 'USD'
     },
+    brandVoice: String,
     timezone: {
       type: String,
       default: 'UTC'
@@ -99,6 +160,23 @@ const StoreSchema = new mongoose.Schema({
     googleAnalytics: String,
     facebookPixel: String
   },
+  copy: {
+    heroHeading: String,
+    heroText: String,
+    aboutText: String
+  },
+  // Text written by copy generation or taken over from the source site. The hash tells
+  // whether a merchant has edited the field since.
+  generatedFields: [{
+    _id: false,
+    field: String,
+    source: {
+      type: String,
+      enum: ['import', 'ai']
+    },
+    hash: String,
+    generatedAt: Date
+  }],
   analytics: {
     totalViews: { type: Number, default: 0 },
     uniqueVisitors: { type: Number, default: 0 },
@@ -112,6 +190,14 @@ const StoreSchema = new mongoose.Schema({
     enum: ['draft', 'published', 'maintenance', 'suspended'],
     default: 'draft'
   },
+  // Latest static build, see storeBuildService
+  build: {
+    id: String,
+    createdAt: Date,
+    files: Number,
+    written: Number,
+    reused: Number
+  },
   plan: {
     type: String,
     enum: ['free', 'basic', 'pro', 'enterprise'],
@@ -177,8 +263,16 @@ const ProductSchema = new mongoose.Schema({
     type: Number,
     min: 0
   },
+  currency: String,
   sku: String,
   barcode: String,
+  brand: String,
+  availability: {
+    type: String,
+    enum: ['in_stock', 'out_of_stock', 'preorder', 'backorder', 'discontinued'],
+    default: 'in_stock'
+  },
+  sourceUrl: String,
   trackQuantity: {
     type: Boolean,
     default: true
@@ -210,7 +304,12 @@ const ProductSchema = new mongoose.Schema({
       value: String,
       price: Number,
       quantity: Number,
-      sku: String
+      sku: String,
+      available: {
+        type: Boolean,
+        default: true
+      },
+      image: String
     }]
   }],
   seo: {
@@ -218,6 +317,17 @@ const ProductSchema = new mongoose.Schema({
     description: String,
     keywords: [String]
   },
+  // Text written by copy generation or imported, see the Store model
+  generatedFields: [{
+    _id: false,
+    field: String,
+    source: {
+      type: String,
+      enum: ['import', 'ai']
+    },
+    hash: String,
+    generatedAt: Date
+  }],
   status: {
     type: String,
     enum: ['active', 'draft', 'archived'],
@@ -242,6 +352,47 @@ ProductSchema.index({ name: 'text', description: 'text' });
 
 module.exports = mongoose.model('Product', ProductSchema);
 
+// ========================================
+// backend/src/models/Category.js
+// ========================================
+
+const mongoose = require('mongoose');
+
+const CategorySchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    required: true
+  },
+  description: String,
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  position: {
+    type: Number,
+    default: 0
+  },
+  sourceUrl: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+CategorySchema.index({ storeId: 1, slug: 1 }, { unique: true });
+CategorySchema.index({ storeId: 1, parent: 1, position: 1 });
+
+module.exports = mongoose.model('Category', CategorySchema);
+
 // ========================================
 // backend/src/models/User.js
 // ========================================
@@ -341,51 +492,108 @@ module.exports = mongoose.model('User', UserSchema);
 const aiScraperService = require('../services/aiScraperService');
 const designAnalyzerService = require('../services/designAnalyzerService');
 const storeBuilderService = require('../services/storeBuilderService');
+const analysisJobService = require('../services/analysisJobService');
+const copyService = require('../services/copyService');
+const politenessService = require('../services/politenessService');
+const snapshotService = require('../services/snapshotService');
+const templateRegistryService = require('../services/templateRegistryService');
+const sectionService = require('../services/sectionService');
 const Store = require('../models/Store');
 
 class AIController {
   async analyzeWebsite(req, res) {
     try {
-      const { url } = req.body;
-      
-      if (!url) {
+      const { crawl, maxPages, maxDepth, force, snapshotId } = req.body;
+      let { url } = req.body;
+
+      if (snapshotId) {
+        // Re-run against a saved snapshot of the source instead of the live site
+        const snapshot = await snapshotService.load(snapshotId, { userId: req.user.id });
+        url = snapshot.sourceUrl;
+      } else if (!url) {
         return res.status(400).json({ error: 'URL is required' });
+      } else {
+        // Refuse up front when the site's robots.txt disallows us
+        await politenessService.assertAllowed(url);
       }
 
-      // Step 1: Scrape website
-      console.log('Scraping website:', url);
-      const scrapedData = await aiScraperService.scrapeWebsite(url);
-      
-      // Step 2: Analyze design
-      console.log('Analyzing design...');
-      const analysis = await designAnalyzerService.analyzeDesign(scrapedData);
-      
-      // Step 3: Generate store template
-      console.log('Generating template...');
-      const template = await storeBuilderService.generateTemplate(analysis);
+      // Scrape -> analyze -> generate runs as a background job, progress comes over socket.io
+      const job = await analysisJobService.enqueue({
+        url,
+        crawl,
+        maxPages,
+        maxDepth,
+        force,
+        snapshotId,
+        recordSnapshot: req.body.snapshot
+      }, req.user.id);
 
-      res.json({
+      res.status(202).json({
         success: true,
         data: {
-          sourceUrl: url,
-          scrapedData: {
-            title: scrapedData.design.title,
-            colors: scrapedData.design.colors.slice(0, 5),
-            fonts: scrapedData.design.fonts.slice(0, 3),
-            productsFound: scrapedData.products.length
-          },
-          analysis,
-          template,
-          preview: {
-            desktop: scrapedData.screenshots.desktop.toString('base64'),
-            mobile: scrapedData.screenshots.mobile.toString('base64')
-          }
+          jobId: String(job.id),
+          status: 'queued',
+          statusUrl: `/api/ai/jobs/${job.id}`
         }
       });
     } catch (error) {
+      if (error.code === 'CRAWL_DISALLOWED') {
+        return res.status(error.statusCode).json({
+          error: 'This website does not allow automated analysis',
+          code: error.code,
+          message: error.message
+        });
+      }
+
+      if (error.code === 'SNAPSHOT_NOT_FOUND' || error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+
       console.error('AI analysis error:', error);
       res.status(500).json({ 
-        error: 'Failed to analyze website',
+        error: 'Failed to start website analysis',
+        message: error.message 
+      });
+    }
+  }
+
+  async getJob(req, res) {
+    try {
+      const status = await analysisJobService.getStatus(req.params.id, req.user.id);
+
+      if (!status) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      console.error('Job status error:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch job status',
+        message: error.message 
+      });
+    }
+  }
+
+  async cancelJob(req, res) {
+    try {
+      const result = await analysisJobService.cancel(req.params.id, req.user.id);
+
+      if (!result) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Job cancel error:', error);
+      res.status(500).json({ 
+        error: 'Failed to cancel job',
         message: error.message 
       });
     }
@@ -393,26 +601,42 @@ class AIController {
 
   async generateStore(req, res) {
     try {
-      const { templateId, customizations, storeInfo } = req.body;
+      const { templateId, templateVersion, customizations, storeInfo, scrapedData, products } = req.body;
       const userId = req.user.id;
 
       // Create store from template
       const store = await storeBuilderService.createStore({
         userId,
         templateId,
+        templateVersion,
         customizations,
-        storeInfo
+        storeInfo,
+        scrapedData,
+        products
       });
 
+      // Copy is written in the background, the store works without it
+      let copyJob = null;
+      try {
+        copyJob = await copyService.enqueue(store._id, userId);
+      } catch (error) {
+        console.error('Copy job error:', error.message);
+      }
+
       res.json({
         success: true,
         data: {
           storeId: store._id,
           url: store.url,
-          status: store.status
+          status: store.status,
+          copyJobId: copyJob ? String(copyJob.id) : null
         }
       });
     } catch (error) {
+      if (error.code === 'TEMPLATE_NOT_FOUND' || error.code === 'INVALID_TEMPLATE_SETTINGS') {
+        return res.status(error.statusCode).json({ error: error.message, code: error.code });
+      }
+
       console.error('Store generation error:', error);
       res.status(500).json({ 
         error: 'Failed to generate store',
@@ -423,7 +647,8 @@ class AIController {
 
   async getTemplates(req, res) {
     try {
-      const templates = await storeBuilderService.getAvailableTemplates();
+      const { feature, section, q, versions } = req.query;
+      const templates = await storeBuilderService.getAvailableTemplates({ feature, section, q, versions });
       
       res.json({
         success: true,
@@ -438,6 +663,32 @@ class AIController {
     }
   }
 
+  async getSections(req, res) {
+    try {
+      const { page, template, version } = req.query;
+
+      res.json({
+        success: true,
+        data: sectionService.list({ page, template, version })
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to fetch sections',
+        message: error.message 
+      });
+    }
+  }
+
+  async getTemplatePreview(req, res) {
+    const template = templateRegistryService.get(req.params.id, req.params.version);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    // Versions are immutable
+    res.sendFile(template.preview, { maxAge: '1y', immutable: true });
+  }
+
   async improveDesign(req, res) {
     try {
       const { storeId } = req.params;
@@ -476,6 +727,34 @@ module.exports = new AIController();
 
 const Store = require('../models/Store');
 const Product = require('../models/Product');
+const snapshotService = require('../services/snapshotService');
+const copyService = require('../services/copyService');
+const storeBuilderService = require('../services/storeBuilderService');
+const storeArchiveService = require('../services/storeArchiveService');
+const sectionService = require('../services/sectionService');
+const fs = require('fs').promises;
+
+// Section ids are strings, store.design.components keeps them as ObjectIds
+const sectionView = (section) => ({
+  id: String(section._id),
+  type: section.type,
+  position: section.position,
+  settings: section.settings || {}
+});
+
+const sectionError = (res, error, message) => {
+  if (error.code === 'INVALID_SECTION') {
+    return res.status(400).json({ error: error.message, code: error.code });
+  }
+  if (error.code === 'SECTION_NOT_FOUND' || error.code === 'PAGE_NOT_FOUND') {
+    return res.status(404).json({ error: error.message });
+  }
+
+  res.status(500).json({ 
+    error: message,
+    message: error.message 
+  });
+};
 
 class StoreController {
   async getAllStores(req, res) {
@@ -601,9 +880,13 @@ class StoreController {
         return res.status(404).json({ error: 'Store not found' });
       }
 
+      // Publishing writes the static site
+      const build = await storeBuilderService.generateStoreFiles(store);
+
       res.json({
         success: true,
         data: store,
+        build: { id: build.buildId, stats: build.stats },
         message: 'Store published successfully'
       });
     } catch (error) {
@@ -613,6 +896,436 @@ class StoreController {
       });
     }
   }
+  async getSnapshots(req, res) {
+    try {
+      const store = await Store.findOne({ _id: req.params.id, userId: req.user.id }).select('template.snapshots');
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      res.json({
+        success: true,
+        data: store.template.snapshots
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to fetch snapshots',
+        message: error.message 
+      });
+    }
+  }
+
+  async attachSnapshot(req, res) {
+    try {
+      const { id } = req.params;
+      const { snapshotId } = req.body;
+
+      // Also checks the snapshot belongs to this user
+      const snapshot = await snapshotService.load(snapshotId, { userId: req.user.id });
+
+      const store = await Store.findOneAndUpdate(
+        { _id: id, userId: req.user.id, 'template.snapshots.snapshotId': { $ne: snapshotId } },
+        {
+          $push: {
+            'template.snapshots': {
+              snapshotId,
+              sourceUrl: snapshot.sourceUrl,
+              createdAt: snapshot.createdAt
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found or snapshot already attached' });
+      }
+
+      res.status(201).json({
+        success: true,
+        data: store.template.snapshots
+      });
+    } catch (error) {
+      if (error.code === 'SNAPSHOT_NOT_FOUND' || error.code === 'ENOENT') {
+        return res.status(404).json({ error: 'Snapshot not found' });
+      }
+
+      res.status(500).json({ 
+        error: 'Failed to attach snapshot',
+        message: error.message 
+      });
+    }
+  }
+
+  async exportStore(req, res) {
+    try {
+      const mode = req.query.mode || 'full';
+      const store = await Store.findOne({ _id: req.params.id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      if (!storeArchiveService.modes.includes(mode)) {
+        return res.status(400).json({ error: 'mode must be site or full' });
+      }
+
+      res.attachment(`${store.subdomain}-snapshelf${mode === 'site' ? '-site' : ''}.zip`);
+      await storeArchiveService.export(store, res, { mode });
+    } catch (error) {
+      console.error('Store export error:', error);
+
+      // Too late for an error response once the archive has started streaming
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({ 
+        error: 'Failed to export store',
+        message: error.message 
+      });
+    }
+  }
+
+  async importStore(req, res) {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: 'No archive uploaded' });
+      }
+
+      const { store, products, categories, assets } = await storeArchiveService.import(req.file.path, req.user.id, {
+        name: req.body.name,
+        subdomain: req.body.subdomain
+      });
+
+      // The imported store gets its own build, its absence doesn't fail the import
+      try {
+        await storeBuilderService.generateStoreFiles(store);
+      } catch (error) {
+        console.error('Store build error:', error.message);
+      }
+
+      res.status(201).json({
+        success: true,
+        data: { storeId: store._id, subdomain: store.subdomain, products, categories, assets }
+      });
+    } catch (error) {
+      if (error.statusCode === 400) {
+        return res.status(400).json({ error: error.message, code: error.code });
+      }
+
+      res.status(500).json({ 
+        error: 'Failed to import store',
+        message: error.message 
+      });
+    } finally {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {});
+    }
+  }
+
+  async generateCopy(req, res) {
+    try {
+      const { voice, regenerate, products, store: storeCopy } = req.body;
+      const store = await Store.findOne({ _id: req.params.id, userId: req.user.id }).select('_id');
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const job = await copyService.enqueue(store._id, req.user.id, {
+        voice,
+        regenerate: regenerate === true,
+        products: products !== false,
+        store: storeCopy !== false
+      });
+
+      res.status(202).json({
+        success: true,
+        data: { jobId: String(job.id) }
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to start copy generation',
+        message: error.message 
+      });
+    }
+  }
+
+  async getCopyJob(req, res) {
+    try {
+      const status = await copyService.getStatus(req.params.jobId, req.user.id);
+
+      if (!status || status.storeId !== req.params.id) {
+        return res.status(404).json({ error: 'Job not found' });
+      }
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to fetch copy job',
+        message: error.message 
+      });
+    }
+  }
+
+  async getPageSections(req, res) {
+    try {
+      const { id, page } = req.params;
+      const store = await Store.findOne({ _id: id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+      sectionService.assertPage(store, page);
+
+      res.json({
+        success: true,
+        data: {
+          page,
+          edited: store.design.editedPages.includes(page),
+          sections: sectionService.composition(store, page).map(sectionView)
+        }
+      });
+    } catch (error) {
+      sectionError(res, error, 'Failed to fetch sections');
+    }
+  }
+
+  async addPageSection(req, res) {
+    try {
+      const { id, page } = req.params;
+      const { type, settings, position } = req.body;
+      const store = await Store.findOne({ _id: id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const section = await sectionService.add(store, page, { type, settings, position });
+      await store.save();
+
+      res.status(201).json({
+        success: true,
+        data: sectionView(section)
+      });
+    } catch (error) {
+      sectionError(res, error, 'Failed to add section');
+    }
+  }
+
+  async updatePageSection(req, res) {
+    try {
+      const { id, page, sectionId } = req.params;
+      const store = await Store.findOne({ _id: id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const section = await sectionService.update(store, page, sectionId, req.body.settings || {});
+      await store.save();
+
+      res.json({
+        success: true,
+        data: sectionView(section)
+      });
+    } catch (error) {
+      sectionError(res, error, 'Failed to update section');
+    }
+  }
+
+  async removePageSection(req, res) {
+    try {
+      const { id, page, sectionId } = req.params;
+      const store = await Store.findOne({ _id: id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      sectionService.remove(store, page, sectionId);
+      await store.save();
+
+      res.json({
+        success: true,
+        message: 'Section removed'
+      });
+    } catch (error) {
+      sectionError(res, error, 'Failed to remove section');
+    }
+  }
+
+  async reorderPageSections(req, res) {
+    try {
+      const { id, page } = req.params;
+      const store = await Store.findOne({ _id: id, userId: req.user.id });
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const sections = sectionService.reorder(store, page, req.body.order);
+      await store.save();
+
+      res.json({
+        success: true,
+        data: sections.map(sectionView)
+      });
+    } catch (error) {
+      sectionError(res, error, 'Failed to reorder sections');
+    }
+  }
+}
+
+module.exports = new StoreController();
+
+// ========================================
+// backend/src/controllers/storefrontController.js
+// ========================================
+
+const mongoose = require('mongoose');
+const Store = require('../models/Store');
+const Product = require('../models/Product');
+const storefrontService = require('../services/storefrontService');
+
+const CART_COOKIE = 'cart';
+const CART_MAX_LINES = 20;
+
+// Drafts are served too so merchants can preview them, pages carry noindex until published
+const findStore = (subdomain) => Store.findOne({
+  subdomain: String(subdomain).toLowerCase(),
+  status: { $in: ['draft', 'published'] }
+});
+
+// The cart lives in a cookie scoped to the store's path: [{ productId, options, quantity }]
+const readCart = (req) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${CART_COOKIE}=`));
+  if (!cookie) return [];
+
+  try {
+    const lines = JSON.parse(decodeURIComponent(cookie.slice(CART_COOKIE.length + 1)));
+    return Array.isArray(lines) ? lines.slice(0, CART_MAX_LINES) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const writeCart = (req, res, lines) => {
+  res.cookie(CART_COOKIE, JSON.stringify(lines.slice(0, CART_MAX_LINES)), {
+    path: req.baseUrl,
+    httpOnly: true,
+    sameSite: 'lax',
+    maxAge: 30 * 24 * 60 * 60 * 1000
+  });
+};
+
+class StorefrontController {
+  async renderPage(req, res) {
+    try {
+      const store = await findStore(req.params.subdomain);
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const { status, html } = await storefrontService.render(store, req.path, {
+        basePath: req.baseUrl,
+        query: req.query,
+        cart: readCart(req)
+      });
+
+      res.status(status).type('html').send(html);
+    } catch (error) {
+      console.error('Storefront render error:', error);
+      res.status(500).json({ 
+        error: 'Failed to render page',
+        message: error.message 
+      });
+    }
+  }
+
+  async getStylesheet(req, res) {
+    try {
+      const store = await findStore(req.params.subdomain).select('template.css');
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      res.type('css').send(store.template?.css || '');
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to fetch stylesheet',
+        message: error.message 
+      });
+    }
+  }
+
+  async addToCart(req, res) {
+    try {
+      const { productId, options = {}, quantity } = req.body;
+      const store = await findStore(req.params.subdomain).select('_id');
+
+      if (!store) {
+        return res.status(404).json({ error: 'Store not found' });
+      }
+
+      const exists = mongoose.isValidObjectId(productId)
+        && await Product.exists({ _id: productId, storeId: store._id, status: 'active' });
+      if (!exists) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      const lines = readCart(req);
+      const amount = Math.min(Math.max(parseInt(quantity, 10) || 1, 1), 99);
+      // The same product with the same options is one line
+      const line = lines.find(candidate => candidate.productId === productId
+        && JSON.stringify(candidate.options) === JSON.stringify(options));
+
+      if (line) {
+        line.quantity = Math.min(line.quantity + amount, 99);
+      } else {
+        lines.push({ productId, options, quantity: amount });
+      }
+
+      writeCart(req, res, lines);
+      res.redirect(303, `${req.baseUrl}/cart`);
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to add to cart',
+        message: error.message 
+      });
+    }
+  }
+
+  async updateCart(req, res) {
+    try {
+      const lines = readCart(req);
+      const index = parseInt(req.body.line, 10);
+      const quantity = Math.min(Math.max(parseInt(req.body.quantity, 10) || 0, 0), 99);
+
+      if (lines[index]) {
+        if (quantity === 0) {
+          lines.splice(index, 1);
+        } else {
+          lines[index].quantity = quantity;
+        }
+      }
+
+      writeCart(req, res, lines);
+      res.redirect(303, `${req.baseUrl}/cart`);
+    } catch (error) {
+      res.status(500).json({ 
+        error: 'Failed to update cart',
+        message: error.message 
+      });
+    }
+  }
 }
 
-module.exports = new StoreController();
\ No newline at end of file
+module.exports = new StorefrontController();
\ No newline at end of file
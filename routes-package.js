@@ -30,11 +30,15 @@
     "nodemailer": "^6.9.7",
     "multer": "^1.4.5-lts.1",
     "express-validator": "^7.0.1",
+    "joi": "^17.11.0",
     "redis": "^4.6.10",
     "bull": "^4.11.4",
     "socket.io": "^4.5.4",
     "compression": "^1.7.4",
-    "morgan": "^1.10.0"
+    "morgan": "^1.10.0",
+    "mustache": "^4.2.0",
+    "archiver": "^6.0.1",
+    "unzipper": "^0.10.14"
   },
   "devDependencies": {
     "nodemon": "^3.0.1",
@@ -52,24 +56,49 @@ const express = require('express');
 const router = express.Router();
 const aiController = require('../controllers/aiController');
 const auth = require('../middleware/auth');
-const { body, validationResult } = require('express-validator');
+const { body, query, param, validationResult } = require('express-validator');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
 
 // Validation middleware
 const validateUrl = [
-  body('url').isURL().withMessage('Invalid URL format'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
-    next();
-  }
+  body('url').if(body('snapshotId').not().exists()).isURL().withMessage('Invalid URL format'),
+  body('snapshotId').optional().isUUID().withMessage('Invalid snapshot id'),
+  body('snapshot').optional().isBoolean().withMessage('snapshot must be a boolean').toBoolean(),
+  body('crawl').optional().isBoolean().withMessage('crawl must be a boolean').toBoolean(),
+  body('maxPages').optional().isInt({ min: 1, max: 100 }).withMessage('maxPages must be between 1 and 100').toInt(),
+  body('maxDepth').optional().isInt({ min: 0, max: 5 }).withMessage('maxDepth must be between 0 and 5').toInt(),
+  body('force').optional().isBoolean().withMessage('force must be a boolean').toBoolean(),
+  validate
+];
+
+const validateTemplateQuery = [
+  query('feature').optional().isString().withMessage('feature must be a comma-separated list'),
+  query('section').optional().isString().withMessage('section must be a comma-separated list'),
+  query('q').optional().isString().isLength({ max: 100 }).withMessage('q must be at most 100 characters'),
+  query('versions').optional().isIn(['latest', 'all']).withMessage('versions must be latest or all'),
+  validate
+];
+
+const validateTemplateVersion = [
+  param('version').matches(/^\d+\.\d+\.\d+$/).withMessage('Invalid template version'),
+  validate
 ];
 
 // Routes
 router.post('/analyze', auth, validateUrl, aiController.analyzeWebsite);
+router.get('/jobs/:id', auth, aiController.getJob);
+router.delete('/jobs/:id', auth, aiController.cancelJob);
 router.post('/generate', auth, aiController.generateStore);
-router.get('/templates', aiController.getTemplates);
+router.get('/templates', validateTemplateQuery, aiController.getTemplates);
+router.get('/templates/:id/:version/preview', validateTemplateVersion, aiController.getTemplatePreview);
+router.get('/sections', aiController.getSections);
 router.get('/improve/:storeId', auth, aiController.improveDesign);
 
 module.exports = router;
@@ -79,17 +108,58 @@ module.exports = router;
 // ========================================
 
 const express = require('express');
+const os = require('os');
+const multer = require('multer');
 const router = express.Router();
 const storeController = require('../controllers/storeController');
 const auth = require('../middleware/auth');
+const { body, validationResult } = require('express-validator');
+
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+  next();
+};
+
+const validateSnapshot = [
+  body('snapshotId').isUUID().withMessage('Invalid snapshot id'),
+  validate
+];
+
+// Store archives can be large, they go to disk rather than memory
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: 500 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (/\.zip$/i.test(file.originalname)) {
+      return cb(null, true);
+    }
+    cb(new Error('Only ZIP archives are allowed'));
+  }
+});
 
 // Store routes
 router.get('/', auth, storeController.getAllStores);
 router.get('/:id', auth, storeController.getStore);
 router.post('/', auth, storeController.createStore);
+router.post('/import', auth, archiveUpload.single('archive'), storeController.importStore);
 router.put('/:id', auth, storeController.updateStore);
 router.delete('/:id', auth, storeController.deleteStore);
 router.post('/:id/publish', auth, storeController.publishStore);
+router.get('/:id/export', auth, storeController.exportStore);
+router.get('/:id/snapshots', auth, storeController.getSnapshots);
+router.post('/:id/snapshots', auth, validateSnapshot, storeController.attachSnapshot);
+router.post('/:id/copy', auth, storeController.generateCopy);
+router.get('/:id/copy/:jobId', auth, storeController.getCopyJob);
+
+// Page sections
+router.get('/:id/pages/:page/sections', auth, storeController.getPageSections);
+router.post('/:id/pages/:page/sections', auth, storeController.addPageSection);
+router.put('/:id/pages/:page/sections/order', auth, storeController.reorderPageSections);
+router.patch('/:id/pages/:page/sections/:sectionId', auth, storeController.updatePageSection);
+router.delete('/:id/pages/:page/sections/:sectionId', auth, storeController.removePageSection);
 
 // Store analytics
 router.get('/:id/analytics', auth, async (req, res) => {
@@ -105,6 +175,42 @@ router.get('/:id/settings', auth, async (req, res) => {
 
 module.exports = router;
 
+// ========================================
+// backend/src/routes/storefront.routes.js
+// ========================================
+
+const express = require('express');
+const helmet = require('helmet');
+// Mounted under /storefront/:subdomain
+const router = express.Router({ mergeParams: true });
+const storefrontController = require('../controllers/storefrontController');
+
+// Product images may stay on the source store's CDN and checkouts can post to
+// another origin, the app-wide policy allows neither
+const checkoutUrl = process.env.CHECKOUT_URL || '';
+const formAction = ["'self'"];
+if (checkoutUrl) {
+  try {
+    formAction.push(new URL(checkoutUrl, process.env.APP_URL).origin);
+  } catch (error) {
+    // A path without APP_URL posts back to this origin
+  }
+}
+
+router.use(helmet.contentSecurityPolicy({
+  directives: {
+    imgSrc: ["'self'", 'data:', 'https:'],
+    formAction
+  }
+}));
+
+router.get('/store.css', storefrontController.getStylesheet);
+router.post('/cart/add', storefrontController.addToCart);
+router.post('/cart/update', storefrontController.updateCart);
+router.get('*', storefrontController.renderPage);
+
+module.exports = router;
+
 // ========================================
 // backend/src/routes/product.routes.js
 // ========================================
@@ -480,8 +586,21 @@ MONGODB_URI=mongodb://localhost:27017/snapshelf
 # JWT
 JWT_SECRET=your-super-secret-jwt-key-change-this
 
-# OpenAI
+# LLM provider: openai, azure, local (OpenAI-compatible server) or mock
+LLM_PROVIDER=openai
+LLM_MODEL=gpt-4-turbo-preview
+LLM_RETRIES=2
 OPENAI_API_KEY=sk-your-openai-api-key
+# AZURE_OPENAI_ENDPOINT=https://your-resource.openai.azure.com
+# AZURE_OPENAI_API_KEY=your-azure-key
+# AZURE_OPENAI_DEPLOYMENT=your-deployment
+# AZURE_OPENAI_API_VERSION=2024-02-01
+# LLM_BASE_URL=http://localhost:11434/v1
+# LLM_JSON_MODE=false
+
+# Generated store copy
+COPY_BRAND_VOICE=friendly, clear and trustworthy
+# COPY_BANNED_PHRASES=lowest price,free forever
 
 # Stripe
 STRIPE_SECRET_KEY=sk_test_your-stripe-secret-key
@@ -500,6 +619,50 @@ SMTP_PASS=your-app-password
 # Redis
 REDIS_URL=redis://localhost:6379
 
+# Analysis jobs
+ANALYSIS_CONCURRENCY=2
+SCRAPER_MAX_CONTEXTS=4
+SCRAPER_RECYCLE_AFTER=200
+
+# Scraper politeness
+SCRAPER_USER_AGENT=SnapShelfBot/1.0 (+https://snapshelf.io/bot)
+SCRAPER_DOMAIN_CONCURRENCY=2
+SCRAPER_DOMAIN_INTERVAL_MS=1000
+
+# Scrape/analysis cache (seconds)
+SCRAPE_CACHE_TTL=21600
+ANALYSIS_CACHE_TTL=604800
+CLIENT_URL=http://localhost:3000
+
+# Asset storage (re-hosted images)
+ASSET_STORAGE=local
+ASSET_STORAGE_DIR=storage/assets
+ASSET_BASE_URL=/assets
+ASSET_MAX_IMAGES=500
+
+# WCAG contrast level for generated themes (AA or AAA)
+CONTRAST_LEVEL=AA
+
+# Product detail pages visited for variant data per analysis
+VARIANT_MAX_PAGES=50
+
+# Public URL of this API, generated store previews load /assets from it
+APP_URL=http://localhost:5000
+
+# Order endpoint for storefront checkouts, a path is resolved against APP_URL.
+# Leave empty to show the order summary without a checkout form
+CHECKOUT_URL=
+
+# Static store builds, one immutable directory per build
+STORE_BUILD_DIR=storage/builds
+STORE_BUILD_KEEP=5
+
+# Offline scrape snapshots
+SNAPSHOT_DIR=storage/snapshots
+
+# Template packages, <id>/<version>/template.json
+TEMPLATE_DIR=templates
+
 # AWS S3 (for image storage)
 AWS_ACCESS_KEY_ID=your-aws-access-key
 AWS_SECRET_ACCESS_KEY=your-aws-secret-key
@@ -1,62 +1,25 @@
 // backend/src/services/storeBuilderService.js
 
 const Store = require('../models/Store');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const structuredDataService = require('./structuredDataService');
+const copyService = require('./copyService');
+const storeBuildService = require('./storeBuildService');
+const templateRegistryService = require('./templateRegistryService');
 const fs = require('fs').promises;
 const path = require('path');
 
 class StoreBuilderService {
   constructor() {
-    this.templates = new Map();
     this.components = new Map();
-    this.loadTemplates();
-  }
-
-  async loadTemplates() {
-    // Load predefined templates
-    this.templates.set('modern', {
-      id: 'modern',
-      name: 'Modern Store',
-      description: 'Clean and modern e-commerce template',
-      preview: '/templates/modern/preview.jpg',
-      features: ['Responsive', 'SEO Optimized', 'Fast Loading'],
-      structure: {
-        header: {
-          type: 'sticky',
-          components: ['logo', 'navigation', 'search', 'cart']
-        },
-        hero: {
-          type: 'slider',
-          height: '600px'
-        },
-        sections: ['featured-products', 'categories', 'testimonials', 'newsletter'],
-        footer: {
-          columns: 4,
-          components: ['about', 'links', 'contact', 'social']
-        }
-      }
-    });
-
-    this.templates.set('minimal', {
-      id: 'minimal',
-      name: 'Minimal Store',
-      description: 'Simple and elegant design',
-      preview: '/templates/minimal/preview.jpg',
-      features: ['Minimalist', 'Typography Focus', 'White Space'],
-      structure: {
-        header: {
-          type: 'simple',
-          components: ['logo', 'navigation', 'cart']
-        },
-        sections: ['products-grid', 'about', 'contact'],
-        footer: {
-          columns: 2,
-          components: ['copyright', 'social']
-        }
-      }
-    });
   }
 
   async generateTemplate(analysis) {
+    const pages = this.generatePages(analysis);
+    // May add pages the menus link to but the crawl didn't reach
+    const { navigation, categories } = this.generateNavigation(analysis.navigation, pages);
+
     // Generate custom template based on analyzed design
     const template = {
       id: `custom-${Date.now()}`,
@@ -66,15 +29,69 @@ class StoreBuilderService {
         colors: analysis.colors,
         typography: analysis.typography,
         layout: analysis.layout,
-        components: this.selectComponents(analysis)
+        tokens: analysis.tokens,
+        components: this.selectComponents(analysis),
+        // Re-hosted copies, see assetService
+        logo: analysis.brand?.logo,
+        favicon: analysis.brand?.favicon
       },
-      css: await this.generateCSS(analysis),
-      html: await this.generateHTML(analysis)
+      pages,
+      navigation,
+      categories,
+      // Pages are rendered from storefront/templates.js, styled by this stylesheet
+      css: await this.generateCSS(analysis)
     };
 
     return template;
   }
 
+  // A registry package at the requested version (latest by default). The analyzed
+  // brand colors and fonts are kept when there are any, the package settings fill in
+  // the rest.
+  async templateFromPackage(templateId, templateVersion, customizations = {}) {
+    const pkg = templateRegistryService.get(templateId, templateVersion);
+    if (!pkg) {
+      const error = new Error(`Template ${templateId}${templateVersion ? `@${templateVersion}` : ''} not found`);
+      error.code = 'TEMPLATE_NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    const settings = templateRegistryService.resolveSettings(pkg, customizations.templateSettings);
+    const design = templateRegistryService.design(settings);
+    const analysis = {
+      ...customizations,
+      colors: customizations.colors || design.colors,
+      typography: customizations.typography || design.typography
+    };
+
+    const pages = this.generatePages(analysis);
+    const { navigation, categories } = this.generateNavigation(analysis.navigation, pages);
+    const css = await this.generateCSS(analysis);
+
+    return {
+      id: pkg.id,
+      version: pkg.version,
+      name: pkg.name,
+      package: { id: pkg.id, version: pkg.version },
+      settings,
+      structure: pkg.structure,
+      analysis,
+      customizations: {
+        colors: analysis.colors,
+        typography: analysis.typography,
+        tokens: analysis.tokens,
+        components: pkg.sections.defaults.map((section, position) => ({ ...section, position })),
+        logo: analysis.brand?.logo,
+        favicon: analysis.brand?.favicon
+      },
+      pages,
+      navigation,
+      categories,
+      css: `${css}\n${templateRegistryService.stylesheet(pkg, settings)}`
+    };
+  }
+
   selectBaseTemplate(analysis) {
     // Select best matching base template
     if (analysis.layout.structure.header && analysis.layout.structure.footer) {
@@ -83,53 +100,225 @@ class StoreBuilderService {
     return 'minimal';
   }
 
+  // Recreates the source page composition from the detected sections, falling back
+  // to a plain header/product grid layout when there's nothing to go on
   selectComponents(analysis) {
-    const components = [];
-    
-    if (analysis.products && analysis.products.count > 0) {
-      components.push({
-        type: 'product-grid',
-        columns: 4,
-        showPrice: analysis.products.hasPrices,
-        showImage: analysis.products.hasImages
-      });
+    const sections = analysis.layout.sections || [];
+    const columns = analysis.layout.recommendations?.productColumns || { desktop: 4, tablet: 3, mobile: 2 };
+    const products = analysis.products;
+
+    const headerComponents = () => [
+      analysis.layout.structure.navigation && { type: 'navigation', settings: { style: 'horizontal', position: 'header' } },
+      { type: 'search', settings: { position: 'header', style: 'inline' } },
+      { type: 'cart', settings: { position: 'header', style: 'icon' } }
+    ].filter(Boolean);
+
+    const productGrid = (section) => ({
+      type: 'product-grid',
+      settings: {
+        heading: section?.heading || null,
+        columns: section?.columns?.desktop || columns.desktop,
+        columnsTablet: section?.columns?.tablet || columns.tablet,
+        columnsMobile: section?.columns?.mobile || columns.mobile,
+        limit: section?.itemCount || 8,
+        showPrice: products ? products.hasPrices : true,
+        showImage: products ? products.hasImages : true
+      }
+    });
+
+    const fromSection = (section) => {
+      switch (section.type) {
+        case 'announcement':
+          return { type: 'announcement-bar', settings: { text: section.text } };
+        case 'header':
+          return headerComponents();
+        case 'hero':
+          return { type: 'hero', settings: { style: section.slides ? 'slider' : 'banner', heading: section.heading, cta: section.cta, height: section.bounds.height } };
+        case 'product-grid':
+          return productGrid(section);
+        case 'product-carousel':
+          return { ...productGrid(section), type: 'product-carousel' };
+        case 'carousel':
+          return { type: 'carousel', settings: { heading: section.heading, slides: section.slides } };
+        case 'category-tiles':
+          return { type: 'category-tiles', settings: { heading: section.heading, columns: section.columns?.desktop || 3, limit: section.itemCount } };
+        case 'testimonials':
+          return { type: 'testimonials', settings: { heading: section.heading } };
+        case 'newsletter':
+          return { type: 'newsletter', settings: { heading: section.heading } };
+        case 'image-with-text':
+          return { type: 'image-with-text', settings: { heading: section.heading } };
+        case 'rich-text':
+          return { type: 'rich-text', settings: { heading: section.heading } };
+        case 'footer':
+          return { type: 'footer', settings: {} };
+        default:
+          return null;
+      }
+    };
+
+    let components = sections.flatMap(section => fromSection(section) || []);
+
+    if (!components.some(component => component.type === 'navigation' || component.type === 'search')) {
+      components = [...headerComponents(), ...components];
+    }
+    if (products && products.count > 0 && !components.some(component => component.type.startsWith('product-'))) {
+      components.push(productGrid(null));
     }
 
-    if (analysis.layout.structure.navigation) {
-      components.push({
-        type: 'navigation',
-        style: 'horizontal',
-        position: 'header'
+    return components.map((component, position) => ({ ...component, position }));
+  }
+
+  generatePages(analysis) {
+    const pages = [{ type: 'home', title: 'Home', slug: 'home' }];
+    if (!analysis.pages) return pages;
+
+    const slugs = new Set(['home']);
+
+    // Product pages are rendered from the catalog, everything else is recreated from the crawl
+    analysis.pages.pages
+      .filter(page => page.type !== 'home' && page.type !== 'product')
+      .forEach(page => {
+        const slug = this.uniqueSlug(this.slugFromUrl(page.url), slugs);
+
+        pages.push({
+          type: page.type,
+          title: page.headings[0] || page.title || slug,
+          slug,
+          sourceUrl: page.url
+        });
       });
-    }
 
-    components.push({
-      type: 'search',
-      position: 'header',
-      style: 'inline'
-    });
+    return pages;
+  }
 
-    components.push({
-      type: 'cart',
-      position: 'header',
-      style: 'icon'
-    });
+  // Maps the source menus onto this store's own URLs. Categories become collections,
+  // menu targets the crawl didn't reach are added as empty pages so no link is dead.
+  generateNavigation(navigation, pages) {
+    if (!navigation) return { navigation: null, categories: [] };
+
+    const categories = new Map();
+    const pagesBySource = new Map(pages.filter(page => page.sourceUrl).map(page => [page.sourceUrl, page]));
+    const slugs = new Set(pages.map(page => page.slug));
+    // `all` is the whole catalog
+    const categorySlugs = new Set(['all']);
+
+    const mapItem = (item, parentCategory) => {
+      const mapped = { label: item.label, type: item.type, url: item.url, sourceUrl: item.url };
+      let category = parentCategory;
+
+      if (item.type === 'home') {
+        mapped.url = '/';
+      } else if (item.type === 'category') {
+        if (!categories.has(item.url)) {
+          categories.set(item.url, {
+            name: item.label,
+            slug: this.uniqueSlug(this.slugFromUrl(item.url), categorySlugs),
+            sourceUrl: item.url,
+            parentSourceUrl: parentCategory,
+            position: categories.size
+          });
+        }
+        mapped.url = `/collections/${categories.get(item.url).slug}`;
+        category = item.url;
+      } else if (item.type === 'product') {
+        // Re-pointed at the imported product once its slug is known, see createStore
+        mapped.url = `/products/${this.slugFromUrl(item.url)}`;
+      } else if (item.type === 'page') {
+        if (!pagesBySource.has(item.url)) {
+          const slug = this.uniqueSlug(this.slugFromUrl(item.url), slugs);
+
+          const page = { type: 'page', title: item.label, slug, sourceUrl: item.url };
+          pages.push(page);
+          pagesBySource.set(item.url, page);
+        }
+        mapped.url = `/pages/${pagesBySource.get(item.url).slug}`;
+      } else if (item.type === 'external') {
+        delete mapped.sourceUrl;
+      }
+
+      mapped.children = (item.children || []).map(child => mapItem(child, category));
+      return mapped;
+    };
+
+    return {
+      navigation: {
+        main: navigation.main.map(item => mapItem(item)),
+        footer: navigation.footer.map(column => ({
+          title: column.title,
+          links: column.links.map(link => mapItem(link))
+        })),
+        social: navigation.social
+      },
+      categories: Array.from(categories.values())
+    };
+  }
+
+  // Appends -2, -3, ... until the slug is unused, then claims it
+  uniqueSlug(slug, slugs) {
+    let candidate = slug;
+    for (let i = 2; slugs.has(candidate); i++) candidate = `${slug}-${i}`;
+    slugs.add(candidate);
+    return candidate;
+  }
+
+  slugFromUrl(url) {
+    const segments = new URL(url).pathname.split('/').filter(Boolean);
+    const last = segments[segments.length - 1] || 'page';
+
+    return decodeURIComponent(last)
+      .toLowerCase()
+      .replace(/\.[a-z]+$/, '')
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '') || 'page';
+  }
 
-    return components;
+  get defaultTokens() {
+    const heading = (size) => ({ size, weight: '700', lineHeight: 1.2, letterSpacing: 'normal', textTransform: 'none' });
+
+    return {
+      radius: { button: 4, card: 8, input: 4 },
+      shadows: { card: 'none', hover: '0 5px 20px rgba(0,0,0,0.1)' },
+      spacing: { unit: 8, scale: [8, 16, 24, 32, 48, 64] },
+      container: { maxWidth: 1200, padding: 20 },
+      typography: { h1: heading(40), h2: heading(32), h3: heading(24), body: { size: 16, weight: '400', lineHeight: 1.6 } },
+      button: { radius: 4, paddingY: 12, paddingX: 24, fontSize: 16, fontWeight: '600', textTransform: 'none', letterSpacing: 'normal' },
+      input: { radius: 4, border: '1px solid #ccc', height: 44 },
+      card: { radius: 8, border: 'none' },
+      breakpoints: { mobile: 768, tablet: 1024, desktop: 1440 }
+    };
   }
 
   async generateCSS(analysis) {
     const { colors, typography } = analysis;
+    // Templates created without a source analysis fall back to the stock tokens
+    const tokens = analysis.tokens || this.defaultTokens;
+    const type = tokens.typography;
     
     const css = `
       :root {
         --color-primary: ${colors.primary};
         --color-secondary: ${colors.secondary};
         --color-accent: ${colors.accent};
-        --color-text: #333;
-        --color-background: #fff;
-        --font-heading: ${typography.heading.family}, ${typography.heading.fallback};
-        --font-body: ${typography.body.family}, ${typography.body.fallback};
+        --color-on-primary: ${colors.onPrimary || '#fff'};
+        --color-on-secondary: ${colors.onSecondary || '#fff'};
+        --color-text: ${colors.text || '#333'};
+        --color-background: ${colors.background || '#fff'};
+        --font-heading: "${typography.heading.family}", ${typography.heading.fallback};
+        --font-body: "${typography.body.family}", ${typography.body.fallback};
+        --font-size-h1: ${type.h1.size}px;
+        --font-size-h2: ${type.h2.size}px;
+        --font-size-h3: ${type.h3.size}px;
+        --font-size-body: ${type.body.size}px;
+        --font-weight-heading: ${type.h1.weight};
+        --space-unit: ${tokens.spacing.unit}px;
+        --container-width: ${tokens.container.maxWidth}px;
+        --container-padding: ${tokens.container.padding}px;
+        --radius-button: ${tokens.radius.button}px;
+        --radius-card: ${tokens.radius.card}px;
+        --radius-input: ${tokens.radius.input}px;
+        --shadow-card: ${tokens.shadows.card};
+        --shadow-card-hover: ${tokens.shadows.hover};
       }
 
       * {
@@ -140,21 +329,39 @@ class StoreBuilderService {
 
       body {
         font-family: var(--font-body);
+        font-size: var(--font-size-body);
         color: var(--color-text);
         background-color: var(--color-background);
-        line-height: 1.6;
+        line-height: ${type.body.lineHeight};
       }
 
       h1, h2, h3, h4, h5, h6 {
         font-family: var(--font-heading);
-        line-height: 1.2;
-        margin-bottom: 1rem;
+        font-weight: var(--font-weight-heading);
+        line-height: ${type.h1.lineHeight};
+        margin-bottom: calc(var(--space-unit) * 2);
+      }
+
+      h1 {
+        font-size: var(--font-size-h1);
+        letter-spacing: ${type.h1.letterSpacing};
+        text-transform: ${type.h1.textTransform};
+      }
+
+      h2 {
+        font-size: var(--font-size-h2);
+        letter-spacing: ${type.h2.letterSpacing};
+        text-transform: ${type.h2.textTransform};
+      }
+
+      h3 {
+        font-size: var(--font-size-h3);
       }
 
       .container {
-        max-width: 1200px;
+        max-width: var(--container-width);
         margin: 0 auto;
-        padding: 0 20px;
+        padding: 0 var(--container-padding);
       }
 
       /* Header */
@@ -189,24 +396,82 @@ class StoreBuilderService {
         color: var(--color-primary);
       }
 
+      .nav-item {
+        position: relative;
+      }
+
+      .nav-dropdown {
+        display: none;
+        position: absolute;
+        top: 100%;
+        left: 0;
+        min-width: 220px;
+        padding: 1rem;
+        background: var(--color-background);
+        box-shadow: var(--shadow-card);
+        z-index: 110;
+      }
+
+      .nav-item:hover .nav-dropdown,
+      .nav-item:focus-within .nav-dropdown {
+        display: grid;
+        gap: 0.5rem;
+      }
+
+      .nav-dropdown-item {
+        display: flex;
+        flex-direction: column;
+        gap: 0.25rem;
+      }
+
+      .nav-group {
+        font-weight: bold;
+      }
+
+      .header-actions {
+        display: flex;
+        align-items: center;
+        gap: 1rem;
+      }
+
+      .logo img {
+        max-height: 48px;
+      }
+
+      .announcement-bar {
+        background: var(--color-primary);
+        color: var(--color-on-primary);
+        text-align: center;
+        padding: 0.5rem;
+        font-size: 0.875rem;
+      }
+
       /* Product Grid */
+      /* Column counts come from the source grid, see selectComponents */
       .product-grid {
         display: grid;
-        grid-template-columns: repeat(auto-fill, minmax(250px, 1fr));
+        grid-template-columns: repeat(var(--columns, 4), minmax(0, 1fr));
         gap: 2rem;
         padding: 2rem 0;
       }
 
+      .product-card {
+        color: inherit;
+        text-decoration: none;
+      }
+
       .product-card {
         background: white;
-        border-radius: 8px;
+        border-radius: var(--radius-card);
+        border: ${tokens.card.border};
+        box-shadow: var(--shadow-card);
         overflow: hidden;
         transition: transform 0.3s, box-shadow 0.3s;
       }
 
       .product-card:hover {
         transform: translateY(-5px);
-        box-shadow: 0 5px 20px rgba(0,0,0,0.1);
+        box-shadow: var(--shadow-card-hover);
       }
 
       .product-image {
@@ -233,18 +498,37 @@ class StoreBuilderService {
       /* Buttons */
       .btn {
         display: inline-block;
-        padding: 0.75rem 1.5rem;
+        padding: ${tokens.button.paddingY}px ${tokens.button.paddingX}px;
         background: var(--color-primary);
-        color: white;
+        color: var(--color-on-primary);
+        font-size: ${tokens.button.fontSize}px;
+        font-weight: ${tokens.button.fontWeight};
+        text-transform: ${tokens.button.textTransform};
+        letter-spacing: ${tokens.button.letterSpacing};
         text-decoration: none;
-        border-radius: 4px;
+        border-radius: var(--radius-button);
         transition: background 0.3s;
         border: none;
         cursor: pointer;
       }
 
+      /* Forms */
+      input, select, textarea {
+        font: inherit;
+        height: ${tokens.input.height}px;
+        padding: 0 calc(var(--space-unit) * 1.5);
+        border: ${tokens.input.border};
+        border-radius: var(--radius-input);
+      }
+
+      textarea {
+        height: auto;
+        padding: calc(var(--space-unit) * 1.5);
+      }
+
       .btn:hover {
         background: var(--color-secondary);
+        color: var(--color-on-secondary);
       }
 
       /* Footer */
@@ -262,8 +546,283 @@ class StoreBuilderService {
         margin-bottom: 2rem;
       }
 
+      .footer ul {
+        list-style: none;
+      }
+
+      .footer a {
+        color: inherit;
+      }
+
+      /* Page sections */
+      .container.narrow {
+        max-width: 760px;
+      }
+
+      .hero {
+        position: relative;
+        overflow: hidden;
+        padding: calc(var(--space-unit) * 12) 0;
+        text-align: center;
+        background: var(--color-secondary);
+        color: var(--color-on-secondary);
+      }
+
+      .hero-image {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+      }
+
+      .hero .container {
+        position: relative;
+      }
+
+      .products,
+      .category-tiles,
+      .rich-text,
+      .newsletter,
+      .image-with-text,
+      .testimonials,
+      .carousel,
+      .collection,
+      .search-results,
+      .cart,
+      .checkout,
+      .page-content,
+      .not-found {
+        padding: calc(var(--space-unit) * 6) 0;
+      }
+
+      .tile-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(200px, 1fr));
+        gap: 1rem;
+      }
+
+      .tile-grid[style] {
+        grid-template-columns: repeat(var(--columns), minmax(0, 1fr));
+      }
+
+      .tile {
+        padding: 3rem 1rem;
+        text-align: center;
+        border-radius: var(--radius-card);
+        background: var(--color-accent);
+        color: var(--color-text);
+        text-decoration: none;
+      }
+
+      .newsletter-form,
+      .search-form-large {
+        display: flex;
+        gap: 0.5rem;
+      }
+
+      .rich-text p,
+      .image-text p,
+      .page-content p {
+        margin-bottom: 1rem;
+      }
+
+      .image-text {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 3rem;
+        align-items: center;
+      }
+
+      .image-text.image-right .image-text-media {
+        order: 2;
+      }
+
+      .image-text-media img,
+      .slide img {
+        display: block;
+        width: 100%;
+        border-radius: var(--radius-card);
+      }
+
+      .testimonial-list {
+        display: grid;
+        grid-template-columns: repeat(auto-fit, minmax(240px, 1fr));
+        gap: 1.5rem;
+        list-style: none;
+      }
+
+      .testimonial {
+        padding: 1.5rem;
+        border-radius: var(--radius-card);
+        box-shadow: var(--shadow-card);
+      }
+
+      .testimonial cite {
+        display: block;
+        margin-top: 1rem;
+        font-style: normal;
+        font-weight: 600;
+      }
+
+      .slides {
+        display: flex;
+        gap: 1rem;
+        overflow-x: auto;
+        scroll-snap-type: x mandatory;
+        list-style: none;
+      }
+
+      .slide {
+        flex: 0 0 100%;
+        scroll-snap-align: start;
+      }
+
+      .slide a {
+        color: inherit;
+      }
+
+      /* Product pages */
+      /* Struck through rather than greyed out, greys fail contrast on white */
+      .compare-price {
+        color: var(--color-text);
+        margin-right: 0.5rem;
+        font-weight: normal;
+      }
+
+      .badge {
+        font-size: 0.75rem;
+        padding: 0.125rem 0.5rem;
+        border-radius: var(--radius-button);
+        background: var(--color-text);
+        color: var(--color-background);
+      }
+
+      .product-layout {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 3rem;
+      }
+
+      .product-gallery {
+        display: grid;
+        gap: 1rem;
+      }
+
+      .product-gallery img {
+        width: 100%;
+        border-radius: var(--radius-card);
+      }
+
+      .add-to-cart {
+        display: grid;
+        gap: 1rem;
+        margin: 1.5rem 0;
+      }
+
+      .variant-option,
+      .quantity,
+      .checkout-form label {
+        display: grid;
+        gap: 0.25rem;
+      }
+
+      .btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .collection-header {
+        display: flex;
+        flex-wrap: wrap;
+        justify-content: space-between;
+        align-items: flex-end;
+        gap: 1rem;
+      }
+
+      .pagination {
+        display: flex;
+        justify-content: center;
+        gap: 1.5rem;
+      }
+
+      /* Cart and checkout */
+      .cart-table {
+        width: 100%;
+        border-collapse: collapse;
+        margin-bottom: 2rem;
+      }
+
+      .cart-table th,
+      .cart-table td {
+        padding: 1rem 0.5rem;
+        border-bottom: 1px solid #eee;
+        text-align: left;
+      }
+
+      .cart-product {
+        display: flex;
+        gap: 1rem;
+        align-items: center;
+      }
+
+      .cart-product img {
+        width: 64px;
+        height: 64px;
+        object-fit: cover;
+      }
+
+      .cart-quantity input {
+        width: 5rem;
+      }
+
+      .order-summary dl {
+        display: grid;
+        grid-template-columns: 1fr auto;
+        gap: 0.5rem;
+        margin-bottom: 1.5rem;
+      }
+
+      .order-total {
+        font-weight: bold;
+      }
+
+      .checkout-layout {
+        display: grid;
+        grid-template-columns: 2fr 1fr;
+        gap: 3rem;
+      }
+
+      .checkout-form fieldset {
+        border: none;
+        display: grid;
+        gap: 1rem;
+        margin-bottom: 2rem;
+      }
+
+      .checkout-form .choice {
+        display: flex;
+        align-items: center;
+        gap: 0.5rem;
+      }
+
+      .checkout-items {
+        list-style: none;
+        margin-bottom: 1rem;
+      }
+
+      .checkout-items span {
+        float: right;
+      }
+
+      @media (max-width: ${tokens.breakpoints.tablet}px) {
+        .product-grid {
+          grid-template-columns: repeat(var(--columns-tablet, 3), minmax(0, 1fr));
+        }
+      }
+
       /* Responsive */
-      @media (max-width: 768px) {
+      @media (max-width: ${tokens.breakpoints.mobile}px) {
         .header-content {
           flex-direction: column;
           gap: 1rem;
@@ -275,111 +834,35 @@ class StoreBuilderService {
         }
 
         .product-grid {
-          grid-template-columns: repeat(auto-fill, minmax(150px, 1fr));
+          grid-template-columns: repeat(var(--columns-mobile, 2), minmax(0, 1fr));
           gap: 1rem;
         }
-      }
-    `;
-
-    return css;
-  }
 
-  async generateHTML(analysis) {
-    const html = `
-      <!DOCTYPE html>
-      <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>{{storeName}}</title>
-        <meta name="description" content="{{storeDescription}}">
-        <link rel="stylesheet" href="/css/store.css">
-      </head>
-      <body>
-        <header class="header">
-          <div class="container">
-            <div class="header-content">
-              <div class="logo">
-                <h1>{{storeName}}</h1>
-              </div>
-              <nav class="nav">
-                {{#navigation}}
-                <a href="{{url}}">{{label}}</a>
-                {{/navigation}}
-              </nav>
-              <div class="header-actions">
-                <button class="search-btn">Search</button>
-                <button class="cart-btn">Cart (0)</button>
-              </div>
-            </div>
-          </div>
-        </header>
+        .product-layout,
+        .checkout-layout,
+        .image-text {
+          grid-template-columns: 1fr;
+        }
 
-        <main class="main">
-          <section class="hero">
-            <div class="container">
-              <h2>Welcome to {{storeName}}</h2>
-              <p>{{heroText}}</p>
-            </div>
-          </section>
-
-          <section class="products">
-            <div class="container">
-              <h2>Featured Products</h2>
-              <div class="product-grid">
-                {{#products}}
-                <div class="product-card">
-                  <img src="{{image}}" alt="{{name}}" class="product-image">
-                  <div class="product-info">
-                    <h3 class="product-name">{{name}}</h3>
-                    <p class="product-price">{{price}}</p>
-                    <button class="btn">Add to Cart</button>
-                  </div>
-                </div>
-                {{/products}}
-              </div>
-            </div>
-          </section>
-        </main>
-
-        <footer class="footer">
-          <div class="container">
-            <div class="footer-content">
-              <div class="footer-section">
-                <h3>About Us</h3>
-                <p>{{aboutText}}</p>
-              </div>
-              <div class="footer-section">
-                <h3>Quick Links</h3>
-                <ul>
-                  {{#footerLinks}}
-                  <li><a href="{{url}}">{{label}}</a></li>
-                  {{/footerLinks}}
-                </ul>
-              </div>
-              <div class="footer-section">
-                <h3>Contact</h3>
-                <p>{{contactInfo}}</p>
-              </div>
-            </div>
-            <div class="footer-bottom">
-              <p>&copy; 2024 {{storeName}}. All rights reserved.</p>
-            </div>
-          </div>
-        </footer>
+        .image-text.image-right .image-text-media {
+          order: 0;
+        }
 
-        <script src="/js/store.js"></script>
-      </body>
-      </html>
+        .tile-grid[style] {
+          grid-template-columns: repeat(2, minmax(0, 1fr));
+        }
+      }
     `;
 
-    return html;
+    return css;
   }
 
-  async createStore({ userId, templateId, customizations, storeInfo }) {
+  async createStore({ userId, templateId, templateVersion, customizations = {}, storeInfo, scrapedData, products }) {
     try {
       // Get template
-      const template = this.templates.get(templateId) || await this.generateTemplate(customizations);
+      const template = templateId
+        ? await this.templateFromPackage(templateId, templateVersion, customizations)
+        : await this.generateTemplate(customizations);
 
       // Create store in database
       const store = new Store({
@@ -388,12 +871,26 @@ class StoreBuilderService {
         subdomain: storeInfo.subdomain || storeInfo.name.toLowerCase().replace(/[^a-z0-9]/g, ''),
         template: {
           sourceUrl: storeInfo.sourceUrl,
-          analyzedData: customizations,
+          // Analysis summary, including the detected source platform
+          scrapedData,
+          analyzedData: template.analysis || customizations,
+          css: template.css,
+          // Pinned, later versions of the package don't change this store
+          package: template.package,
+          settings: template.settings,
+          snapshots: scrapedData?.snapshotId ? [{
+            snapshotId: scrapedData.snapshotId,
+            sourceUrl: storeInfo.sourceUrl,
+            createdAt: new Date()
+          }] : [],
           customizations: {
             colors: customizations.colors || template.customizations.colors,
-            fonts: customizations.fonts || template.customizations.typography,
-            logo: storeInfo.logo,
-            favicon: storeInfo.favicon
+            fonts: customizations.fonts || {
+              heading: template.customizations.typography?.heading?.family,
+              body: template.customizations.typography?.body?.family
+            },
+            logo: storeInfo.logo || template.customizations?.logo,
+            favicon: storeInfo.favicon || template.customizations?.favicon
           }
         },
         design: {
@@ -401,14 +898,18 @@ class StoreBuilderService {
           theme: customizations.theme || 'light',
           components: template.customizations.components
         },
+        pages: template.pages || [],
+        navigation: template.navigation || undefined,
         settings: {
           language: storeInfo.language || 'en',
           currency: storeInfo.currency || 'USD',
-          timezone: storeInfo.timezone || 'UTC'
+          timezone: storeInfo.timezone || 'UTC',
+          brandVoice: storeInfo.brandVoice
         },
+        // Left empty unless given, so copy generation can fill them
         seo: {
-          title: storeInfo.seoTitle || storeInfo.name,
-          description: storeInfo.seoDescription || `Welcome to ${storeInfo.name}`,
+          title: storeInfo.seoTitle,
+          description: storeInfo.seoDescription,
           keywords: storeInfo.keywords || []
         },
         status: 'draft'
@@ -416,8 +917,26 @@ class StoreBuilderService {
 
       await store.save();
 
-      // Generate store files
-      await this.generateStoreFiles(store, template);
+      if (template.categories && template.categories.length > 0) {
+        await this.createCategories(store, template.categories);
+      }
+
+      // Import the cloned catalog
+      if (products && products.length > 0) {
+        const imported = await this.importProducts(store, products);
+
+        if (store.navigation && this.linkProducts(store.navigation, imported)) {
+          store.markModified('navigation');
+          await store.save();
+        }
+      }
+
+      // The store is usable without its static build, publishing builds again
+      try {
+        await this.generateStoreFiles(store, template);
+      } catch (error) {
+        console.error('Store build error:', error.message);
+      }
 
       return store;
     } catch (error) {
@@ -426,22 +945,81 @@ class StoreBuilderService {
     }
   }
 
-  async generateStoreFiles(store, template) {
-    // This would generate actual store files in production
-    // For now, we'll just log the action
-    console.log(`Generating files for store: ${store.subdomain}`);
-    
-    // In production, you would:
-    // 1. Create store directory
-    // 2. Generate HTML files
-    // 3. Generate CSS files
-    // 4. Generate JS files
-    // 5. Setup database
-    // 6. Configure domain/subdomain
+  async importProducts(store, products) {
+    const slugs = new Set();
+
+    const documents = products
+      .filter(product => product.name)
+      .map(product => {
+        const document = structuredDataService.toProductDocument(product, {
+          storeId: store._id,
+          currency: store.settings.currency
+        });
+
+        // Slugs are unique per store
+        const base = document.slug || 'product';
+        let slug = base;
+        for (let i = 2; slugs.has(slug); i++) slug = `${base}-${i}`;
+        slugs.add(slug);
+
+        // Copied text may be rewritten later, unless the merchant edits it first
+        const generatedFields = ['description', 'shortDescription']
+          .filter(field => document[field])
+          .map(field => copyService.record(field, document[field], 'import'));
+
+        return { ...document, slug, generatedFields };
+      });
+
+    return Product.insertMany(documents, { ordered: false });
+  }
+
+  async createCategories(store, categories) {
+    const ids = new Map();
+
+    // Parents come before their children in menu order
+    for (const category of categories) {
+      const document = await Category.create({
+        storeId: store._id,
+        name: category.name,
+        slug: category.slug,
+        parent: ids.get(category.parentSourceUrl),
+        position: category.position,
+        sourceUrl: category.sourceUrl
+      });
+      ids.set(category.sourceUrl, document._id);
+    }
+
+    return ids;
   }
 
-  async getAvailableTemplates() {
-    return Array.from(this.templates.values());
+  // Product menu entries point at the imported product's slug, matched by source URL
+  linkProducts(navigation, products) {
+    // Menu URLs are normalized by the scraper (no query, no trailing slash)
+    const key = (url) => url.split(/[?#]/)[0].replace(/\/$/, '');
+    const slugs = new Map(products.filter(product => product.sourceUrl).map(product => [key(product.sourceUrl), product.slug]));
+    let changed = false;
+
+    const visit = (item) => {
+      if (item.type === 'product' && slugs.has(item.sourceUrl)) {
+        item.url = `/products/${slugs.get(item.sourceUrl)}`;
+        changed = true;
+      }
+      (item.children || []).forEach(visit);
+    };
+
+    navigation.main.forEach(visit);
+    navigation.footer.forEach(column => column.links.forEach(visit));
+
+    return changed;
+  }
+
+  // Static build of the store, see storeBuildService. template.css overrides the stored stylesheet.
+  async generateStoreFiles(store, template = {}) {
+    return storeBuildService.build(store, { css: template.css });
+  }
+
+  async getAvailableTemplates(filters = {}) {
+    return templateRegistryService.list(filters);
   }
 
   async updateStoreDesign(storeId, updates) {
@@ -460,6 +1038,1099 @@ class StoreBuilderService {
 
 module.exports = new StoreBuilderService();
 
+// ========================================
+// backend/src/storefront/templates.js
+// ========================================
+
+// Mustache templates for generated storefronts. Every page renders inside the layout
+// as the `page` partial; views are built by storefrontService.
+
+const layout = `<!DOCTYPE html>
+<html lang="{{language}}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>{{pageTitle}}</title>
+  {{#metaDescription}}<meta name="description" content="{{metaDescription}}">{{/metaDescription}}
+  {{#noindex}}<meta name="robots" content="noindex">{{/noindex}}
+  {{#favicon}}<link rel="icon" href="{{favicon}}">{{/favicon}}
+  {{#fontStylesheet}}
+  <link rel="preconnect" href="https://fonts.googleapis.com">
+  <link rel="preconnect" href="https://fonts.gstatic.com" crossorigin>
+  <link rel="stylesheet" href="{{fontStylesheet}}">
+  {{/fontStylesheet}}
+  {{#inlineStyles}}<style>{{{inlineStyles}}}</style>{{/inlineStyles}}
+  {{^inlineStyles}}<link rel="stylesheet" href="{{urls.stylesheet}}">{{/inlineStyles}}
+</head>
+<body class="page-{{pageType}}" data-currency="{{currency}}" data-language="{{language}}"{{#urls.catalog}} data-catalog="{{urls.catalog}}"{{/urls.catalog}}>
+  {{> header}}
+  <main class="main">
+    {{> page}}
+  </main>
+  {{> footer}}
+  {{#urls.script}}<script src="{{urls.script}}" defer></script>{{/urls.script}}
+</body>
+</html>
+`;
+
+const partials = {
+  header: `{{#announcement}}<div class="announcement-bar">{{announcement}}</div>{{/announcement}}
+<header class="header">
+  <div class="container">
+    <div class="header-content">
+      <a class="logo" href="{{urls.home}}">
+        {{#logo}}<img src="{{logo}}" alt="{{storeName}}">{{/logo}}
+        {{^logo}}<span>{{storeName}}</span>{{/logo}}
+      </a>
+      <nav class="nav">
+        {{#navigation}}
+        <div class="nav-item">
+          {{> menuLink}}
+          {{#children.length}}
+          <div class="nav-dropdown">
+            {{#children}}
+            <div class="nav-dropdown-item">
+              {{> menuLink}}
+              {{#children}}{{> menuLink}}{{/children}}
+            </div>
+            {{/children}}
+          </div>
+          {{/children.length}}
+        </div>
+        {{/navigation}}
+      </nav>
+      <div class="header-actions">
+        <form class="search-form" action="{{urls.search}}" method="get" role="search">
+          <input type="search" name="q" value="{{searchQuery}}" placeholder="Search" aria-label="Search">
+        </form>
+        <a class="cart-link" href="{{urls.cart}}">Cart ({{cart.count}})</a>
+      </div>
+    </div>
+  </div>
+</header>`,
+
+  menuLink: `{{#url}}<a href="{{url}}">{{label}}</a>{{/url}}{{^url}}<span class="nav-group">{{label}}</span>{{/url}}`,
+
+  footer: `<footer class="footer">
+  <div class="container">
+    <div class="footer-content">
+      {{#aboutText}}
+      <div class="footer-section">
+        <h3>About Us</h3>
+        <p>{{aboutText}}</p>
+      </div>
+      {{/aboutText}}
+      {{#footerColumns}}
+      <div class="footer-section">
+        <h3>{{title}}</h3>
+        <ul>
+          {{#links}}<li>{{> menuLink}}</li>{{/links}}
+        </ul>
+      </div>
+      {{/footerColumns}}
+      {{#social.length}}
+      <div class="footer-section">
+        <h3>Follow Us</h3>
+        <ul class="social-links">
+          {{#social}}<li><a href="{{url}}" rel="noopener" target="_blank">{{network}}</a></li>{{/social}}
+        </ul>
+      </div>
+      {{/social.length}}
+    </div>
+    <div class="footer-bottom">
+      <p>&copy; {{year}} {{storeName}}. All rights reserved.</p>
+    </div>
+  </div>
+</footer>`,
+
+  price: `<p class="product-price">
+  {{#compareAt}}<s class="compare-price">{{compareAt}}</s>{{/compareAt}}
+  <span>{{price}}</span>
+  {{#soldOut}}<span class="badge">Sold out</span>{{/soldOut}}
+</p>`,
+
+  productCard: `<a class="product-card" href="{{url}}">
+  {{#image}}<img src="{{image}}" alt="{{imageAlt}}" class="product-image" loading="lazy">{{/image}}
+  <div class="product-info">
+    <h3 class="product-name">{{name}}</h3>
+    {{#showPrice}}{{> price}}{{/showPrice}}
+  </div>
+</a>`,
+
+  productGrid: `<div class="product-grid" style="--columns: {{columns.desktop}}; --columns-tablet: {{columns.tablet}}; --columns-mobile: {{columns.mobile}}">
+  {{#products}}{{> productCard}}{{/products}}
+</div>`,
+
+  pagination: `{{#pagination}}
+<nav class="pagination" aria-label="Pagination">
+  {{#prev}}<a href="{{prev}}" rel="prev">Previous</a>{{/prev}}
+  <span>Page {{current}} of {{pages}}</span>
+  {{#next}}<a href="{{next}}" rel="next">Next</a>{{/next}}
+</nav>
+{{/pagination}}`,
+
+  orderSummary: `<div class="order-summary">
+  <dl>
+    <dt>Subtotal</dt><dd>{{cart.subtotal}}</dd>
+    {{#cart.tax}}<dt>Tax</dt><dd>{{cart.tax}}</dd>{{/cart.tax}}
+    <dt>Total</dt><dd class="order-total">{{cart.total}}</dd>
+  </dl>
+</div>`,
+
+  // Composed page sections, see storefront/sections.js
+  sections: `{{#sections}}
+{{#isHero}}
+<section class="hero" data-section-id="{{id}}"{{#style}} style="{{style}}"{{/style}}>
+  {{#image}}<img class="hero-image" src="{{image}}" alt="">{{/image}}
+  <div class="container">
+    <h1>{{heading}}</h1>
+    {{#text}}<p>{{text}}</p>{{/text}}
+    <a class="btn" href="{{ctaUrl}}">{{cta}}</a>
+  </div>
+</section>
+{{/isHero}}
+{{#isProducts}}
+<section class="products{{#carousel}} products-carousel{{/carousel}}{{#related}} related-products{{/related}}" data-section-id="{{id}}">
+  <div class="container">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    {{> productGrid}}
+  </div>
+</section>
+{{/isProducts}}
+{{#isCategories}}
+<section class="category-tiles" data-section-id="{{id}}">
+  <div class="container">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    <div class="tile-grid"{{#columns}} style="--columns: {{columns}}"{{/columns}}>
+      {{#categories}}<a class="tile" href="{{url}}">{{name}}</a>{{/categories}}
+    </div>
+  </div>
+</section>
+{{/isCategories}}
+{{#isImageWithText}}
+<section class="image-with-text" data-section-id="{{id}}"{{#style}} style="{{style}}"{{/style}}>
+  <div class="container image-text{{#imageRight}} image-right{{/imageRight}}">
+    {{#image}}<div class="image-text-media"><img src="{{image}}" alt="{{heading}}" loading="lazy"></div>{{/image}}
+    <div class="image-text-content">
+      {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+      {{#paragraphs}}<p>{{.}}</p>{{/paragraphs}}
+      {{#button}}<a class="btn" href="{{url}}">{{label}}</a>{{/button}}
+    </div>
+  </div>
+</section>
+{{/isImageWithText}}
+{{#isText}}
+<section class="rich-text" data-section-id="{{id}}"{{#style}} style="{{style}}"{{/style}}>
+  <div class="container narrow">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    {{#paragraphs}}<p>{{.}}</p>{{/paragraphs}}
+  </div>
+</section>
+{{/isText}}
+{{#isTestimonials}}
+<section class="testimonials" data-section-id="{{id}}"{{#style}} style="{{style}}"{{/style}}>
+  <div class="container">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    <ul class="testimonial-list">
+      {{#items}}<li class="testimonial"><blockquote>{{quote}}</blockquote>{{#author}}<cite>{{author}}</cite>{{/author}}</li>{{/items}}
+    </ul>
+  </div>
+</section>
+{{/isTestimonials}}
+{{#isCarousel}}
+<section class="carousel" data-section-id="{{id}}">
+  <div class="container">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    <ul class="slides">
+      {{#slides}}
+      <li class="slide">
+        {{#url}}<a href="{{url}}">{{/url}}
+        <img src="{{image}}" alt="{{heading}}" loading="lazy">
+        {{#heading}}<p>{{heading}}</p>{{/heading}}
+        {{#url}}</a>{{/url}}
+      </li>
+      {{/slides}}
+    </ul>
+  </div>
+</section>
+{{/isCarousel}}
+{{#isNewsletter}}
+<section class="newsletter" data-section-id="{{id}}"{{#style}} style="{{style}}"{{/style}}>
+  <div class="container narrow">
+    {{#heading}}<h2>{{heading}}</h2>{{/heading}}
+    {{#text}}<p>{{text}}</p>{{/text}}
+    <form class="newsletter-form">
+      <input type="email" name="email" placeholder="Email address" aria-label="Email address" required>
+      <button class="btn" type="submit">Subscribe</button>
+    </form>
+  </div>
+</section>
+{{/isNewsletter}}
+{{/sections}}`,
+};
+
+const pages = {
+  home: `{{> sections}}`,
+
+  collection: `<section class="collection">
+  <div class="container">
+    <div class="collection-header">
+      <h1>{{collection.name}}</h1>
+      {{#collection.description}}<p>{{collection.description}}</p>{{/collection.description}}
+      {{#sorts.length}}
+      <form class="sort-form" method="get">
+        <label>Sort by
+          <select name="sort">
+            {{#sorts}}<option value="{{value}}"{{#selected}} selected{{/selected}}>{{label}}</option>{{/sorts}}
+          </select>
+        </label>
+        <button type="submit">Apply</button>
+      </form>
+      {{/sorts.length}}
+    </div>
+    {{#products.length}}{{> productGrid}}{{/products.length}}
+    {{^products.length}}<p class="empty">No products here yet.</p>{{/products.length}}
+    {{> pagination}}
+  </div>
+</section>
+{{> sections}}`,
+
+  product: `{{#product}}
+<section class="product-detail">
+  <div class="container product-layout">
+    <div class="product-gallery">
+      {{#images}}<img src="{{url}}" alt="{{alt}}">{{/images}}
+    </div>
+    <div class="product-summary">
+      {{#brand}}<p class="product-brand">{{brand}}</p>{{/brand}}
+      <h1>{{name}}</h1>
+      {{> price}}
+      {{#shortDescription}}<p class="product-short">{{shortDescription}}</p>{{/shortDescription}}
+      <form class="add-to-cart" method="post" action="{{urls.cartAdd}}">
+        <input type="hidden" name="productId" value="{{id}}">
+        {{#variants}}
+        <label class="variant-option">{{name}}
+          <select name="options[{{name}}]">
+            {{#options}}<option value="{{value}}"{{^available}} disabled{{/available}}>{{value}}{{#price}} – {{price}}{{/price}}{{^available}} (sold out){{/available}}</option>{{/options}}
+          </select>
+        </label>
+        {{/variants}}
+        <label class="quantity">Quantity <input type="number" name="quantity" value="1" min="1" max="99"></label>
+        <button class="btn" type="submit"{{#soldOut}} disabled{{/soldOut}}>Add to cart</button>
+      </form>
+      <div class="product-description">{{{descriptionHtml}}}</div>
+    </div>
+  </div>
+</section>
+{{/product}}
+{{> sections}}`,
+
+  search: `<section class="search-results">
+  <div class="container">
+    <h1>Search</h1>
+    <form class="search-form search-form-large" action="{{urls.search}}" method="get" role="search">
+      <input type="search" name="q" value="{{searchQuery}}" placeholder="Search products" aria-label="Search products">
+      <button class="btn" type="submit">Search</button>
+    </form>
+    {{#searchQuery}}<p class="result-count">{{total}} results for “{{searchQuery}}”</p>{{/searchQuery}}
+    {{#products.length}}{{> productGrid}}{{/products.length}}
+    {{#noResults}}<p class="empty">No products match your search.</p>{{/noResults}}
+  </div>
+</section>`,
+
+  cart: `<section class="cart">
+  <div class="container">
+    <h1>Your Cart</h1>
+    {{#cart.hasItems}}
+    <table class="cart-table">
+      <thead>
+        <tr><th>Product</th><th>Price</th><th>Quantity</th><th>Total</th></tr>
+      </thead>
+      <tbody>
+        {{#cart.items}}
+        <tr>
+          <td class="cart-product">
+            {{#image}}<img src="{{image}}" alt="{{name}}">{{/image}}
+            <div>
+              <a href="{{url}}">{{name}}</a>
+              {{#optionsLabel}}<p class="cart-options">{{optionsLabel}}</p>{{/optionsLabel}}
+            </div>
+          </td>
+          <td>{{price}}</td>
+          <td>
+            <form class="cart-quantity" method="post" action="{{urls.cartUpdate}}">
+              <input type="hidden" name="line" value="{{line}}">
+              <input type="number" name="quantity" value="{{quantity}}" min="0" max="99" aria-label="Quantity">
+              <button type="submit">Update</button>
+            </form>
+          </td>
+          <td>{{total}}</td>
+        </tr>
+        {{/cart.items}}
+      </tbody>
+    </table>
+    {{> orderSummary}}
+    <p class="cart-note">Shipping is calculated at checkout.</p>
+    <a class="btn" href="{{urls.checkout}}">Checkout</a>
+    {{/cart.hasItems}}
+    {{^cart.hasItems}}
+    <p class="empty">Your cart is empty.</p>
+    <a class="btn" href="{{urls.all}}">Continue shopping</a>
+    {{/cart.hasItems}}
+  </div>
+</section>`,
+
+  checkout: `<section class="checkout">
+  <div class="container">
+    <h1>Checkout</h1>
+    {{#cart.hasItems}}
+    <div class="checkout-layout">
+      {{#checkout.action}}
+      <form class="checkout-form" method="post" action="{{checkout.action}}">
+        <input type="hidden" name="storeId" value="{{checkout.storeId}}">
+        <input type="hidden" name="cart" value="{{checkout.cart}}">
+        <fieldset>
+          <legend>Contact</legend>
+          <label>Email <input type="email" name="email" autocomplete="email" required></label>
+        </fieldset>
+        <fieldset>
+          <legend>Shipping address</legend>
+          <label>Full name <input type="text" name="name" autocomplete="name" required></label>
+          <label>Address <input type="text" name="address" autocomplete="street-address" required></label>
+          <label>City <input type="text" name="city" autocomplete="address-level2" required></label>
+          <label>Postal code <input type="text" name="postalCode" autocomplete="postal-code" required></label>
+          <label>Country <input type="text" name="country" autocomplete="country-name" required></label>
+        </fieldset>
+        {{#checkout.shipping.length}}
+        <fieldset>
+          <legend>Shipping method</legend>
+          {{#checkout.shipping}}
+          <label class="choice"><input type="radio" name="shippingMethod" value="{{name}}"{{#first}} checked{{/first}} required> {{name}} – {{price}}{{#estimatedDays}} ({{estimatedDays}} days){{/estimatedDays}}</label>
+          {{/checkout.shipping}}
+        </fieldset>
+        {{/checkout.shipping.length}}
+        {{#checkout.payment.length}}
+        <fieldset>
+          <legend>Payment</legend>
+          {{#checkout.payment}}
+          <label class="choice"><input type="radio" name="paymentMethod" value="{{value}}"{{#first}} checked{{/first}} required> {{label}}</label>
+          {{/checkout.payment}}
+        </fieldset>
+        {{/checkout.payment.length}}
+        <button class="btn" type="submit">Place order</button>
+      </form>
+      {{/checkout.action}}
+      {{^checkout.action}}
+      <p class="cart-note">This store is not taking orders online yet.</p>
+      {{/checkout.action}}
+      <aside class="checkout-summary">
+        <h2>Order summary</h2>
+        <ul class="checkout-items">
+          {{#cart.items}}<li>{{quantity}} × {{name}}{{#optionsLabel}} ({{optionsLabel}}){{/optionsLabel}} <span>{{total}}</span></li>{{/cart.items}}
+        </ul>
+        {{> orderSummary}}
+      </aside>
+    </div>
+    {{/cart.hasItems}}
+    {{^cart.hasItems}}
+    <p class="empty">Your cart is empty.</p>
+    <a class="btn" href="{{urls.all}}">Continue shopping</a>
+    {{/cart.hasItems}}
+  </div>
+</section>`,
+
+  page: `{{#page}}
+<section class="page-content">
+  <div class="container narrow">
+    <h1>{{title}}</h1>
+    {{#paragraphs}}<p>{{.}}</p>{{/paragraphs}}
+  </div>
+</section>
+{{/page}}
+{{> sections}}`,
+
+  'not-found': `<section class="not-found">
+  <div class="container narrow">
+    <h1>Page not found</h1>
+    <p>The page you were looking for doesn't exist or has moved.</p>
+    <a class="btn" href="{{urls.home}}">Back to the homepage</a>
+    <a href="{{urls.all}}">Browse all products</a>
+  </div>
+</section>`
+};
+
+module.exports = { layout, partials, pages };
+
+// ========================================
+// backend/src/storefront/sections.js
+// ========================================
+
+// Section library. Each type lists the pages it may be placed on and the settings it
+// takes; sectionService validates compositions against it and storefrontService
+// renders them. Layout sections are drawn by the layout rather than in the page body.
+//
+// Setting types: text, textarea, url, image, color, range, select, checkbox,
+// product, products, collection, collections and list (rows of the other types).
+
+const heading = (fallback = null) => ({ id: 'heading', type: 'text', label: 'Heading', max: 120, default: fallback });
+const background = { id: 'background', type: 'color', label: 'Background color', default: null };
+
+const productSettings = [
+  heading(),
+  { id: 'source', type: 'select', label: 'Products', options: ['featured', 'collection', 'products'], default: 'featured' },
+  { id: 'collection', type: 'collection', label: 'Collection', default: null },
+  { id: 'products', type: 'products', label: 'Products', max: 24, default: [] },
+  { id: 'limit', type: 'range', label: 'Number of products', min: 1, max: 24, default: 8 },
+  { id: 'columns', type: 'range', label: 'Columns on desktop', min: 1, max: 6, default: null },
+  { id: 'columnsTablet', type: 'range', label: 'Columns on tablet', min: 1, max: 4, default: null },
+  { id: 'columnsMobile', type: 'range', label: 'Columns on mobile', min: 1, max: 2, default: null },
+  { id: 'showPrice', type: 'checkbox', label: 'Show prices', default: true },
+  { id: 'showImage', type: 'checkbox', label: 'Show images', default: true }
+];
+
+const content = ['home', 'product', 'collection', 'page'];
+
+module.exports = {
+  'announcement-bar': {
+    name: 'Announcement bar',
+    layout: true,
+    pages: ['home'],
+    limit: 1,
+    settings: [
+      { id: 'text', type: 'text', label: 'Text', max: 200, required: true }
+    ]
+  },
+  navigation: {
+    name: 'Navigation',
+    layout: true,
+    pages: ['home'],
+    limit: 1,
+    settings: [
+      { id: 'style', type: 'select', label: 'Style', options: ['horizontal', 'vertical'], default: 'horizontal' }
+    ]
+  },
+  search: {
+    name: 'Search',
+    layout: true,
+    pages: ['home'],
+    limit: 1,
+    settings: [
+      { id: 'style', type: 'select', label: 'Style', options: ['inline', 'icon'], default: 'inline' }
+    ]
+  },
+  cart: {
+    name: 'Cart',
+    layout: true,
+    pages: ['home'],
+    limit: 1,
+    settings: [
+      { id: 'style', type: 'select', label: 'Style', options: ['icon', 'text'], default: 'icon' }
+    ]
+  },
+  footer: {
+    name: 'Footer',
+    layout: true,
+    pages: ['home'],
+    limit: 1,
+    settings: []
+  },
+  hero: {
+    name: 'Hero banner',
+    pages: ['home', 'collection', 'page'],
+    settings: [
+      // Generated hero copy (store.copy) takes precedence on the home page
+      heading(),
+      { id: 'text', type: 'textarea', label: 'Text', max: 500, default: null },
+      { id: 'image', type: 'image', label: 'Background image', default: null },
+      { id: 'cta', type: 'text', label: 'Button label', max: 40, default: 'Shop now' },
+      { id: 'ctaUrl', type: 'url', label: 'Button link', default: '/collections/all' },
+      { id: 'style', type: 'select', label: 'Style', options: ['banner', 'slider'], default: 'banner' },
+      { id: 'height', type: 'range', label: 'Height', min: 200, max: 1000, unit: 'px', default: null },
+      background
+    ]
+  },
+  carousel: {
+    name: 'Image carousel',
+    pages: content,
+    settings: [
+      heading(),
+      {
+        id: 'slides',
+        type: 'list',
+        label: 'Slides',
+        max: 8,
+        default: [],
+        fields: [
+          { id: 'image', type: 'image', label: 'Image', required: true },
+          { id: 'heading', type: 'text', label: 'Heading', max: 120 },
+          { id: 'url', type: 'url', label: 'Link' }
+        ]
+      }
+    ]
+  },
+  'product-grid': {
+    name: 'Product grid',
+    pages: content,
+    settings: productSettings
+  },
+  'product-carousel': {
+    name: 'Product carousel',
+    pages: content,
+    settings: productSettings
+  },
+  'related-products': {
+    name: 'Related products',
+    pages: ['product'],
+    limit: 1,
+    settings: [
+      heading('You may also like'),
+      { id: 'limit', type: 'range', label: 'Number of products', min: 1, max: 8, default: 4 }
+    ]
+  },
+  'category-tiles': {
+    name: 'Collection tiles',
+    pages: content,
+    settings: [
+      heading(),
+      // Top-level collections when none are picked
+      { id: 'collections', type: 'collections', label: 'Collections', max: 12, default: [] },
+      { id: 'columns', type: 'range', label: 'Columns', min: 1, max: 6, default: 3 },
+      { id: 'limit', type: 'range', label: 'Number of collections', min: 1, max: 12, default: 6 }
+    ]
+  },
+  testimonials: {
+    name: 'Testimonials',
+    pages: content,
+    settings: [
+      heading(),
+      {
+        id: 'items',
+        type: 'list',
+        label: 'Testimonials',
+        max: 6,
+        default: [],
+        fields: [
+          { id: 'quote', type: 'textarea', label: 'Quote', max: 500, required: true },
+          { id: 'author', type: 'text', label: 'Author', max: 80 }
+        ]
+      },
+      background
+    ]
+  },
+  'image-with-text': {
+    name: 'Image with text',
+    pages: content,
+    settings: [
+      heading(),
+      // The store's about copy when empty
+      { id: 'text', type: 'textarea', label: 'Text', max: 2000, default: null },
+      { id: 'image', type: 'image', label: 'Image', default: null },
+      { id: 'imagePosition', type: 'select', label: 'Image position', options: ['left', 'right'], default: 'left' },
+      { id: 'buttonLabel', type: 'text', label: 'Button label', max: 40, default: null },
+      { id: 'buttonUrl', type: 'url', label: 'Button link', default: null },
+      background
+    ]
+  },
+  'rich-text': {
+    name: 'Text',
+    pages: content,
+    settings: [
+      heading(),
+      // The store's about copy when empty
+      { id: 'text', type: 'textarea', label: 'Text', max: 5000, default: null },
+      background
+    ]
+  },
+  newsletter: {
+    name: 'Newsletter signup',
+    pages: content,
+    settings: [
+      heading('Join our newsletter'),
+      { id: 'text', type: 'textarea', label: 'Text', max: 300, default: null },
+      background
+    ]
+  }
+};
+
+// ========================================
+// backend/src/storefront/store.client.js
+// ========================================
+
+// Browser script of static store builds, served as /store.js. There is no server
+// behind a static build, so the cart lives in localStorage and search runs against
+// catalog.json. Pricing follows storefrontService.priceCart.
+(() => {
+  const CART_KEY = 'snapshelf-cart';
+  const MAX_LINES = 20;
+  const body = document.body;
+
+  let formatter;
+  try {
+    formatter = new Intl.NumberFormat(body.dataset.language || 'en', { style: 'currency', currency: body.dataset.currency || 'USD' });
+  } catch (error) {
+    formatter = { format: value => `${value.toFixed(2)} ${body.dataset.currency}` };
+  }
+  const format = value => formatter.format(value);
+
+  const readCart = () => {
+    try {
+      const lines = JSON.parse(localStorage.getItem(CART_KEY));
+      return Array.isArray(lines) ? lines : [];
+    } catch (error) {
+      return [];
+    }
+  };
+  const writeCart = lines => localStorage.setItem(CART_KEY, JSON.stringify(lines.slice(0, MAX_LINES)));
+  const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+  // Children are appended as text nodes, so catalog data is never parsed as HTML
+  const el = (tag, attributes = {}, children = []) => {
+    const node = document.createElement(tag);
+    Object.entries(attributes).forEach(([name, value]) => {
+      if (value !== null && value !== undefined && value !== false) node.setAttribute(name, value);
+    });
+    children.filter(child => child !== null && child !== undefined).forEach(child => node.append(child));
+    return node;
+  };
+
+  let catalogRequest = null;
+  const catalog = () => {
+    catalogRequest = catalogRequest || fetch(body.dataset.catalog).then(response => response.json());
+    return catalogRequest;
+  };
+
+  const updateCount = () => {
+    const count = readCart().reduce((sum, line) => sum + line.quantity, 0);
+    document.querySelectorAll('.cart-link').forEach(link => {
+      link.textContent = `Cart (${count})`;
+    });
+  };
+
+  const priceCart = (data, lines) => {
+    const products = new Map(data.products.map(product => [product.id, product]));
+
+    const items = lines.flatMap((line, index) => {
+      const product = products.get(line.productId);
+      if (!product) return [];
+
+      const options = [];
+      let price = product.price;
+      product.variants.forEach(variant => {
+        const option = variant.options.find(candidate => candidate.value === (line.options || {})[variant.name]);
+        if (!option) return;
+        options.push(`${variant.name}: ${option.value}`);
+        if (typeof option.price === 'number') price = option.price;
+      });
+
+      const quantity = clamp(parseInt(line.quantity, 10) || 1, 1, 99);
+      return [{ line: index, product, options, price, quantity, total: price * quantity }];
+    });
+
+    const subtotal = items.reduce((sum, item) => sum + item.total, 0);
+    const tax = data.taxRate ? Math.round(subtotal * data.taxRate) / 100 : 0;
+    return { items, subtotal, tax, total: subtotal + tax };
+  };
+
+  const summary = cart => el('dl', {}, [
+    el('dt', {}, ['Subtotal']), el('dd', {}, [format(cart.subtotal)]),
+    ...(cart.tax ? [el('dt', {}, ['Tax']), el('dd', {}, [format(cart.tax)])] : []),
+    el('dt', {}, ['Total']), el('dd', { class: 'order-total' }, [format(cart.total)])
+  ]);
+
+  const showEmpty = (section, data) => {
+    const container = section.querySelector('.container');
+    container.replaceChildren(
+      container.querySelector('h1'),
+      el('p', { class: 'empty' }, ['Your cart is empty.']),
+      el('a', { class: 'btn', href: data.urls.all }, ['Continue shopping'])
+    );
+  };
+
+  const card = product => el('a', { class: 'product-card', href: product.url }, [
+    product.image ? el('img', { src: product.image, alt: product.name, class: 'product-image', loading: 'lazy' }) : null,
+    el('div', { class: 'product-info' }, [
+      el('h3', { class: 'product-name' }, [product.name]),
+      el('p', { class: 'product-price' }, [
+        product.compareAt ? el('s', { class: 'compare-price' }, [format(product.compareAt)]) : null,
+        el('span', {}, [format(product.price)]),
+        product.soldOut ? el('span', { class: 'badge' }, ['Sold out']) : null
+      ])
+    ])
+  ]);
+
+  const renderCart = async () => {
+    const section = document.querySelector('section.cart');
+    const data = await catalog();
+    const lines = readCart();
+    const cart = priceCart(data, lines);
+    if (cart.items.length === 0) return showEmpty(section, data);
+
+    section.querySelector('.cart-table tbody').replaceChildren(...cart.items.map(item => el('tr', {}, [
+      el('td', { class: 'cart-product' }, [
+        item.product.image ? el('img', { src: item.product.image, alt: item.product.name }) : null,
+        el('div', {}, [
+          el('a', { href: item.product.url }, [item.product.name]),
+          item.options.length ? el('p', { class: 'cart-options' }, [item.options.join(' / ')]) : null
+        ])
+      ]),
+      el('td', {}, [format(item.price)]),
+      el('td', {}, [el('form', { class: 'cart-quantity', 'data-line': item.line }, [
+        el('input', { type: 'number', name: 'quantity', value: item.quantity, min: 0, max: 99, 'aria-label': 'Quantity' }),
+        el('button', { type: 'submit' }, ['Update'])
+      ])]),
+      el('td', {}, [format(item.total)])
+    ])));
+    section.querySelector('.order-summary').replaceChildren(summary(cart));
+
+    section.querySelectorAll('form.cart-quantity').forEach(form => form.addEventListener('submit', event => {
+      event.preventDefault();
+      const quantity = clamp(parseInt(form.elements.quantity.value, 10) || 0, 0, 99);
+      const next = readCart();
+      const index = parseInt(form.dataset.line, 10);
+      if (quantity === 0) {
+        next.splice(index, 1);
+      } else if (next[index]) {
+        next[index].quantity = quantity;
+      }
+      writeCart(next);
+      updateCount();
+      renderCart();
+    }));
+  };
+
+  const renderCheckout = async () => {
+    const section = document.querySelector('section.checkout');
+    const data = await catalog();
+    const lines = readCart();
+    const cart = priceCart(data, lines);
+    if (cart.items.length === 0) return showEmpty(section, data);
+
+    section.querySelector('.checkout-items').replaceChildren(...cart.items.map(item => el('li', {}, [
+      `${item.quantity} × ${item.product.name}${item.options.length ? ` (${item.options.join(' / ')})` : ''} `,
+      el('span', {}, [format(item.total)])
+    ])));
+    section.querySelector('.order-summary').replaceChildren(summary(cart));
+    const input = section.querySelector('input[name="cart"]');
+    if (input) input.value = JSON.stringify(lines);
+  };
+
+  const renderSearch = async () => {
+    const query = (new URLSearchParams(window.location.search).get('q') || '').trim();
+    const form = document.querySelector('.search-form-large');
+    form.querySelector('input[name="q"]').value = query;
+    if (!query) return;
+
+    const data = await catalog();
+    const terms = query.toLowerCase().split(/\s+/);
+    const results = data.products.filter(product => {
+      const text = [product.name, product.brand, ...product.tags].join(' ').toLowerCase();
+      return terms.every(term => text.includes(term));
+    });
+
+    const nodes = [el('p', { class: 'result-count' }, [`${results.length} results for “${query}”`])];
+    if (results.length > 0) {
+      const grid = el('div', { class: 'product-grid' }, results.map(card));
+      grid.style.setProperty('--columns', data.columns.desktop);
+      grid.style.setProperty('--columns-tablet', data.columns.tablet);
+      grid.style.setProperty('--columns-mobile', data.columns.mobile);
+      nodes.push(grid);
+    } else {
+      nodes.push(el('p', { class: 'empty' }, ['No products match your search.']));
+    }
+    form.after(...nodes);
+  };
+
+  document.querySelectorAll('form.add-to-cart').forEach(form => form.addEventListener('submit', event => {
+    event.preventDefault();
+    const fields = new FormData(form);
+    const options = {};
+    for (const [name, value] of fields) {
+      const match = name.match(/^options\[(.+)\]$/);
+      if (match) options[match[1]] = value;
+    }
+
+    const productId = fields.get('productId');
+    const quantity = clamp(parseInt(fields.get('quantity'), 10) || 1, 1, 99);
+    const lines = readCart();
+    // The same product with the same options is one line
+    const line = lines.find(candidate => candidate.productId === productId
+      && JSON.stringify(candidate.options) === JSON.stringify(options));
+
+    if (line) {
+      line.quantity = Math.min(line.quantity + quantity, 99);
+    } else {
+      lines.push({ productId, options, quantity });
+    }
+    writeCart(lines);
+    window.location.href = document.querySelector('.cart-link').getAttribute('href');
+  }));
+
+  updateCount();
+  if (body.classList.contains('page-cart')) renderCart();
+  if (body.classList.contains('page-checkout')) renderCheckout();
+  if (body.classList.contains('page-search')) renderSearch();
+})();
+
+// ========================================
+// backend/templates/modern/1.0.0/template.json
+// ========================================
+
+{
+  "id": "modern",
+  "version": "1.0.0",
+  "name": "Modern Store",
+  "description": "Clean and modern e-commerce template",
+  "features": ["Responsive", "SEO Optimized", "Fast Loading"],
+  "structure": {
+    "header": {
+      "type": "sticky",
+      "components": ["logo", "navigation", "search", "cart"]
+    },
+    "hero": {
+      "type": "slider",
+      "height": "600px"
+    },
+    "sections": ["featured-products", "categories", "testimonials", "newsletter"],
+    "footer": {
+      "columns": 4,
+      "components": ["about", "links", "contact", "social"]
+    }
+  },
+  "sections": {
+    "supported": [
+      "announcement-bar", "navigation", "search", "cart", "hero", "carousel",
+      "product-grid", "product-carousel", "category-tiles", "testimonials",
+      "newsletter", "image-with-text", "rich-text", "footer", "related-products"
+    ],
+    "defaults": [
+      { "type": "navigation", "settings": { "style": "horizontal", "position": "header" } },
+      { "type": "search", "settings": { "position": "header", "style": "inline" } },
+      { "type": "cart", "settings": { "position": "header", "style": "icon" } },
+      { "type": "hero", "settings": { "style": "slider", "height": 600 } },
+      { "type": "product-grid", "settings": { "heading": "Featured products", "columns": 4, "columnsTablet": 3, "columnsMobile": 2, "limit": 8 } },
+      { "type": "category-tiles", "settings": { "heading": "Shop by category", "columns": 3, "limit": 6 } },
+      { "type": "testimonials", "settings": { "heading": "What our customers say" } },
+      { "type": "newsletter", "settings": { "heading": "Join our newsletter" } }
+    ]
+  },
+  "settings": [
+    { "id": "colors.primary", "label": "Primary color", "type": "color", "default": "#2563eb" },
+    { "id": "colors.secondary", "label": "Secondary color", "type": "color", "default": "#0f172a" },
+    { "id": "colors.accent", "label": "Accent color", "type": "color", "default": "#f59e0b" },
+    { "id": "colors.background", "label": "Background color", "type": "color", "default": "#ffffff" },
+    { "id": "colors.text", "label": "Text color", "type": "color", "default": "#1f2937" },
+    { "id": "typography.heading", "label": "Heading font", "type": "font", "default": "Poppins" },
+    { "id": "typography.body", "label": "Body font", "type": "font", "default": "Inter" },
+    { "id": "header.sticky", "label": "Sticky header", "type": "select", "options": ["sticky", "static"], "default": "sticky", "cssVar": "--header-position" },
+    { "id": "hero.height", "label": "Hero height", "type": "range", "min": 320, "max": 800, "unit": "px", "default": 600, "cssVar": "--hero-height" }
+  ],
+  "files": {
+    "styles": "styles.css",
+    "preview": "preview.svg"
+  }
+}
+
+// ========================================
+// backend/templates/modern/1.0.0/styles.css
+// ========================================
+
+/* Modern Store */
+
+.header {
+  position: var(--header-position, sticky);
+  top: 0;
+  z-index: 100;
+  box-shadow: 0 1px 0 rgba(15, 23, 42, 0.08);
+}
+
+.hero {
+  min-height: var(--hero-height, 600px);
+  display: flex;
+  align-items: center;
+  background: linear-gradient(135deg, var(--color-primary), var(--color-secondary));
+  color: var(--color-on-primary);
+}
+
+.product-card {
+  transition: transform 0.2s ease, box-shadow 0.2s ease;
+}
+
+.product-card:hover {
+  transform: translateY(-4px);
+  box-shadow: var(--shadow-card-hover);
+}
+
+.newsletter {
+  background: var(--color-secondary);
+  color: var(--color-on-secondary);
+}
+
+// ========================================
+// backend/templates/modern/1.0.0/preview.svg
+// ========================================
+
+<svg xmlns="http://www.w3.org/2000/svg" width="640" height="400" viewBox="0 0 640 400">
+  <rect width="640" height="400" fill="#ffffff"/>
+  <rect width="640" height="48" fill="#ffffff"/>
+  <rect x="24" y="16" width="96" height="16" rx="4" fill="#0f172a"/>
+  <rect x="392" y="18" width="48" height="12" rx="3" fill="#94a3b8"/>
+  <rect x="456" y="18" width="48" height="12" rx="3" fill="#94a3b8"/>
+  <rect x="520" y="18" width="48" height="12" rx="3" fill="#94a3b8"/>
+  <rect x="592" y="14" width="24" height="20" rx="4" fill="#2563eb"/>
+  <rect y="48" width="640" height="168" fill="#2563eb"/>
+  <rect x="40" y="96" width="240" height="24" rx="4" fill="#ffffff"/>
+  <rect x="40" y="132" width="180" height="12" rx="3" fill="#bfdbfe"/>
+  <rect x="40" y="164" width="96" height="28" rx="6" fill="#f59e0b"/>
+  <g fill="#e2e8f0">
+    <rect x="24" y="240" width="136" height="112" rx="8"/>
+    <rect x="176" y="240" width="136" height="112" rx="8"/>
+    <rect x="328" y="240" width="136" height="112" rx="8"/>
+    <rect x="480" y="240" width="136" height="112" rx="8"/>
+  </g>
+  <g fill="#1f2937">
+    <rect x="24" y="362" width="88" height="10" rx="3"/>
+    <rect x="176" y="362" width="88" height="10" rx="3"/>
+    <rect x="328" y="362" width="88" height="10" rx="3"/>
+    <rect x="480" y="362" width="88" height="10" rx="3"/>
+  </g>
+</svg>
+
+// ========================================
+// backend/templates/minimal/1.0.0/template.json
+// ========================================
+
+{
+  "id": "minimal",
+  "version": "1.0.0",
+  "name": "Minimal Store",
+  "description": "Simple and elegant design",
+  "features": ["Minimalist", "Typography Focus", "White Space"],
+  "structure": {
+    "header": {
+      "type": "simple",
+      "components": ["logo", "navigation", "cart"]
+    },
+    "sections": ["products-grid", "about", "contact"],
+    "footer": {
+      "columns": 2,
+      "components": ["copyright", "social"]
+    }
+  },
+  "sections": {
+    "supported": ["navigation", "cart", "product-grid", "related-products", "rich-text", "image-with-text", "newsletter", "footer"],
+    "defaults": [
+      { "type": "navigation", "settings": { "style": "horizontal", "position": "header" } },
+      { "type": "cart", "settings": { "position": "header", "style": "icon" } },
+      { "type": "product-grid", "settings": { "heading": null, "columns": 3, "columnsTablet": 2, "columnsMobile": 1, "limit": 9 } },
+      { "type": "rich-text", "settings": { "heading": "About" } }
+    ]
+  },
+  "settings": [
+    { "id": "colors.primary", "label": "Primary color", "type": "color", "default": "#111111" },
+    { "id": "colors.secondary", "label": "Secondary color", "type": "color", "default": "#555555" },
+    { "id": "colors.accent", "label": "Accent color", "type": "color", "default": "#b08d57" },
+    { "id": "colors.background", "label": "Background color", "type": "color", "default": "#fafaf7" },
+    { "id": "colors.text", "label": "Text color", "type": "color", "default": "#222222" },
+    { "id": "typography.heading", "label": "Heading font", "type": "font", "default": "Cormorant Garamond" },
+    { "id": "typography.body", "label": "Body font", "type": "font", "default": "Jost" },
+    { "id": "layout.spacing", "label": "Section spacing", "type": "range", "min": 32, "max": 160, "unit": "px", "default": 96, "cssVar": "--section-spacing" }
+  ],
+  "files": {
+    "styles": "styles.css",
+    "preview": "preview.svg",
+    "partials": {
+      "footer": "partials/footer.mustache"
+    }
+  }
+}
+
+// ========================================
+// backend/templates/minimal/1.0.0/styles.css
+// ========================================
+
+/* Minimal Store */
+
+.header {
+  border-bottom: 1px solid rgba(0, 0, 0, 0.08);
+}
+
+.main > section,
+.main > div {
+  margin-block: var(--section-spacing, 96px);
+}
+
+.hero {
+  text-align: center;
+  background: none;
+}
+
+.product-card {
+  box-shadow: none;
+  border-radius: 0;
+}
+
+.product-name {
+  font-family: var(--font-heading);
+  font-weight: 400;
+  letter-spacing: 0.02em;
+}
+
+.footer-minimal {
+  display: flex;
+  justify-content: space-between;
+  align-items: center;
+  gap: calc(var(--space-unit) * 2);
+}
+
+.footer-minimal .social-links {
+  display: flex;
+  gap: calc(var(--space-unit) * 2);
+  list-style: none;
+}
+
+// ========================================
+// backend/templates/minimal/1.0.0/partials/footer.mustache
+// ========================================
+
+<footer class="footer">
+  <div class="container footer-minimal">
+    <p>&copy; {{year}} {{storeName}}</p>
+    {{#social.length}}
+    <ul class="social-links">
+      {{#social}}<li><a href="{{url}}" rel="noopener" target="_blank">{{network}}</a></li>{{/social}}
+    </ul>
+    {{/social.length}}
+  </div>
+</footer>
+
+// ========================================
+// backend/templates/minimal/1.0.0/preview.svg
+// ========================================
+
+<svg xmlns="http://www.w3.org/2000/svg" width="640" height="400" viewBox="0 0 640 400">
+  <rect width="640" height="400" fill="#fafaf7"/>
+  <rect x="272" y="20" width="96" height="14" rx="2" fill="#111111"/>
+  <rect x="24" y="52" width="592" height="1" fill="#e5e5e0"/>
+  <g fill="#e8e6df">
+    <rect x="56" y="96" width="160" height="180"/>
+    <rect x="240" y="96" width="160" height="180"/>
+    <rect x="424" y="96" width="160" height="180"/>
+  </g>
+  <g fill="#222222">
+    <rect x="56" y="290" width="96" height="8" rx="2"/>
+    <rect x="240" y="290" width="96" height="8" rx="2"/>
+    <rect x="424" y="290" width="96" height="8" rx="2"/>
+  </g>
+  <g fill="#b08d57">
+    <rect x="56" y="306" width="40" height="8" rx="2"/>
+    <rect x="240" y="306" width="40" height="8" rx="2"/>
+    <rect x="424" y="306" width="40" height="8" rx="2"/>
+  </g>
+  <rect x="24" y="356" width="592" height="1" fill="#e5e5e0"/>
+  <rect x="24" y="372" width="120" height="8" rx="2" fill="#555555"/>
+  <rect x="556" y="372" width="60" height="8" rx="2" fill="#555555"/>
+</svg>
+
 // ========================================
 // README.md
 // ========================================
@@ -472,7 +2143,18 @@ SnapShelf is an innovative platform that uses AI technology to analyze and recre
 
 - **AI Store Analysis**: Scrape and analyze any e-commerce website
 - **Automatic Design Recreation**: Generate optimized versions of existing stores
-- **Multi-Platform Support**: Works with Shopify, WooCommerce, and custom sites
+- **Multi-Platform Support**: Detects Shopify, WooCommerce, Magento, BigCommerce and Wix stores and imports their full catalog, with a generic fallback for custom sites
+- **Brand Palette Detection**: Colors are weighted by rendered area, clustered perceptually and assigned roles (primary, secondary, accent, background, text) with a confidence score each, cross-checked against palettes from the screenshots and logo
+- **Accessible Contrast**: Every text/background pair in the generated theme is checked against WCAG AA (or AAA via `CONTRAST_LEVEL`); failing colors are darkened or lightened, keeping their hue, and the analysis reports what changed and why
+- **Web Fonts**: Captures `@font-face` rules and Google/Adobe Fonts links, maps every family to a licensable open font from a bundled catalogue, loads it with `font-display: swap` and suggests a heading/body pairing for single-family sites
+- **Page Composition**: Detects hero banners, carousels, product grids (with columns per breakpoint), category tiles, testimonials, newsletter forms and announcement bars from the rendered page and rebuilds the same section order
+- **Navigation Rebuild**: Extracts the source menus (mega-menus, footer columns, social links) and maps them onto the new store's categories and pages
+- **Section Editor**: A library of configurable page sections (hero, product grids and carousels, collection tiles, testimonials, text, newsletter, ...) that can be added, configured, reordered and removed per page
+- **Template Packages**: Versioned templates loaded from disk, each with its own sections, settings, styles and layout overrides; stores stay on the version they were created from
+- **Storefront Rendering**: Serves every generated store with home, collection, product, search, cart, checkout, static and 404 pages
+- **Static Publishing**: Publishes each store as an immutable, versioned static build that only re-renders what changed
+- **AI Copywriting**: Writes product descriptions, SEO fields, hero, about and policy copy in the store's language and brand voice, without overwriting merchant edits
+- **Product Variants**: Visits product pages to import option groups (size, color, ...) with per-variant prices, SKUs, stock and images
 - **Responsive Design**: All stores are mobile, tablet, and desktop optimized
 - **Payment Integration**: Built-in PayPal, Stripe, and major payment gateways
 - **Real-time Analytics**: Track sales, traffic, and conversion rates
@@ -483,7 +2165,7 @@ SnapShelf is an innovative platform that uses AI technology to analyze and recre
 
 - Node.js 18+ 
 - MongoDB 6+
-- Redis 7+ (optional, for caching)
+- Redis 7+ (analysis job queue)
 - npm or yarn
 
 ## 🛠️ Installation
@@ -510,6 +2192,7 @@ Edit `.env` file with your configuration:
 # Required
 MONGODB_URI=mongodb://localhost:27017/snapshelf
 JWT_SECRET=your-secret-key-here
+LLM_PROVIDER=openai
 OPENAI_API_KEY=your-openai-api-key
 
 # Payment (optional)
@@ -551,7 +2234,9 @@ snapshelf/
 │   │   ├── services/       # Business logic
 │   │   ├── models/         # Database models
 │   │   ├── routes/         # API routes
+│   │   ├── storefront/     # Storefront page templates
 │   │   └── middleware/     # Custom middleware
+│   ├── templates/          # Template packages, <id>/<version>/template.json
 │   └── package.json
 ├── frontend/
 │   ├── src/
@@ -573,11 +2258,33 @@ GET /api/auth/me
 
 ### AI Store Generation
 ```http
-POST /api/ai/analyze       # Analyze a website
+POST /api/ai/analyze       # Queue a website analysis, returns a job id
+GET /api/ai/jobs/:id       # Job status, per-stage progress and result
+DELETE /api/ai/jobs/:id    # Cancel a queued or running analysis
 POST /api/ai/generate      # Generate store from analysis
 GET /api/ai/templates      # Get available templates
+GET /api/ai/templates/:id/:version/preview  # Template preview image
+GET /api/ai/sections       # Section library with settings schemas (?page=, ?template=, ?version=)
 ```
 
+Templates are packages under `TEMPLATE_DIR` (default `backend/templates`), one directory per version: `<id>/<version>/template.json` plus the files it names. The manifest declares the template's id, semver version, features, the section types it supports with their default composition, its settings (`color`, `font`, `range`, `select`, `checkbox` or `text`, with defaults) and its `files`: a stylesheet, a preview image and optional `layout`, `partials` and `pages` overriding the storefront templates by name. Manifests, defaults, file paths and Mustache syntax are validated at startup; invalid packages are logged and skipped. `GET /api/ai/templates` lists the latest version of each template and filters by `feature` and `section` (comma-separated, all must match) and `q` (name or description); `versions=all` lists every version.
+
+`/api/ai/generate` takes `templateId`, an optional `templateVersion` (latest by default) and `customizations.templateSettings` keyed by setting id. Without a `templateId` the template is generated from the analysis. The store records the exact package version in `template.package` and keeps rendering with it after newer versions are installed.
+
+Pass `"crawl": true` to `/api/ai/analyze` to follow the store's sitemap and internal links (category, product, about and policy pages) instead of analyzing a single URL. `maxPages` (default 20) and `maxDepth` (default 2) bound the crawl, which never leaves the source domain.
+
+The scraper identifies itself as `SnapShelfBot` (override with `SCRAPER_USER_AGENT`), honours robots.txt including `Crawl-delay`, and rate-limits requests per domain. Sites that disallow crawling are refused with `403` and `code: "CRAWL_DISALLOWED"`.
+
+Scrapes are cached in Redis per normalized URL and options, and analyses per content hash, so re-analyzing an unchanged page skips both Puppeteer and the LLM. Pass `"force": true` to bypass the cache.
+
+After generating the template, the job renders it in the same headless browser and scores it against the source screenshots (SSIM, 0–1). `result.similarity` holds the overall score, desktop and mobile scores, per-section scores for the header, hero, product grid and footer, and URLs of diff heatmaps.
+
+Design recommendations come from the LLM provider set in `LLM_PROVIDER`: `openai`, `azure` (Azure OpenAI deployment), `local` (any OpenAI-compatible server at `LLM_BASE_URL`) or `mock` (deterministic replies for tests). Replies are validated against the prompt's schema and retried up to `LLM_RETRIES` times; `analysis.aiRecommendations.source` is `"ai"` for model output and `"fallback"` for the built-in defaults.
+
+Pass `"snapshot": true` to save the scraped page (HTML, CSS, images and computed styles) as an offline snapshot; its id comes back in `scrapedData.snapshotId`. Send `{ "snapshotId": "..." }` instead of a URL to re-run the analysis against that snapshot through request interception, without touching the live site.
+
+Analyses run on a Redis-backed job queue. Connect with socket.io (`auth: { token }`), emit `analysis:subscribe` with the job id and listen for `analysis:progress`, `analysis:completed`, `analysis:failed` and `analysis:cancelled`.
+
 ### Store Management
 ```http
 GET /api/stores           # Get all stores
@@ -585,8 +2292,40 @@ GET /api/stores/:id       # Get specific store
 POST /api/stores          # Create store
 PUT /api/stores/:id       # Update store
 DELETE /api/stores/:id    # Delete store
+GET /api/stores/:id/snapshots    # Source snapshots attached to a store
+POST /api/stores/:id/snapshots   # Attach a snapshot ({ snapshotId })
+GET /api/stores/:id/export       # Download the store as a ZIP (?mode=site|full)
+POST /api/stores/import          # Create a store from a full export (multipart field "archive")
+POST /api/stores/:id/copy        # Generate product, SEO and page copy
+GET /api/stores/:id/copy/:jobId  # Copy job status
+GET /api/stores/:id/pages/:page/sections                # Sections of a page, in order
+POST /api/stores/:id/pages/:page/sections               # Add a section ({ type, settings, position })
+PATCH /api/stores/:id/pages/:page/sections/:sectionId   # Change its settings ({ settings })
+DELETE /api/stores/:id/pages/:page/sections/:sectionId  # Remove it
+PUT /api/stores/:id/pages/:page/sections/order          # Reorder ({ order: [sectionId, ...] })
 ```
 
+`:page` is `home`, `product` (shared by every product page), `collection` (every collection page) or the slug of one of the store's pages. Each section type in `GET /api/ai/sections` lists the pages it can go on and its settings with their type (`text`, `textarea`, `url`, `image`, `color`, `range`, `select`, `checkbox`, `product`, `products`, `collection`, `collections` or `list`), limits and defaults. Settings are validated against that schema, unknown keys are dropped and picked products and collections must belong to the store; invalid input returns `400` with `code: "INVALID_SECTION"`. Stores on a template package only take the sections it supports. Pages that were never edited render the defaults (hero and product grid on home, related products on product pages). Edits show on the live storefront right away; publish again to update the static build.
+
+Exports build the store first, then stream a ZIP with the static site under `site/` and a `snapshelf-export.json` manifest. `mode=full` (the default) adds `data/store.json`, `data/categories.json` and `data/products.json`; `mode=site` is the static site only. Importing a full export creates a new draft store owned by the caller (pass `name` or `subdomain` to override them), restores its images and builds it, so stores can be moved between accounts or installations and restored from backups.
+
+Copy is written in the store's `settings.language` and `settings.brandVoice` (default `COPY_BRAND_VOICE`), in batches of products per LLM call. Replies over the length limits are retried, and so is copy using a banned phrase (whole words from the built-in list plus `COPY_BANNED_PHRASES`), product by product so one product doesn't hold back the rest of its batch. Empty fields and text copied from the source site are filled in; fields a merchant has edited are never touched, and earlier generated copy is only rewritten with `"regenerate": true`. `/api/ai/generate` starts a copy job by itself and returns its `copyJobId`.
+
+### Storefront
+```http
+GET /storefront/:subdomain/                     # Home page, sections in the source site's order
+GET /storefront/:subdomain/collections/:slug    # Category listing (`all` for the whole catalog), ?sort= and ?page=
+GET /storefront/:subdomain/products/:slug       # Product page with variant options
+GET /storefront/:subdomain/pages/:slug          # About, policy and other static pages
+GET /storefront/:subdomain/search?q=            # Full-text product search
+GET /storefront/:subdomain/cart                 # Cart (POST /cart/add and /cart/update change it)
+GET /storefront/:subdomain/checkout             # Checkout form, posts to CHECKOUT_URL when set
+```
+
+Pages are rendered server-side from the Mustache templates in `backend/src/storefront/templates.js` with the store's live data. Prices are formatted for `settings.currency` and `settings.language`, all text is HTML-escaped, and imported product descriptions keep only basic formatting tags. Draft stores are served too, with `noindex`, so they can be previewed before publishing.
+
+Publishing a store (`POST /api/stores/:id/publish`) also writes a static build to `STORE_BUILD_DIR/<storeId>/<buildId>/`: every page as `index.html`, `store.css`, `store.js` (localStorage cart and client-side search), `catalog.json`, the store's images and a `manifest.json` listing each file with the hash of its inputs. Builds are never modified after they are written; `current.json` names the live one and the newest `STORE_BUILD_KEEP` are kept. Files whose inputs did not change are hard-linked from the previous build, so editing one product only re-renders the pages that show it.
+
 ### Products
 ```http
 GET /api/products/store/:storeId    # Get store products